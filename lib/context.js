@@ -1,4 +1,5 @@
 var internalClient = require('./internal-client')
+  , route = require('./util/route')
   , debug = require('debug')('context')
   , respond = require('./doh').createResponder();
 
@@ -12,6 +13,7 @@ var internalClient = require('./internal-client')
  * - **url** `String` The url of the request, stripped of the resource's base path
  * - **body** `Object` The body of the request, if the body is JSON or url encoded
  * - **query** `Object` The query of the request
+ * - **params** `Object` Values of the parameters declared in the resource's path (eg. `/projects/:projectId/tasks`)
  *
  * @param {Resource} resource
  * @param {HttpRequest} req
@@ -20,9 +22,12 @@ var internalClient = require('./internal-client')
  */
 
 function Context(resource, req, res, server) {
-  var ctx = this;
-  this.url = req.url.slice(resource.path.length).split('?')[0];
+  var ctx = this
+    , matched = route.match(resource.path, req.url);
+
+  this.url = req.url.slice(matched ? matched.base.length : resource.path.length).split('?')[0];
   if (this.url.indexOf('/') !== 0) this.url = '/' + this.url;
+  this.params = (matched && matched.params) || {};
 
   this.req = req;
   this.res = res;
@@ -112,7 +117,12 @@ Context.prototype.done = function(err, res) {
                : Buffer.byteLength(body));
         }
         maybeSetHeader(this.res, 'Content-Type', type);
-        this.res.end(body);
+        // HEAD responses carry the headers of a GET, without the body
+        if (this.req && this.req.method === 'HEAD') {
+          this.res.end();
+        } else {
+          this.res.end(body);
+        }
       } else {
         this.res.end();
       }
@@ -524,12 +524,17 @@ Store.prototype.first = function (query, fn) {
 /**
  * Update an object or objects in the store that match the given query.
  *
+ * Properties whose value is a command object, such as `{count: {$inc: 1}}`, are
+ * applied atomically by the database. Supported commands are `$inc`, `$push`,
+ * `$pushAll`, `$pull`, `$pullAll`, `$addUnique`, `$set` and `$unset`. The property
+ * name may be a dot-notation path, eg. `{'address.city': {$set: 'Paris'}}`.
+ *
  * Example:
  *
  *     db
  *       .connect({host: 'localhost', port: 27015, name: 'test'})
  *       .createStore('testing-store')
- *       .update({id: '<an object id>'}, fn)
+ *       .update({id: '<an object id>'}, {likes: {$inc: 1}}, fn)
  *
  * @param {Object} query
  * @param {Object} object
@@ -553,16 +558,19 @@ Store.prototype.update = function (query, object, fn) {
 
   Object.keys(object).forEach(function (k) {
     if (k.indexOf('$') === 0) {
-      command[k] = object[k];
+      command[k] = _.extend(command[k] || {}, object[k]);
+      delete object[k];
+    } else if (isCommand(object[k])) {
+      addCommand(command, k, object[k]);
       delete object[k];
     }
   });
 
   if (Object.keys(object).length) {
-    command.$set = object;
+    command.$set = _.extend(command.$set || {}, object);
   }
 
-  multi = query._id ? false : true;
+  multi = !isSingle(query);
 
   debug('update - query', query);
   debug('update - object', object);
@@ -618,7 +626,7 @@ Store.prototype.remove = function (query, fn) {
   }
   return collection(this)
     .then(function (col) {
-      var method = (query && query._id) ? "deleteOne" : "deleteMany";
+      var method = isSingle(query) ? "deleteOne" : "deleteMany";
       return col[method](query || {});
     })
     .then(function (result) {
@@ -668,6 +676,191 @@ Store.prototype.rename = function (namespace, fn) {
       throw err;
     });
 };
+
+/**
+ * Run an aggregation `pipeline` over the objects in the store. Public ids in
+ * the stages (including `$id` field paths) are changed to private ids, and
+ * the `_id` of each result, such as the key of a `$group`, is returned as `id`.
+ *
+ * Example:
+ *
+ *     db
+ *       .connect({host: 'localhost', port: 27015, name: 'test'})
+ *       .createStore('testing-store')
+ *       .aggregate([{$group: {id: '$status', total: {$sum: 1}}}], fn)
+ *
+ * @param {Array} pipeline
+ * @param {Function} callback(err, results)
+ */
+
+Store.prototype.aggregate = function (pipeline, fn) {
+  var store = this;
+
+  pipeline = (pipeline || []).map(function (stage) {
+    stage = privateFieldPaths(stage);
+    // the key of a group may be null, which scrubQuery would leave alone
+    if (stage.$group && stage.$group.hasOwnProperty('id')) {
+      stage.$group._id = stage.$group.id;
+      delete stage.$group.id;
+    }
+    Object.keys(stage).forEach(function (key) {
+      if (stage[key] && typeof stage[key] === 'object') store.scrubQuery(stage[key]);
+    });
+    return stage;
+  });
+
+  return collection(this)
+    .then(function (col) {
+      return col.aggregate(pipeline).toArray();
+    })
+    .then(function (results) {
+      results.forEach(function (obj) {
+        if (obj && obj.hasOwnProperty('_id')) {
+          obj.id = obj._id;
+          delete obj._id;
+        }
+      });
+      if (typeof fn === "function") {
+        fn(null, results);
+      }
+      return results;
+    })
+    .catch(function (err) {
+      if (typeof fn === "function") {
+        fn(err);
+        return;
+      }
+      throw err;
+    });
+};
+
+/**
+ * Atomically increment the numeric `field` of the object with the given `id`,
+ * creating the object if it does not exist, and call back with the new value.
+ * Concurrent calls never see the same value.
+ *
+ * Example:
+ *
+ *     db
+ *       .connect({host: 'localhost', port: 27015, name: 'test'})
+ *       .createStore('counters')
+ *       .increment('invoices', 'seq', fn)
+ *
+ * @param {String} id
+ * @param {String} field
+ * @param {Function} callback(err, value)
+ */
+
+Store.prototype.increment = function (id, field, fn) {
+  var inc = {};
+  inc[field] = 1;
+
+  return collection(this)
+    .then(function (col) {
+      return col.findOneAndUpdate({_id: id}, {$inc: inc}, {upsert: true, returnDocument: 'after'});
+    })
+    .then(function (result) {
+      var value = result && result.value ? result.value[field] : null;
+      if (typeof fn === "function") {
+        fn(null, value);
+      }
+      return value;
+    })
+    .catch(function (err) {
+      if (typeof fn === "function") {
+        fn(err);
+        return;
+      }
+      throw err;
+    });
+};
+
+/**
+ * Create an index on `fields` unless it exists. Options are passed to the
+ * database, eg. `{unique: true}`.
+ *
+ * @param {Object} fields
+ * @param {Object} options
+ * @param {Function} callback(err)
+ */
+
+Store.prototype.ensureIndex = function (fields, options, fn) {
+  return collection(this)
+    .then(function (col) {
+      return col.createIndex(fields, options || {});
+    })
+    .then(function (name) {
+      if (typeof fn === "function") {
+        fn(null, name);
+      }
+      return name;
+    })
+    .catch(function (err) {
+      if (typeof fn === "function") {
+        fn(err);
+        return;
+      }
+      throw err;
+    });
+};
+
+/*!
+ * Replace `$id` field paths in an aggregation expression with `$_id`.
+ */
+
+function privateFieldPaths(val) {
+  if (typeof val === 'string') return val === '$id' || val.indexOf('$id.') === 0 ? '$_' + val.slice(1) : val;
+  if (_.isArray(val)) return val.map(privateFieldPaths);
+  if (!val || typeof val !== 'object' || _.isDate(val) || _.isRegExp(val)) return val;
+
+  var result = {};
+  Object.keys(val).forEach(function (key) {
+    result[key] = privateFieldPaths(val[key]);
+  });
+  return result;
+}
+
+/*!
+ * Translates the commands accepted by `Store.update()` to mongodb update operators.
+ */
+
+var commandOperators = {
+  $inc: function (val) { return ['$inc', parseFloat(val)]; },
+  $push: function (val) { return ['$push', val]; },
+  $pushAll: function (val) { return ['$push', {$each: _.isArray(val) ? val : [val]}]; },
+  $pull: function (val) { return ['$pull', val]; },
+  $pullAll: function (val) { return ['$pullAll', _.isArray(val) ? val : [val]]; },
+  $addUnique: function (val) { return ['$addToSet', {$each: _.isArray(val) ? val : [val]}]; },
+  $set: function (val) { return ['$set', val]; },
+  $unset: function () { return ['$unset', '']; }
+};
+
+/*!
+ * Whether a query matches a single id, rather than eg. `{id: {$in: ids}}`.
+ */
+
+function isSingle(query) {
+  return !!(query && query._id) && (typeof query._id !== 'object' || !Object.keys(query._id).some(function (k) {
+    return k.indexOf('$') === 0;
+  }));
+}
+
+function isCommand(val) {
+  if (!val || typeof val !== 'object' || _.isArray(val) || _.isDate(val)) return false;
+  var keys = Object.keys(val);
+  return keys.length > 0 && keys.every(function (k) {
+    return commandOperators.hasOwnProperty(k);
+  });
+}
+
+function addCommand(command, key, ops) {
+  Object.keys(ops).forEach(function (op) {
+    var translated = commandOperators[op](ops[op]);
+    command[translated[0]] = command[translated[0]] || {};
+    command[translated[0]][key] = translated[1];
+  });
+}
+
 function stripFields(query) {
   if(!query) return;
   var fields = query.$fields;
@@ -162,6 +162,10 @@ exports.build = function(server, session, stack, ctx) {
     return baseMethods.request.call(this, "PUT", options, fn);
   };
 
+  baseMethods.patch = function(options, fn) {
+    return baseMethods.request.call(this, "PATCH", options, fn);
+  };
+
   baseMethods.del = function(options, fn) {
     return baseMethods.request.call(this, "DELETE", options, fn);
   };
@@ -201,6 +205,12 @@ function createResourceClient(resource, baseMethods) {
 
       return baseMethods.put.call(this, settings, settings.fn);
     }
+    , patch: function(p, query, body, fn) {
+      var settings = parsePostSignature(arguments);
+      settings.path = joinPath(resource.path, settings.path);
+
+      return baseMethods.patch.call(this, settings, settings.fn);
+    }
     , del: function(p, query, fn) {
       var settings = parseGetSignature(arguments);
       settings.path = joinPath(resource.path, settings.path);
@@ -17,6 +17,8 @@ var parse = require('url').parse
  *
  *   - `path`         the base path a resource should handle
  *   - `db`           the database a resource will use for persistence
+ *   - `config.route` an optional path template, eg. `/projects/:projectId/tasks`,
+ *                    that replaces the base path. Parameter values are available as `ctx.params`
  *
  * Example:
  *
@@ -49,6 +51,9 @@ function Resource(name, options) {
   this.path = '/' + name;
   options = this.options = options || {};
   this.config = options.config || {};
+  if (typeof this.config.route === 'string' && this.config.route) {
+    this.path = '/' + this.config.route.replace(/^\/+|\/+$/g, '');
+  }
   this.events = {};
   var instance = this;
   if(this.constructor.external) {
@@ -271,6 +271,7 @@
 
   vm.edit.start = function(newVal, options) {
     options = options || {};
+    if (vm.selectedProp().locked) return;
     if (vm.edit.isEditableInline() && !options.modal) {
       vm.edit.editingInline(true);
     } else {
@@ -461,6 +462,7 @@
       var data = {id: rowVm.id()};
       var props = vm.properties();
       props.forEach(function(p) {
+        if (p.locked) return;
         data[p.name] = rowVm[p.name]();
       });
       return data;
@@ -782,8 +784,33 @@
           , type: 'string'
           , typeLabel: 'password'
         });
+
+        if (!props.some(function(p) { return p.name === 'roles'; })) {
+          props.push({
+              name: 'roles'
+            , type: 'array'
+            , typeLabel: 'array'
+          });
+        }
+
+        if (!props.some(function(p) { return p.name === 'verified'; })) {
+          props.push({
+              name: 'verified'
+            , type: 'boolean'
+            , typeLabel: 'boolean'
+          });
+        }
       }
 
+      CollectionUtil.timestampProps(res.timestamps).forEach(function(stamp) {
+        var existing = props.filter(function(p) { return p.name === stamp.name; })[0];
+        if (existing) {
+          existing.locked = true;
+        } else {
+          props.push(stamp);
+        }
+      });
+
       if (!props.length) return fn();
 
       vm.properties(props);
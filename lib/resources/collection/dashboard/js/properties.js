@@ -25,10 +25,59 @@ ko.bindingHandlers.sortable = {
   }
 };
 
+var constraints = ['collection', 'onDelete', 'min', 'max', 'minLength', 'maxLength', 'pattern', 'enum', 'default', 'unique', 'readonly', 'readableBy', 'writableBy'];
+
+// the access rules of a property, eg. `owner, role:admin`
+var accessRules = ['readableBy', 'writableBy'];
+
 var propertyMapping = {
-  include: ['required', 'id', '$renameFrom']
+  include: ['required', 'id', '$renameFrom'].concat(constraints)
 };
 
+// the constraints each type supports
+var typeConstraints = {
+    string: ['minLength', 'maxLength', 'pattern', 'enum', 'default', 'unique', 'readonly']
+  , number: ['min', 'max', 'enum', 'default', 'unique', 'readonly']
+  , date: ['min', 'max', 'default', 'unique', 'readonly']
+  , boolean: ['default', 'readonly']
+  , object: ['readonly']
+  , array: ['minLength', 'maxLength', 'readonly']
+  , reference: ['collection', 'onDelete', 'unique', 'readonly']
+};
+
+// turn the values entered in the constraint editors into config values,
+// dropping the ones left empty
+function normalizeConstraints(p) {
+  var supported = (typeConstraints[p.type] || []).concat(accessRules);
+
+  constraints.forEach(function(key) {
+    var val = p[key];
+
+    if (supported.indexOf(key) === -1 || val === '' || val === null || val === undefined || val === false) {
+      delete p[key];
+      return;
+    }
+
+    if (key === 'minLength' || key === 'maxLength' || ((key === 'min' || key === 'max') && p.type === 'number')) {
+      p[key] = Number(val);
+    } else if (key === 'enum' || accessRules.indexOf(key) !== -1) {
+      p[key] = String(val).split(',').map(function(option) {
+        return option.trim();
+      }).filter(function(option) {
+        return option.length;
+      }).map(function(option) {
+        return p.type === 'number' && key === 'enum' ? Number(option) : option;
+      });
+      if (!p[key].length) delete p[key];
+    } else if (key === 'default') {
+      if (p.type === 'number') p[key] = Number(val);
+      if (p.type === 'boolean') p[key] = String(val) === 'true';
+    }
+  });
+
+  return p;
+}
+
 var propertyTypes = [
       {
           id: 'string'
@@ -60,6 +109,11 @@ var propertyTypes = [
         , label: 'array'
         , tooltip: "Add an array property. If the incoming value is not an array it will be rejected."
         , tooltipTitle: "JSON Array"
+      }, {
+          id: 'reference'
+        , label: 'reference'
+        , tooltip: "Add a reference to an object in another collection. It is stored as the object's id, and replaced with the object when the property is named in $expand."
+        , tooltipTitle: "Object Id"
       }
     ];
 
@@ -69,8 +123,27 @@ function createPropertyViewModel(data, contextToAdd) {
     , type: "string"
     , typeLabel: "string"
     , required: false
+    , min: ""
+    , max: ""
+    , minLength: ""
+    , maxLength: ""
+    , pattern: ""
+    , 'enum': ""
+    , 'default': ""
+    , unique: false
+    , readonly: false
+    , collection: ""
+    , onDelete: ""
+    , readableBy: ""
+    , writableBy: ""
   });
 
+  // constraints are edited as text
+  ['enum'].concat(accessRules).forEach(function(key) {
+    if (Array.isArray(data[key])) data[key] = data[key].join(', ');
+  });
+  if (typeof data['default'] !== 'string') data['default'] = String(data['default']);
+
   if (data.name) {
     data.id = data.name;
   } else {
@@ -86,6 +159,11 @@ function createPropertyViewModel(data, contextToAdd) {
   self.editing = ko.observable(false);
   self.editingName = ko.observable(self.name()).extend({variableName: true});
   self.nameFocus = ko.observable();
+  self.showConstraints = ko.observable(false);
+
+  self.toggleConstraints = function() {
+    self.showConstraints(!self.showConstraints());
+  };
 
   self.isNew = contextToAdd !== undefined;
 
@@ -153,7 +231,7 @@ function createPropertyViewModel(data, contextToAdd) {
   };
 
   // var types = {'string': 0, 'number': 1, 'boolean': 2, 'date': 3};
-  var types = ['string', 'number', 'boolean', 'date', 'object', 'array'];
+  var types = ['string', 'number', 'boolean', 'date', 'object', 'array', 'reference'];
 
   var commands = {
     // cmd + b (boolean)
@@ -317,7 +395,7 @@ function create() {
           dpd(Context.resourceId).exec('rename', {properties: rename});
           p.id = p.name;
         }
-        propertiesJson[p.id] = p;
+        propertiesJson[p.id] = normalizeConstraints(p);
       });
 
       return propertiesJson;
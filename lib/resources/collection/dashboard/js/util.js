@@ -13,6 +13,26 @@ window.CollectionUtil = (function() {
     return propertiesArray;
   };
 
+  // the fields stamped by the collection when `timestamps` is configured,
+  // shown as read only columns on the data page
+  exports.timestampProps = function(timestamps) {
+    if (!timestamps) return [];
+
+    return ['createdAt', 'updatedAt', 'createdBy', 'updatedBy'].map(function(key) {
+      var name = timestamps === true ? key : timestamps[key];
+      if (name === undefined || name === true) name = key;
+      if (!name) return;
+
+      var type = key.indexOf('At') === key.length - 2 ? 'date' : 'string';
+      return {
+          name: name
+        , type: type
+        , typeLabel: type + ' (read only)'
+        , locked: true
+      };
+    }).filter(Boolean);
+  };
+
   return exports;
 
 })();
\ No newline at end of file
@@ -2,6 +2,9 @@ var validation = require('validation')
   , util = require('util')
   , path = require('path')
   , Resource = require('../../resource')
+  , patch = require('../../util/patch')
+  , internalClient = require('../../internal-client')
+  , querystring = require('querystring')
   , debug = require('debug')('collection')
   , _ = require('underscore');
 
@@ -11,7 +14,30 @@ var validation = require('validation')
  * Options:
  *
  *   - `path`                the base path a resource should handle
- *   - `config.properties`   the properties of objects the collection should store
+ *   - `config.properties`   the properties of objects the collection should store. Their
+ *                           `readableBy` and `writableBy` rules, written like those of
+ *                           `config.access`, restrict who may read and change them
+ *   - `config.versionField` an optional property incremented on every update and
+ *                           exposed as an `ETag` for conditional requests
+ *   - `config.timestamps`   `true` to stamp objects with `createdAt`, `updatedAt`,
+ *                           `createdBy` and `updatedBy`. An object may rename
+ *                           (`{createdAt: 'created'}`) or disable (`{createdBy: false}`)
+ *                           individual fields
+ *   - `config.softDelete`   `true` (or the name of a field, default `deletedAt`) to
+ *                           mark deleted objects instead of removing them. Deleted
+ *                           objects are listed at `/trash`, restored with
+ *                           `POST /:id/restore` and removed for good by root with
+ *                           `DELETE /trash[/:id]`
+ *   - `config.history`      record a revision of an object on every change, listed
+ *                           at `GET /:id/history` and restored with
+ *                           `POST /:id/revert/:rev`
+ *   - `config.pagination`   `true` to paginate every query with a `$limit` (see `find()`)
+ *   - `config.totalCount`   send an `X-Total-Count` header with paginated results
+ *   - `config.aggregate`    who may run pipelines at `GET /aggregate`: only root by
+ *                           default, `true` for everyone, a list of role names, or
+ *                           `false` to disable it
+ *   - `config.access`       rules for who may `get`, `post`, `put` and `delete`
+ *                           objects, eg. `{put: 'owner:creatorId'}` (see `authorize()`)
  *   - `db`                  the database a collection will use for persistence
  *
  * @param {Object} options
@@ -25,9 +51,22 @@ function Collection(name, options) {
   }
   if (options) {
     this.store = options.db && options.db.createStore(this.name);
+    this.historyStore = config && config.history && options.db && options.db.createStore(this.name + HISTORY_SUFFIX);
+    if (this.historyStore) {
+      this.historyStore.ensureIndex({objectId: 1, rev: 1}, {unique: true, partialFilterExpression: {objectId: {$exists: true}}},
+        function (err) {
+          if (err) debug('could not index history: %j', err);
+        });
+    }
+    if (this.store) ensureUniqueIndexes(this);
   }
 }
 util.inherits(Collection, Resource);
+
+// revisions are kept in a store named after the collection, along with a
+// counter of the revisions of each object
+var HISTORY_SUFFIX = '-history'
+  , REVISION_COUNTER_PREFIX = 'revisions:';
 Collection.external = {};
 Collection.prototype.clientGeneration = true;
 Collection.domainAdditions = {};
@@ -50,50 +89,81 @@ Collection.dashboard = {
  * Validate the request `body` against the `Collection` `properties`
  * and return an object containing any `errors`.
  *
+ * Besides `type` and `required`, properties may declare the constraints
+ * `min`, `max`, `minLength`, `maxLength`, `pattern`, `enum` and `readonly`.
+ * When creating an object, missing properties are set to their `default`.
+ * `unique` properties are checked separately by `checkUnique()`, since that
+ * requires a query, and enforced by a unique index of the store.
+ *
+ * `object` properties with sub-`properties` and `array` properties with an
+ * `items` schema are validated recursively. Their errors are keyed by
+ * dotted paths, eg. `address.zip` or `tags.2`.
+ *
+ * A `reference` property holds the id of an object in the `collection` it
+ * points at, eg. `{type: 'reference', collection: '/users'}`. Its `onDelete`
+ * may be `cascade`, `restrict` or `setNull` (see `getReferrers()`).
+ *
  * @param {Object} body
+ * @param {Boolean} create
+ * @param {Object} previous - the stored object, when updating
  * @return {Object} errors
  */
 
-Collection.prototype.validate = function (body, create) {
+Collection.prototype.validate = function (body, create, previous) {
   if(!this.properties) this.properties = {};
 
-  var keys = Object.keys(this.properties)
-    , props = this.properties
+  var errors = {};
+
+  validateProperties(this.properties, body, create, previous, '', errors);
+
+  if(Object.keys(errors).length) return errors;
+};
+
+/**
+ * Check that the values of `unique` properties in `body` are not used by any
+ * other object. Only values that changed from `previous` are checked. This
+ * gives a validation error up front; the unique index of the store still
+ * rejects duplicates written at the same time (see `uniqueErrors()`).
+ *
+ * @param {Object} body
+ * @param {Object} previous - the stored object, when updating
+ * @param {Function} fn(err, errors)
+ */
+
+Collection.prototype.checkUnique = function (body, previous, fn) {
+  var store = this.store
+    , props = this.properties || {}
     , errors = {};
 
-  keys.forEach(function (key) {
-    var prop = props[key]
-      , val = body[key]
-      , type = prop.type || 'string';
+  var keys = Object.keys(props).filter(function (key) {
+    return props[key].unique && validation.exists(body[key]) &&
+      !(previous && _.isEqual(body[key], previous[key]));
+  });
 
-    debug('validating %s against %j', key, prop);
+  var remaining = keys.length;
+  if(!remaining) return fn();
 
-    if(validation.exists(val)) {
-      // coercion
-      if(type === 'number') val = Number(val);
-      if(type === 'date') val = new Date(val);
+  keys.forEach(function (key) {
+    var query = {};
+    query[key] = body[key];
+    if(body.id) query.id = {$ne: body.id};
 
-      if(!validation.isType(val, type)) {
-        debug('failed to validate %s as %s', key, type);
-        errors[key] = 'must be a ' + type;
-      }
-    } else if(prop.required) {
-      debug('%s is required', key);
-      if(create || body.hasOwnProperty(key)) {
-        errors[key] = 'is required';
+    store.count(query, function (err, count) {
+      if(err) {
+        remaining = -1;
+        return fn(err);
       }
-    } else if(type === 'boolean') {
-      body[key] = false;
-    }
+      if(count) errors[key] = 'must be unique';
+      if(--remaining === 0) fn(null, Object.keys(errors).length ? errors : undefined);
+    });
   });
-
-  if(Object.keys(errors).length) return errors;
 };
 
 /**
  * Sanitize the request `body` against the `Collection` `properties`
  * and return an object containing only properties that exist in the
- * `Collection.config.properties` object.
+ * `Collection.config.properties` object. Nested `properties` of objects
+ * and the `items` of arrays are sanitized as well.
  *
  * @param {Object} body
  * @return {Object} sanitized
@@ -102,34 +172,7 @@ Collection.prototype.validate = function (body, create) {
 Collection.prototype.sanitize = function (body) {
   if(!this.properties) return {};
 
-  var sanitized = {}
-    , props = this.properties
-    , keys = Object.keys(props);
-
-  keys.forEach(function (key) {
-    var prop = props[key]
-    , expected = prop.type
-    , val = body[key]
-    , actual = typeof val;
-
-    // skip properties that do not exist
-    if(!prop) return;
-
-    if(expected == actual) {
-      sanitized[key] = val;
-    } else if(expected == 'date' && (actual == 'string' || actual == 'number')) {
-      sanitized[key] = new Date(val);
-    } else if(expected == 'array' && Array.isArray(val)) {
-      sanitized[key] = val;
-    } else if(expected == 'number' && actual == 'string') {
-      sanitized[key] = parseFloat(val);
-    } else if(expected == 'string' && actual == 'number') {
-      sanitized[key] = '' + val;
-    } else if(val === null && (expected == 'string' || expected == 'array')) // keep null
-      sanitized[key] = val;
-  });
-
-  return sanitized;
+  return sanitizeProperties(this.properties, body);
 };
 
 Collection.prototype.sanitizeQuery = function (query) {
@@ -138,19 +181,24 @@ Collection.prototype.sanitizeQuery = function (query) {
     , keys = query && Object.keys(query);
 
   keys && keys.forEach(function (key) {
-    var prop = props[key] || props[key.split('.')[0]]
-    , expected = prop && prop.type
+    var prop = resolveProperty(props, key)
     , val = query[key]
     , actual = typeof val;
 
+    // a value matches the items of an array
+    if(prop && prop.type == 'array' && prop.items && actual != 'object') prop = prop.items;
+
+    var expected = prop && prop.type;
+
     // skip properties that do not exist, but allow $ queries and id
     if(!prop && key.indexOf('$') !== 0 && key !== 'id') return;
 
-    // hack - $limitRecursion and $skipEvents are not mongo properties so we'll get rid of them, too
+    // hack - $limitRecursion, $skipEvents and $expand are not mongo properties so we'll get rid of them, too
     if (key === '$limitRecursion') return;
     if (key === '$skipEvents') return;
+    if (key === '$expand') return;
 
-    if(expected == 'string' && actual == 'number') {
+    if((expected == 'string' || expected == 'reference') && actual == 'number') {
       sanitized[key] = '' + val;
     } else if(expected == 'date' && (actual == 'string' || actual == 'number')) {
       sanitized[key] = new Date(val);
@@ -178,25 +226,37 @@ Collection.prototype.sanitizeQuery = function (query) {
  */
 
 Collection.prototype.handle = function (ctx) {
+  var isRead = ctx.req.method == "GET" || ctx.req.method == "HEAD";
+
   // set id one wasnt provided in the query
   ctx.query.id = ctx.query.id || this.parseId(ctx) || (ctx.body && ctx.body.id);
 
-  if (ctx.req.method == "GET" && ctx.query.id === 'count') {
+  if (isRead && ctx.query.id === 'count') {
     delete ctx.query.id;
     this.count(ctx, ctx.done);
     return;
   }
 
-  if (ctx.req.method == "GET" && ctx.query.id === 'index-of') {
+  if (isRead && ctx.query.id === 'index-of') {
     delete ctx.query.id;
     var id = ctx.url.split('/').filter(function(p) { return p; })[1];
     this.indexOf(id, ctx, ctx.done);
     return;
   }
 
+  if (this.handleSpecialRoutes(ctx, ctx.done)) return;
+
   switch(ctx.req.method) {
     case 'GET':
-      this.find(ctx, ctx.done);
+    case 'HEAD':
+      this.find(ctx, this.respondWithETag(ctx, ctx.done, true));
+    break;
+    case 'PATCH':
+      if (typeof ctx.query.id != 'string') {
+        ctx.done("must provide id to patch an object");
+        break;
+      }
+      this.save(ctx, this.respondWithETag(ctx, ctx.done));
     break;
     case 'PUT':
       if (typeof ctx.query.id != 'string' && !ctx.req.isRoot) {
@@ -205,7 +265,7 @@ Collection.prototype.handle = function (ctx) {
       }
     /* falls through */
     case 'POST':
-      this.save(ctx, ctx.done);
+      this.save(ctx, this.respondWithETag(ctx, ctx.done));
     break;
     case 'DELETE':
       this.remove(ctx, ctx.done);
@@ -214,6 +274,168 @@ Collection.prototype.handle = function (ctx) {
 };
 
 
+/**
+ * Handle the routes a collection adds below an object or the collection itself,
+ * depending on its config: `/aggregate`, `/trash`, `/:id/restore`, `/:id/history`
+ * and `/:id/revert/:rev`. Returns `true` if the request was handled.
+ *
+ * @param {Context} ctx
+ * @param {Function} fn(err, result)
+ * @return {Boolean} handled
+ */
+
+Collection.prototype.handleSpecialRoutes = function (ctx, fn) {
+  var isRead = ctx.req.method == "GET" || ctx.req.method == "HEAD"
+    , segments = (ctx.url || '').split('/').filter(function(p) { return p; })
+    , segment = segments[1];
+
+  if (isRead && ctx.query.id === 'aggregate' && segments.length === 1 && this.config.aggregate !== false) {
+    delete ctx.query.id;
+    this.aggregate(ctx, fn);
+    return true;
+  }
+
+  if (this.getDeletedField()) {
+    if (ctx.query.id === 'trash' && (isRead || ctx.req.method == 'DELETE')) {
+      delete ctx.query.id;
+      if (segment) ctx.query.id = segment;
+
+      if (isRead) {
+        this.find(ctx, this.respondWithETag(ctx, fn, true), {trash: true});
+      } else {
+        this.purge(ctx, fn);
+      }
+      return true;
+    }
+
+    if (ctx.req.method == 'POST' && typeof ctx.query.id == 'string' && segment === 'restore') {
+      this.restore(ctx, fn);
+      return true;
+    }
+  }
+
+  if (this.historyStore && typeof ctx.query.id == 'string') {
+    if (isRead && segment === 'history' && segments.length === 2) {
+      this.history(ctx, fn);
+      return true;
+    }
+
+    if (ctx.req.method == 'POST' && segment === 'revert' && segments[2]) {
+      this.revert(ctx, segments[2], fn);
+      return true;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Get the names of the timestamp fields enabled by `config.timestamps`,
+ * keyed by `createdAt`, `updatedAt`, `createdBy` and `updatedBy`.
+ *
+ * @return {Object} fields
+ */
+
+Collection.prototype.getTimestampFields = function () {
+  var timestamps = this.config && this.config.timestamps
+    , fields = {};
+
+  if(!timestamps) return fields;
+
+  ['createdAt', 'updatedAt', 'createdBy', 'updatedBy'].forEach(function (key) {
+    var name = timestamps === true ? key : timestamps[key];
+    if(name === undefined || name === true) name = key;
+    if(name) fields[key] = name;
+  });
+
+  return fields;
+};
+
+/**
+ * Get the name of the field that marks soft deleted objects, if
+ * `config.softDelete` is enabled.
+ *
+ * @return {String} field
+ */
+
+Collection.prototype.getDeletedField = function () {
+  var softDelete = this.config && this.config.softDelete;
+  if(!softDelete) return;
+  return typeof softDelete === 'string' ? softDelete : 'deletedAt';
+};
+
+/**
+ * Restrict a store `query` to objects that are not soft deleted, or if `trash`
+ * to the ones that are. Does nothing if soft delete isn't enabled.
+ *
+ * @param {Object} query
+ * @param {Boolean} trash
+ * @return {Object} query
+ */
+
+Collection.prototype.filterDeleted = function (query, trash) {
+  var field = this.getDeletedField();
+  if(field) query[field] = trash ? {$ne: null} : null;
+  return query;
+};
+
+/**
+ * Get the `ETag` of an object, if the collection has a `config.versionField`.
+ *
+ * @param {Object} obj
+ * @return {String} etag
+ */
+
+Collection.prototype.getETag = function(obj) {
+  var field = this.config && this.config.versionField;
+  if (!field || !obj || !obj.id) return;
+  return '"' + obj.id + '-' + (obj[field] || 0) + '"';
+};
+
+/**
+ * Get the value of a conditional request header such as `If-Match`. Returns
+ * nothing if the collection is not versioned or the request is internal.
+ *
+ * @param {Context} ctx
+ * @param {String} header
+ * @return {String} value
+ */
+
+Collection.prototype.getPrecondition = function(ctx, header) {
+  var req = ctx && ctx.req;
+  if (!(this.config && this.config.versionField) || !req || req.internal || !req.headers) return;
+  return req.headers[header];
+};
+
+/**
+ * Wrap `fn` so that a single object response carries its `ETag`. If `conditional`
+ * and the `If-None-Match` header matches, respond with `304 Not Modified` instead.
+ *
+ * @param {Context} ctx
+ * @param {Function} fn(err, result)
+ * @param {Boolean} conditional
+ * @return {Function} fn(err, result)
+ */
+
+Collection.prototype.respondWithETag = function(ctx, fn, conditional) {
+  var collection = this;
+
+  return function (err, result) {
+    var etag = !err && result && !Array.isArray(result) && collection.getETag(result);
+
+    if (etag && ctx.res && ctx.res.setHeader) {
+      ctx.res.setHeader('ETag', etag);
+
+      if (conditional && etagMatches(collection.getPrecondition(ctx, 'if-none-match'), etag)) {
+        ctx.res.statusCode = 304;
+        return fn(null);
+      }
+    }
+
+    fn.apply(this, arguments);
+  };
+};
+
 /**
  * Parse the `ctx.url` for an id
  *
@@ -228,7 +450,7 @@ Collection.prototype.parseId = function(ctx) {
 Collection.prototype.count = function(ctx, fn) {
   if (ctx.session.isRoot) {
     var store = this.store
-      , sanitizedQuery = this.sanitizeQuery(ctx.query || {});
+      , sanitizedQuery = this.filterDeleted(this.sanitizeQuery(ctx.query || {}));
 
     store.count(sanitizedQuery, function (err, result) {
       if (err) return fn(err);
@@ -246,7 +468,7 @@ Collection.prototype.count = function(ctx, fn) {
 Collection.prototype.indexOf = function(id, ctx, fn) {
   if (ctx.session.isRoot) {
     var store = this.store
-      , sanitizedQuery = this.sanitizeQuery(ctx.query || {});
+      , sanitizedQuery = this.filterDeleted(this.sanitizeQuery(ctx.query || {}));
 
     sanitizedQuery.$fields = {id: 1};
 
@@ -269,11 +491,24 @@ Collection.prototype.indexOf = function(id, ctx, fn) {
  * Find all the objects in a collection that match the given
  * query. Then execute its get script using each object.
  *
+ * Soft deleted objects are only found if `options.trash` is set, in which
+ * case nothing else is.
+ *
+ * A query with a `$cursor`, or a `$limit` if `config.pagination` is set, is
+ * paginated: the response has `Link` headers to the `next` and `prev` pages,
+ * which continue from a `$cursor` instead of skipping over the results before
+ * them.
+ *
+ * References named in `$expand` are replaced with the objects they point at.
+ * Properties the user may not read (see `getRestrictedFields()`) are removed
+ * from the query and the results.
+ *
  * @param {Context} ctx
  * @param {Function} fn(err, result)
+ * @param {Object} options
  */
 
-Collection.prototype.find = function (ctx, fn) {
+Collection.prototype.find = function (ctx, fn, options) {
   var collection = this
     , store = this.store
     , query = ctx.query || {}
@@ -293,66 +528,88 @@ Collection.prototype.find = function (ctx, fn) {
       return fn(err);
     }
     if(typeof query.id === 'string' && Array.isArray(result)) {
-      return fn(null, result[0]);
+      result = result[0];
     }
 
-    fn(null, result);
+    collection.expand(ctx, collection.hideFields(ctx, result), query.$expand, fn);
   }
 
   function doFind() {
     // resanitize query in case it was modified from BeforeRequest event
-    sanitizedQuery = collection.sanitizeQuery(query);
+    sanitizedQuery = collection.filterDeleted(collection.sanitizeQuery(query), options && options.trash);
+
+    var page;
+    try {
+      page = collection.paginate(sanitizedQuery);
+    } catch (ex) {
+      return done(ex);
+    }
 
     debug('finding %j; sanitized %j', query, sanitizedQuery);
     store.find(sanitizedQuery, function (err, result) {
       debug("Find Callback");
       if(err) return done(err);
       debug('found %j', err || result || 'none');
-      if(!collection.shouldRunEvent(collection.events.Get, ctx)) {
-        return done(err, result);
-      }
 
-      var errors = {};
+      if(page) {
+        collection.respondWithPage(ctx, page, result, function (err, result) {
+          if(err) return done(err);
+          runGetEvents(result);
+        });
+      } else {
+        runGetEvents(result);
+      }
+    });
+  }
 
-      if(Array.isArray(result)) {
+  function runGetEvents(result) {
+    if(!collection.shouldRunEvent(collection.events.Get, ctx)) {
+      return done(null, result);
+    }
 
-        var remaining = result && result.length;
-        if(!remaining) return done(err, result);
-        result.forEach(function (data) {
-          // domain for onGet event scripts
-          var domain = collection.createDomain(data, errors);
+    var errors = {};
 
-          collection.events.Get.run(ctx, domain, function (err) {
-            if (err) {
-              if (err instanceof Error) {
-                return done(err);
-              } else {
-                errors[data.id] = err;
-              }
-            }
+    if(Array.isArray(result)) {
 
-            remaining--;
-            if(!remaining) {
-              done(null, result.filter(function(r) {
-                return !errors[r.id];
-              }));
-            }
-          });
-        });
-      } else {
+      var remaining = result && result.length;
+      if(!remaining) return done(null, result);
+      result.forEach(function (data) {
         // domain for onGet event scripts
-        data = result;
         var domain = collection.createDomain(data, errors);
 
         collection.events.Get.run(ctx, domain, function (err) {
-          if(err) return done(err);
-
-          done(null, data);
+          if (err) {
+            if (err instanceof Error) {
+              return done(err);
+            } else {
+              errors[data.id] = err;
+            }
+          }
+
+          remaining--;
+          if(!remaining) {
+            done(null, result.filter(function(r) {
+              return !errors[r.id];
+            }));
+          }
         });
-      }
-    });
+      });
+    } else {
+      // domain for onGet event scripts
+      data = result;
+      var domain = collection.createDomain(data, errors);
+
+      collection.events.Get.run(ctx, domain, function (err) {
+        if(err) return done(err);
+
+        done(null, data);
+      });
+    }
   }
 
+  var denied = collection.stripHiddenQuery(ctx, query);
+  if (denied) return fn(denied);
+
   var beforeRequestDomain = { event: "GET" };
   collection.addDomainAdditions(beforeRequestDomain);
   collection.doBeforeRequestEvent(ctx, beforeRequestDomain, function(err) {
@@ -362,534 +619,2551 @@ Collection.prototype.find = function (ctx, fn) {
 };
 
 /**
- * Execute a `delete` event script, if one exists, using each object found.
- * Then remove a single object that matches the `ctx.query.id`. Finally call
- * `fn(err)` passing an `error` if one occurred.
+ * Replace the `reference` properties named in `paths` (eg. `owner,comments`)
+ * with the objects they point at, and call `fn(err, result)`.
+ *
+ * The objects are requested through the internal client with a single query
+ * per property, so the Get events and permissions of the referenced collection
+ * apply. References to objects that can't be found are replaced with `null`,
+ * and dropped from arrays. A path like `owner.manager` expands the `manager`
+ * of the owner as well.
  *
  * @param {Context} ctx
- * @param {Function} fn(err)
+ * @param {Object|Array} result
+ * @param {String|Array} paths
+ * @param {Function} fn(err, result)
  */
 
-Collection.prototype.remove = function (ctx, fn) {
-  var collection = this
-    , store = this.store
-    , query = ctx.query
-    , sanitizedQuery = this.sanitizeQuery(query)
-    , errors;
-
-  if(!(query && query.id)) return fn('You must include a query with an id when deleting an object from a collection.');
-
-  function doRemove() {
-    store.find(sanitizedQuery, function (err, result) {
-      if(err) {
-        return fn(err);
-      }
-
-      // if a single id was passed and it wasn't found, we'll get undefined
-      // convert it to an empty array which will be handled below
-      if (typeof result === 'undefined') {
-        result = [];
-      }
-      // convert result to an array if it is not
-      if (!Array.isArray(result)) {
-        result = [result];
-      }
-
-      // nothing to delete
-      if (result.length === 0) {
-        return fn(null, { count: 0 });
-      }
-
-      var remaining = result.length
-        , idsToDelete = [];
+Collection.prototype.expand = function (ctx, result, paths, fn) {
+  var objects = [].concat(result || []).filter(isObject)
+    , expansions
+    , remaining
+    , finished;
 
-      function done(data, err) {
-        var id = data.id;
-        remaining--;
-        if (result.length === 1 && err) {
-          // we only have one row to delete but an error has occured, pass it through
-          return fn(err);
-        }
+  if (!paths || !objects.length) return fn(null, result);
 
-        if (err && err instanceof Error) {
-          // only halt execution if an actual error was thrown from the script
-          // cancel() from within the script is not an instance of Error, so it will be ignored by this
-          return fn(err);
-        } else if (!err) {
-          // script executed without an error, this id will be deleted
-          idsToDelete.push(id);
-        }
+  try {
+    expansions = this.parseExpand(paths);
+  } catch (ex) {
+    return fn(ex);
+  }
+  if (!expansions.length) return fn(null, result);
 
-        if(!remaining) {
-          store.remove({ id: { $in: idsToDelete } }, function(){
-            collection.doAfterCommitEvent('DELETE', ctx, data);
-            fn.apply(null, arguments);
-          });
-        }
-      }
+  function next(err) {
+    if (finished) return;
+    if (err || !--remaining) {
+      finished = true;
+      fn(err || null, err ? undefined : result);
+    }
+  }
 
-      result.forEach(function(data) {
-        if (collection.shouldRunEvent(collection.events.Delete, ctx)) {
-          var domain = collection.createDomain(data, errors);
-          collection.events.Delete.run(ctx, domain, function (err) { done(data, err);  });
-        } else {
-          done(data);
+  remaining = expansions.length;
+  expansions.forEach(function (expansion) {
+    var key = expansion.key
+      , client = clientFor(ctx, expansion.collection)
+      , ids = _.uniq(_.flatten(_.pluck(objects, key)).filter(function (id) { return typeof id === 'string'; }))
+      , query = {id: {$in: ids}};
+
+    if (!client) return next({message: 'cannot expand ' + key + ', ' + expansion.collection + ' is not a collection', statusCode: 400});
+    if (!ids.length) return next();
+    if (expansion.paths.length) query.$expand = expansion.paths.join(',');
+
+    client.get(query, function (found, err) {
+      if (err) return next(err);
+
+      var byId = _.indexBy(found || [], 'id');
+      objects.forEach(function (obj) {
+        if (Array.isArray(obj[key])) {
+          obj[key] = obj[key].map(function (id) { return byId[id]; }).filter(Boolean);
+        } else if (typeof obj[key] === 'string') {
+          obj[key] = byId[obj[key]] || null;
         }
       });
+      next();
     });
-  }
-
-  var beforeRequestDomain = { event: "DELETE" };
-  collection.addDomainAdditions(beforeRequestDomain);
-  collection.doBeforeRequestEvent(ctx, beforeRequestDomain, function(err) {
-    if (err) return fn(err);
-    doRemove();
   });
 };
 
 /**
- * Execute the onPost or onPut listener. If it succeeds,
- * save the given item in the collection.
+ * Parse the `$expand` `paths` into a list of `{key, collection, paths}`, where
+ * `paths` are to be expanded on the referenced objects in turn. Throws a `400`
+ * error if a path isn't a `reference` property, or an array of references.
  *
- * @param {Context} ctx
- * @param {Function} fn(err, result)
+ * @param {String|Array} paths
+ * @return {Array}
  */
 
-Collection.prototype.save = function (ctx, fn) {
-  var collection = this
-    , store = this.store
-    , item = ctx.body
+Collection.prototype.parseExpand = function (paths) {
+  var props = this.properties || {}
+    , expansions = {};
 
-    , query = ctx.query || {}
-    , errors = {};
+  if (!Array.isArray(paths)) paths = String(paths).split(',');
 
-  if(!item) return done('You must include an object when saving or updating.');
+  paths.forEach(function (path) {
+    var keys = String(path).trim().split('.')
+      , key = keys[0]
+      , prop = props[key];
 
-  // build command object
-  var commands = {};
-  Object.keys(item).forEach(function (key) {
-    if(item[key] && typeof item[key] === 'object' && !Array.isArray(item[key])) {
-      Object.keys(item[key]).forEach(function (k) {
-        if(k[0] == '$') {
-          commands[key] = item[key];
-        }
-      });
+    if (!key) return;
+    if (prop && prop.type === 'array') prop = prop.items;
+    if (!prop || prop.type !== 'reference' || !prop.collection) {
+      throw {message: 'cannot expand ' + key + ', it is not a reference', statusCode: 400};
     }
+
+    expansions[key] = expansions[key] || {key: key, collection: prop.collection, paths: []};
+    if (keys.length > 1) expansions[key].paths.push(keys.slice(1).join('.'));
   });
 
-  item = this.sanitize(item);
+  return _.values(expansions);
+};
 
-  // handle id on either body or query
-  if(item.id) {
-    query.id = item.id;
-  }
+/**
+ * Prepare a sanitized store `query` for pagination, if it has a `$cursor`, or
+ * a `$limit` and `config.pagination` is set. Continues after (or before) the cursor's position in the sort
+ * order, with the object id breaking ties. One more object than the limit is
+ * queried, to tell whether there is another page.
+ *
+ * Returns the page to pass on to `respondWithPage()`, or nothing if the query
+ * isn't paginated. Throws a `400` error for an invalid cursor.
+ *
+ * @param {Object} query
+ * @return {Object} page
+ */
 
-  debug('saving %j with id %s', item, query.id);
+Collection.prototype.paginate = function (query) {
+  var limit = parseInt(query.$limit, 10)
+    , cursor = query.$cursor;
 
-  function done(err, item) {
-    errors = domain && domain.hasErrors() && {errors: errors};
-    debug('errors: %j', err);
-    fn(errors || err, item);
-  }
+  delete query.$cursor;
 
-  var domain = collection.createDomain(item, errors, true);
+  if (typeof query.id === 'string') return;
+  if (!cursor && !(limit > 0 && this.config && this.config.pagination)) return;
 
-  function put() {
-    var id = query.id
-      , sanitizedQuery = collection.sanitizeQuery(query)
-      , prev = {};
+  var sort = parseSort(query.$sort || query.$orderby)
+    , countQuery = _.omit(query, '$limit', '$skip', '$sort', '$orderby', '$fields')
+    , position;
 
-    store.first(sanitizedQuery, function(err, obj) {
-      if(!obj) {
-        if (Object.keys(sanitizedQuery) === 1) {
-          return done(new Error("No object exists with that id"));
-        } else {
-          return done(new Error("No object exists that matches that query"));
-        }
-      }
-      if(err) return done(err);
+  if (cursor) {
+    position = decodeCursor(cursor);
+    if (!position || position.values.length !== sort.length) {
+      throw {message: 'invalid $cursor', statusCode: 400};
+    }
 
-      // copy previous obj
-      Object.keys(obj).forEach(function (key) {
-        prev[key] = _.clone(obj[key]);
-      });
+    query.$and = (query.$and || []).concat(keysetCondition(sort, position.values, position.before));
+    delete query.$skip;
+  }
 
-      // merge changes
-      Object.keys(item).forEach(function (key) {
-        obj[key] = item[key];
+  // pages before the cursor are read backwards from it
+  query.$sort = {};
+  sort.forEach(function (s) {
+    query.$sort[s[0]] = position && position.before ? -s[1] : s[1];
+  });
+  delete query.$orderby;
+
+  if (limit > 0) query.$limit = limit + 1;
+
+  return {
+    sort: sort,
+    limit: limit > 0 ? limit : null,
+    position: position,
+    countQuery: this.config && this.config.totalCount ? patch.clone(countQuery) : null
+  };
+};
+
+/**
+ * Trim the `result` of a paginated query to the page and set its `Link`
+ * and `X-Total-Count` headers.
+ *
+ * @param {Context} ctx
+ * @param {Object} page - as returned by `paginate()`
+ * @param {Array} result
+ * @param {Function} fn(err, result)
+ */
+
+Collection.prototype.respondWithPage = function (ctx, page, result, fn) {
+  var before = page.position && page.position.before
+    , more = page.limit !== null && result.length > page.limit
+    , links = [];
+
+  if (more) result = result.slice(0, page.limit);
+  if (before) result = result.reverse();
+
+  if (result.length && ctx.req && ctx.res && ctx.res.setHeader) {
+    // there's a next page if the query found more, or if this page was read backwards
+    if (before ? true : more) {
+      links.push(pageLink(ctx.req.url, encodeCursor(page.sort, result[result.length - 1], false), 'next'));
+    }
+    if (before ? more : !!page.position) {
+      links.push(pageLink(ctx.req.url, encodeCursor(page.sort, result[0], true), 'prev'));
+    }
+    if (links.length) ctx.res.setHeader('Link', links.join(', '));
+  }
+
+  if (!page.countQuery || !ctx.res || !ctx.res.setHeader) return fn(null, result);
+
+  this.store.count(page.countQuery, function (err, count) {
+    if (err) return fn(err);
+    ctx.res.setHeader('X-Total-Count', String(count));
+    fn(null, result);
+  });
+};
+
+/**
+ * Run the aggregation `pipeline` given in `ctx.query` over the collection and
+ * call `fn(err, results)` with its results.
+ *
+ * Only the `$match`, `$group`, `$sort`, `$project`, `$limit` and `$unwind`
+ * stages are allowed. The BeforeRequest event runs with an `event` of
+ * `AGGREGATE` and may change the `pipeline`, eg. to add a `$match` stage.
+ * Get events do not run for the results, so `config.aggregate` restricts the
+ * endpoint to root unless it is opened up to everyone or to certain roles.
+ *
+ * @param {Context} ctx
+ * @param {Function} fn(err, results)
+ */
+
+Collection.prototype.aggregate = function (ctx, fn) {
+  var collection = this
+    , allowed = this.config.aggregate
+    , user = ctx.session && ctx.session.user
+    , pipeline = ctx.query && ctx.query.pipeline;
+
+  if (!ctx.session.isRoot && allowed !== true) {
+    var roles = (user && user.roles) || [];
+    if (!Array.isArray(allowed) || !_.intersection(allowed, roles).length) {
+      return fn({
+        message: "Not allowed to aggregate",
+        statusCode: 403
       });
+    }
+  }
 
-      prev.id = id;
-      item = obj;
-      domain['this'] = item;
-      domain.data = item;
-      domain.previous = prev;
+  if (typeof pipeline === 'string') {
+    try {
+      pipeline = JSON.parse(pipeline);
+    } catch (ex) {
+      return fn({message: 'pipeline must be valid JSON', statusCode: 400});
+    }
+  }
 
-      // disallow changes to id
-      domain.protect('id');
+  var beforeRequestDomain = { event: "AGGREGATE", pipeline: pipeline };
+  collection.addDomainAdditions(beforeRequestDomain);
+  collection.doBeforeRequestEvent(ctx, beforeRequestDomain, function(err, owners) {
+    if (err) return fn(err);
 
-      collection.execCommands('update', item, commands);
+    var stages;
+    try {
+      stages = collection.sanitizePipeline(beforeRequestDomain.pipeline);
+    } catch (ex) {
+      return fn(ex);
+    }
 
-      var errs = collection.validate(item);
+    // properties some objects hide from the user are left out of every object
+    var restricted = collection.getRestrictedFields(ctx, 'readableBy');
+    if (restricted.length) stages.unshift({$project: _.object(restricted, restricted.map(function () { return 0; }))});
 
-      if(errs) return done({errors: errs});
+    if (owners) stages.unshift({$match: ownerQuery(owners, userId(ctx.session))});
 
-      function runPutEvent(err) {
-        if(err) {
-          return done(err);
-        }
+    var hidden = collection.filterDeleted({});
+    if (Object.keys(hidden).length) stages.unshift({$match: hidden});
 
-        if(collection.shouldRunEvent(collection.events.Put, ctx)) {
-          collection.events.Put.run(ctx, domain, commit);
-        } else {
-          commit();
-        }
+    debug('aggregating %j', stages);
+    collection.store.aggregate(stages, fn);
+  });
+};
+
+/**
+ * Check that an aggregation `pipeline` only uses the allowed stages and
+ * return a sanitized copy. `$match` stages are sanitized like a query while
+ * the objects still have the collection's properties, that is before any
+ * `$group` or `$project`. Throws a `400` error for an invalid pipeline.
+ *
+ * @param {Array} pipeline
+ * @return {Array}
+ */
+
+Collection.prototype.sanitizePipeline = function (pipeline) {
+  var collection = this
+    , reshaped = false;
+
+  if (!Array.isArray(pipeline)) throw invalidPipeline('pipeline must be an array of stages');
+
+  return pipeline.map(function (stage) {
+    var keys = isObject(stage) ? Object.keys(stage) : []
+      , name = keys[0]
+      , val = stage && stage[name];
+
+    if (keys.length !== 1) throw invalidPipeline('each stage must have exactly one operator');
+    if (PIPELINE_STAGES.indexOf(name) === -1) throw invalidPipeline(name + ' is not an allowed stage');
+    checkExpression(val);
+
+    switch (name) {
+      case '$match':
+        if (!isObject(val)) throw invalidPipeline('$match must be an object');
+        return {$match: reshaped ? val : collection.sanitizeQuery(val)};
+      case '$limit':
+        if (typeof val === 'string') val = parseInt(val, 10);
+        if (typeof val !== 'number' || val < 1 || val % 1 !== 0) throw invalidPipeline('$limit must be a positive integer');
+        return {$limit: val};
+      case '$group':
+      case '$project':
+        reshaped = true;
+        if (!isObject(val)) throw invalidPipeline(name + ' must be an object');
+      break;
+      case '$sort':
+        if (!isObject(val)) throw invalidPipeline('$sort must be an object');
+        val = _.object(_.map(val, function (dir, key) { return [key, Number(dir) < 0 ? -1 : 1]; }));
+      break;
+    }
+
+    var result = {};
+    result[name] = val;
+    return result;
+  });
+};
+
+/**
+ * Execute a `delete` event script, if one exists, using each object found.
+ * Then remove a single object that matches the `ctx.query.id`. Finally call
+ * `fn(err)` passing an `error` if one occurred.
+ *
+ * If soft delete is enabled, the objects are only marked deleted and moved
+ * to the trash.
+ *
+ * @param {Context} ctx
+ * @param {Function} fn(err)
+ */
+
+Collection.prototype.remove = function (ctx, fn) {
+  var collection = this
+    , store = this.store
+    , query = ctx.query
+    , deletedField = this.getDeletedField()
+    , deleteType = deletedField ? 'soft' : 'hard';
+
+  if(!(query && query.id)) return fn('You must include a query with an id when deleting an object from a collection.');
+
+  var denied = collection.stripHiddenQuery(ctx, query);
+  if (denied) return fn(denied);
+
+  function doRemove() {
+    // sanitize the query once access rules and BeforeRequest may have changed it
+    var sanitizedQuery = collection.filterDeleted(collection.sanitizeQuery(query));
+
+    store.find(sanitizedQuery, function (err, result) {
+      if(err) {
+        return fn(err);
       }
 
-      function commit(err) {
-        if(err || domain.hasErrors()) {
-          return done(err || errors);
+      // if a single id was passed and it wasn't found, we'll get undefined
+      // convert it to an empty array which will be handled below
+      if (typeof result === 'undefined') {
+        result = [];
+      }
+      // convert result to an array if it is not
+      if (!Array.isArray(result)) {
+        result = [result];
+      }
+
+      // nothing to delete
+      if (result.length === 0) {
+        return fn(null, { count: 0 });
+      }
+
+      var ifMatch = collection.getPrecondition(ctx, 'if-match');
+      if (ifMatch && !result.every(function (data) { return etagMatches(ifMatch, collection.getETag(data)); })) {
+        return fn(preconditionFailed());
+      }
+
+      collection.runDeleteEvents(ctx, result, deleteType, function (err, idsToDelete, data) {
+        if (err) return fn(err);
+        if (!idsToDelete.length) return fn(null, { count: 0 });
+
+        var removeQuery = { id: { $in: idsToDelete } };
+        if (ifMatch && result.length === 1) {
+          // only delete the object if it wasn't updated in the meantime
+          removeQuery = { id: data.id };
+          removeQuery[collection.config.versionField] = data[collection.config.versionField];
         }
 
-        var updateObject = domain.getUpdateObject();
+        function removed(err, removed) {
+          if (!err && removeQuery.hasOwnProperty(collection.config.versionField) && removed && removed.count === 0) {
+            return fn(preconditionFailed());
+          }
+          collection.doAfterCommitEvent('DELETE', ctx, data, undefined, {deleteType: deleteType});
+          if (!err) {
+            result.forEach(function (obj) {
+              if (idsToDelete.indexOf(obj.id) === -1) return;
+              collection.recordRevision('DELETE', ctx, null, obj, {deleteType: deleteType});
+            });
+          }
+
+          // soft deleted objects can still be restored, so their references are kept
+          if (err || deletedField) return fn(err, removed);
+          collection.applyOnDelete(ctx, idsToDelete, function (err) {
+            fn(err, removed);
+          });
+        }
 
-        if ((Object.keys(prev).length > 0) && (Object.keys(updateObject).length === 0)) {
-          // if we're protecting everything just return the item, nothing will actually be saved
-          return done(null, item);
+        if (deletedField) {
+          var update = {};
+          update[deletedField] = new Date();
+          store.update(collection.filterDeleted(removeQuery), update, removed);
+        } else {
+          store.remove(removeQuery, removed);
         }
-      
-        store.update({id: query.id}, updateObject, function (err) {
-          if(err) return done(err);
+      });
+    });
+  }
 
-          collection.doAfterCommitEvent('PUT', ctx, item, prev);
-          done(null, item);
-        });
-      }
+  var beforeRequestDomain = { event: "DELETE", deleteType: deleteType };
+  collection.addDomainAdditions(beforeRequestDomain);
+  collection.doBeforeRequestEvent(ctx, beforeRequestDomain, function(err) {
+    if (err) return fn(err);
+    doRemove();
+  });
+};
 
-      if (collection.shouldRunEvent(collection.events.Validate, ctx)) {
-        collection.events.Validate.run(ctx, domain, function (err) {
-          if(err || domain.hasErrors()) return done(err || errors);
-          runPutEvent(err);
+/**
+ * Take the soft deleted object matching `ctx.query.id` out of the trash. The
+ * Delete event runs with a `deleteType` of `restore` and may `cancel()` it.
+ *
+ * @param {Context} ctx
+ * @param {Function} fn(err, result)
+ */
+
+Collection.prototype.restore = function (ctx, fn) {
+  var collection = this
+    , store = this.store
+    , deletedField = this.getDeletedField()
+    , query = this.filterDeleted({id: ctx.query.id}, true);
+
+  function doRestore() {
+    store.first(query, function (err, data) {
+      if(err) return fn(err);
+      if(!data) return fn({message: 'not found', statusCode: 404});
+
+      collection.runDeleteEvents(ctx, [data], 'restore', function (err) {
+        if(err) return fn(err);
+
+        var update = {};
+        update[deletedField] = {$unset: true};
+
+        store.update(query, update, function (err) {
+          if(err) return fn(err);
+
+          var previous = _.clone(data);
+          delete data[deletedField];
+          collection.doAfterCommitEvent('DELETE', ctx, data, undefined, {deleteType: 'restore'});
+          collection.recordRevision('DELETE', ctx, data, previous, {deleteType: 'restore'});
+          fn(null, data);
         });
-      } else {
-        runPutEvent();
-      }
+      });
     });
   }
 
-  function post() {
-    collection.execCommands('update', item, commands);
-    var errs = collection.validate(item, true);
+  var beforeRequestDomain = { event: "DELETE", deleteType: 'restore' };
+  collection.addDomainAdditions(beforeRequestDomain);
+  collection.doBeforeRequestEvent(ctx, beforeRequestDomain, function(err) {
+    if (err) return fn(err);
+    doRestore();
+  });
+};
 
-    if(errs) return done({errors: errs});
+/**
+ * Permanently remove soft deleted objects matching `ctx.query` from the trash.
+ * Only root may purge. The Delete event runs with a `deleteType` of `purge`.
+ *
+ * @param {Context} ctx
+ * @param {Function} fn(err, result)
+ */
 
-    // generate id before event listener
-    item.id = store.createUniqueIdentifier();
-    
-    function commit(){
-      var updateObject = domain.getUpdateObject();
+Collection.prototype.purge = function (ctx, fn) {
+  var collection = this
+    , store = this.store
+    , sanitizedQuery = this.filterDeleted(this.sanitizeQuery(ctx.query || {}), true);
 
-      store.insert(updateObject, function(err, data) {
-        if (err) return done(err);
-        collection.doAfterCommitEvent('POST', ctx, item);
-        done(null, data);
-      });
-    }
+  if (!ctx.session.isRoot) {
+    return fn({
+      message: "Must be root to purge",
+      statusCode: 403
+    });
+  }
 
-    if(collection.shouldRunEvent(collection.events.Post, ctx)) {
-      collection.events.Post.run(ctx, domain, function (err) {
-        if(err) {
-          debug('onPost script error %j', err);
-          return done(err);
-        }
-        if(err || domain.hasErrors()) return done(err || errors);
-        debug('inserting item', item);
+  function doPurge() {
+    store.find(sanitizedQuery, function (err, result) {
+      if(err) return fn(err);
 
-        commit();
+      if (!result) result = [];
+      if (!Array.isArray(result)) result = [result];
+      if (!result.length) return fn(null, { count: 0 });
+
+      collection.runDeleteEvents(ctx, result, 'purge', function (err, idsToDelete, data) {
+        if (err) return fn(err);
+        if (!idsToDelete.length) return fn(null, { count: 0 });
+
+        store.remove({ id: { $in: idsToDelete } }, function (err, removed) {
+          if (err) return fn(err);
+
+          collection.doAfterCommitEvent('DELETE', ctx, data, undefined, {deleteType: 'purge'});
+          result.forEach(function (obj) {
+            if (idsToDelete.indexOf(obj.id) === -1) return;
+            collection.recordRevision('DELETE', ctx, null, obj, {deleteType: 'purge'});
+          });
+          collection.applyOnDelete(ctx, idsToDelete, function (err) {
+            fn(err, removed);
+          });
+        });
       });
-    } else {
-      commit();
-    }
+    });
   }
 
-  var beforeRequestDomain = { event: "POST", data: item };
+  var beforeRequestDomain = { event: "DELETE", deleteType: 'purge' };
   collection.addDomainAdditions(beforeRequestDomain);
+  collection.doBeforeRequestEvent(ctx, beforeRequestDomain, function(err) {
+    if (err) return fn(err);
+    doPurge();
+  });
+};
 
-  if (query.id) {
-    beforeRequestDomain.event = "PUT";
-    collection.doBeforeRequestEvent(ctx, beforeRequestDomain, function(err) {
+/**
+ * Run the Delete event for each object in `result`, with the given `deleteType`
+ * (`hard`, `soft`, `restore` or `purge`) available to the script. Calls back with
+ * the ids of the objects the event didn't cancel, and the last of those objects.
+ * Unless restoring, fails if any of them are referenced with `onDelete: restrict`.
+ *
+ * @param {Context} ctx
+ * @param {Array} result
+ * @param {String} deleteType
+ * @param {Function} fn(err, ids, data)
+ */
+
+Collection.prototype.runDeleteEvents = function (ctx, result, deleteType, fn) {
+  var collection = this
+    , remaining = result.length
+    , ids = []
+    , last
+    , finished = false
+    , errors;
+
+  function done(data, err) {
+    if (finished) return;
+    remaining--;
+
+    if (result.length === 1 && err) {
+      // we only have one row to delete but an error has occured, pass it through
+      finished = true;
+      return fn(err);
+    }
+
+    if (err && err instanceof Error) {
+      // only halt execution if an actual error was thrown from the script
+      // cancel() from within the script is not an instance of Error, so it will be ignored by this
+      finished = true;
+      return fn(err);
+    } else if (!err) {
+      // script executed without an error, this id will be deleted
+      ids.push(data.id);
+      last = data;
+    }
+
+    if (remaining) return;
+    if (deleteType === 'restore' || !ids.length) return fn(null, ids, last);
+
+    collection.checkReferences(ctx, ids, function (err) {
       if (err) return fn(err);
-      put();
+      fn(null, ids, last);
     });
-  } else if (collection.shouldRunEvent(collection.events.Validate, ctx)) {
-    collection.doBeforeRequestEvent(ctx, beforeRequestDomain, function(err) {
-      if (err) return fn(err);
-      collection.events.Validate.run(ctx, domain, function (err) {
-        if(err || domain.hasErrors()) return done(err || errors);
-        post();
-      });
+  }
+
+  result.forEach(function(data) {
+    if (collection.shouldRunEvent(collection.events.Delete, ctx)) {
+      var domain = collection.createDomain(data, errors);
+      domain.deleteType = deleteType;
+      collection.events.Delete.run(ctx, domain, function (err) { done(data, err); });
+    } else {
+      done(data);
+    }
+  });
+};
+
+/**
+ * Find the `reference` properties, in any collection of the server, that point
+ * at this collection and declare an `onDelete` action of `cascade`, `restrict`
+ * or `setNull`. References may also be the `items` of an array property.
+ *
+ * @param {Context} ctx
+ * @return {Array} a list of `{collection, key, action, many}`
+ */
+
+Collection.prototype.getReferrers = function (ctx) {
+  var target = collectionPath(this.path)
+    , referrers = [];
+
+  ((ctx.server && ctx.server.resources) || []).forEach(function (resource) {
+    if (!(resource instanceof Collection)) return;
+
+    _.each(resource.properties || {}, function (prop, key) {
+      var many = !!prop && prop.type === 'array'
+        , ref = many ? prop.items : prop;
+
+      if (!ref || ref.type !== 'reference' || collectionPath(ref.collection) !== target) return;
+      if (ON_DELETE_ACTIONS.indexOf(ref.onDelete) === -1) return;
+
+      referrers.push({collection: resource, key: key, action: ref.onDelete, many: many});
     });
+  });
+
+  return referrers;
+};
+
+/**
+ * Call `fn(err)` with a `409` error if any object references one of the `ids`
+ * with `onDelete: restrict`. Objects in the trash don't count.
+ *
+ * @param {Context} ctx
+ * @param {Array} ids
+ * @param {Function} fn(err)
+ */
+
+Collection.prototype.checkReferences = function (ctx, ids, fn) {
+  var restricted = this.getReferrers(ctx).filter(function (r) { return r.action === 'restrict'; })
+    , remaining = restricted.length
+    , finished;
+
+  if (!remaining) return fn();
+
+  restricted.forEach(function (referrer) {
+    var query = {};
+    query[referrer.key] = {$in: ids};
+
+    referrer.collection.store.count(referrer.collection.filterDeleted(query), function (err, count) {
+      if (finished) return;
+      if (err || count) {
+        finished = true;
+        return fn(err || {
+          message: 'Cannot delete, still referenced by ' + referrer.collection.path + ' (' + referrer.key + ')',
+          statusCode: 409
+        });
+      }
+      if (!--remaining) fn();
+    });
+  });
+};
+
+/**
+ * Apply the `onDelete` actions of references to the removed `ids`. With
+ * `cascade` the referencing objects are deleted through the internal client,
+ * so their own Delete events run, and with `setNull` the references are set to
+ * `null` (or pulled from arrays of references). Both act as root, since the
+ * delete they follow from was already allowed; `restrict` references were
+ * checked before it (see `runDeleteEvents()`).
+ *
+ * @param {Context} ctx
+ * @param {Array} ids
+ * @param {Function} fn(err)
+ */
+
+Collection.prototype.applyOnDelete = function (ctx, ids, fn) {
+  var referrers = this.getReferrers(ctx).filter(function (r) { return r.action !== 'restrict'; })
+    , remaining = referrers.length
+    , finished;
+
+  function next(err) {
+    if (finished) return;
+    if (err || !--remaining) {
+      finished = true;
+      fn(err || null);
+    }
+  }
+
+  if (!remaining) return fn(null);
+
+  referrers.forEach(function (referrer) {
+    var child = referrer.collection
+      , query = {}
+      , update = {};
+
+    query[referrer.key] = {$in: ids};
+
+    if (referrer.action === 'setNull') {
+      update[referrer.key] = referrer.many ? {$pullAll: ids} : null;
+      return child.store.update(query, update, function (err) { next(err); });
+    }
+
+    var client = rootClient(ctx, child.path);
+    if (!client) return next({message: 'cannot delete from ' + child.path + ', it is not a collection', statusCode: 500});
+
+    query.$fields = {id: 1};
+    child.store.find(query, function (err, children) {
+      if (err) return next(err);
+      if (!children || !children.length) return next();
+
+      client.del({id: {$in: _.pluck(children, 'id')}}, function (result, err) {
+        next(err);
+      });
+    });
+  });
+};
+
+/**
+ * Record a revision of an object in the history store, if `config.history` is
+ * enabled. `data` is the object after the change (`null` once deleted) and
+ * `previous` the object before it (`null` when created). Failures are only
+ * logged, since the change itself was already committed.
+ *
+ * @param {String} method
+ * @param {Context} ctx
+ * @param {Object} data
+ * @param {Object} previous
+ * @param {Object} extra - additional fields of the revision, eg. `deleteType`
+ */
+
+Collection.prototype.recordRevision = function (method, ctx, data, previous, extra) {
+  var historyStore = this.historyStore
+    , session = ctx.session && ctx.session.data
+    , id = (data && data.id) || (previous && previous.id);
+
+  if (!historyStore || !id) return;
+
+  data = data ? this.getRevisionSnapshot(data) : null;
+  previous = previous ? this.getRevisionSnapshot(previous) : null;
+
+  historyStore.increment(REVISION_COUNTER_PREFIX + id, 'rev', function (err, rev) {
+    if (err) return debug('could not record revision of %s: %j', id, err);
+
+    var revision = _.extend({
+      objectId: id,
+      rev: rev,
+      method: method,
+      data: data,
+      previous: previous,
+      diff: diff(previous, data),
+      uid: (session && session.uid) || null,
+      timestamp: new Date()
+    }, extra);
+
+    historyStore.insert(revision, function (err) {
+      if (err) debug('could not record revision of %s: %j', id, err);
+    });
+  });
+};
+
+/**
+ * Get the copy of `obj` that is kept in its history, without untracked properties.
+ *
+ * @param {Object} obj
+ * @return {Object} snapshot
+ */
+
+Collection.prototype.getRevisionSnapshot = function (obj) {
+  var collection = this
+    , snapshot = patch.clone(obj);
+
+  Object.keys(snapshot).forEach(function (key) {
+    if (!collection.isTrackedProperty(key)) delete snapshot[key];
+  });
+
+  return snapshot;
+};
+
+/**
+ * Get the revisions of the object matching `ctx.query.id`, oldest first. Unless
+ * root, the object itself must be readable by the request.
+ *
+ * @param {Context} ctx
+ * @param {Function} fn(err, revisions)
+ */
+
+Collection.prototype.history = function (ctx, fn) {
+  var collection = this
+    , id = ctx.query.id;
+
+  function readHistory() {
+    collection.historyStore.find({objectId: id, $sort: {rev: 1}}, function (err, revisions) {
+      if (err) return fn(err);
+
+      (revisions || []).forEach(function (revision) {
+        collection.getRestrictedFields(ctx, 'readableBy', revision.data || revision.previous).forEach(function (key) {
+          if (revision.data) delete revision.data[key];
+          if (revision.previous) delete revision.previous[key];
+          if (revision.diff) delete revision.diff[key];
+        });
+      });
+      fn(null, revisions || []);
+    });
+  }
+
+  if (ctx.session.isRoot) return readHistory();
+
+  ctx.query = {id: id};
+  collection.find(ctx, function (err) {
+    if (err) return fn(err);
+    readHistory();
+  });
+};
+
+/**
+ * Revert the object matching `ctx.query.id` to the state recorded by revision
+ * `rev`. The revert is saved like any other update, running its events and
+ * recording a new revision.
+ *
+ * @param {Context} ctx
+ * @param {String} rev
+ * @param {Function} fn(err, result)
+ */
+
+Collection.prototype.revert = function (ctx, rev, fn) {
+  var collection = this
+    , id = ctx.query.id;
+
+  this.historyStore.first({objectId: id, rev: Number(rev)}, function (err, revision) {
+    if (err) return fn(err);
+    if (!revision) return fn({message: 'revision not found', statusCode: 404});
+    if (!revision.data) return fn({message: 'cannot revert to a deleted object', statusCode: 400});
+
+    // dates are stored as dates, but saved from their JSON form like any other request
+    var body = JSON.parse(JSON.stringify(revision.data))
+      , unset = {};
+
+    delete body.id;
+
+    // properties the object didn't have at that revision are removed
+    Object.keys(collection.properties || {}).forEach(function (key) {
+      if (!body.hasOwnProperty(key) && collection.isTrackedProperty(key)) unset[key] = true;
+    });
+    if (Object.keys(unset).length) body.$unset = unset;
+
+    ctx.body = body;
+    ctx.query = {id: id};
+    collection.save(ctx, collection.respondWithETag(ctx, fn));
+  });
+};
+
+/**
+ * Whether a property is kept in the history of objects. Untracked properties
+ * are left alone when reverting.
+ *
+ * @param {String} property
+ * @return {Boolean}
+ */
+
+Collection.prototype.isTrackedProperty = function (property) {
+  return true;
+};
+
+/**
+ * Execute the onPost or onPut listener. If it succeeds,
+ * save the given item in the collection.
+ *
+ * A `PATCH` request body is treated as a JSON Patch (an array of operations)
+ * or a JSON Merge Patch (an object), and is applied to the stored object
+ * before it runs through the Validate and Put events.
+ *
+ * @param {Context} ctx
+ * @param {Function} fn(err, result)
+ */
+
+Collection.prototype.save = function (ctx, fn) {
+  var collection = this
+    , store = this.store
+    , item = ctx.body
+    , patchDoc = ctx.req && ctx.req.method === 'PATCH' && item
+    , versionField = this.config && this.config.versionField
+    , timestamps = this.getTimestampFields()
+    , managed = _.values(timestamps).concat(this.getDeletedField() || [])
+
+    , query = ctx.query || {}
+    , errors = {};
+
+  if(!item) return done('You must include an object when saving or updating.');
+
+  // build command object
+  var commands = patchDoc ? {} : this.getCommands(item);
+
+  item = patchDoc ? {} : this.sanitize(item);
+
+  // commanded properties are set by executing their commands
+  Object.keys(commands).forEach(function (key) {
+    if (key.indexOf('.') === -1) delete item[key];
+  });
+
+  // the version, timestamps and deletion mark can only be changed by the collection
+  if (versionField) delete item[versionField];
+  managed.forEach(function (field) {
+    delete item[field];
+    delete commands[field];
+  });
+
+  // the properties the request writes, to check against their writableBy rules
+  var commanded = _.uniq(Object.keys(commands).map(function (key) { return key.split('.')[0]; }))
+    , written = _.union(Object.keys(item), commanded);
+
+  // handle id on either body or query
+  if(item.id) {
+    query.id = item.id;
+  }
+
+  debug('saving %j with id %s', item, query.id);
+
+  function done(err, item) {
+    errors = domain && domain.hasErrors() && {errors: errors};
+    debug('errors: %j', err);
+    if (!errors && !err) collection.hideFields(ctx, item);
+    fn(errors || err, item);
+  }
+
+  var domain = collection.createDomain(item, errors, true);
+
+  function put() {
+    var id = query.id
+      , sanitizedQuery = collection.filterDeleted(collection.sanitizeQuery(query))
+      , prev = {}
+      , removed = [];
+
+    store.first(sanitizedQuery, function(err, obj) {
+      if(!obj) {
+        if (Object.keys(sanitizedQuery) === 1) {
+          return done(new Error("No object exists with that id"));
+        } else {
+          return done(new Error("No object exists that matches that query"));
+        }
+      }
+      if(err) return done(err);
+
+      var ifMatch = collection.getPrecondition(ctx, 'if-match');
+      if (ifMatch && !etagMatches(ifMatch, collection.getETag(obj))) {
+        return done(preconditionFailed());
+      }
+
+      // copy previous obj
+      Object.keys(obj).forEach(function (key) {
+        prev[key] = patch.clone(obj[key]);
+      });
+
+      if (patchDoc) {
+        // copying, moving or testing a property reveals its value
+        var unreadable = collection.checkReadable(ctx, patchReads(patchDoc, Object.keys(collection.properties || {})), prev);
+        if (unreadable) return done(unreadable);
+
+        try {
+          removed = collection.applyPatch(obj, patchDoc, item);
+        } catch (ex) {
+          return done(ex);
+        }
+
+        managed.forEach(function (field) {
+          delete item[field];
+        });
+        removed = _.difference(removed, managed);
+      }
+
+      // properties sent back unchanged don't count as written
+      var changed = (patchDoc ? _.union(Object.keys(item), removed) : written).filter(function (key) {
+        return commanded.indexOf(key) !== -1 || !_.isEqual(item[key], prev[key]);
+      });
+      var denied = collection.checkWritable(ctx, changed, prev);
+      if (denied) return done(denied);
+
+      // only root and scripts may hand an object over to other owners
+      var transferred = _.intersection(changed, collection.getOwnerFields());
+      if (transferred.length && !(ctx.session && ctx.session.isRoot) && !(ctx.req && ctx.req.internal)) {
+        return done({message: 'You are not allowed to write ' + transferred.join(', '), statusCode: 403});
+      }
+
+      // merge changes
+      var changes = item;
+      Object.keys(changes).forEach(function (key) {
+        obj[key] = changes[key];
+      });
+      removed.forEach(function (key) {
+        delete obj[key];
+      });
+
+      prev.id = id;
+      item = obj;
+      domain['this'] = item;
+      domain.data = item;
+      domain.previous = prev;
+
+      // disallow changes to id
+      domain.protect('id');
+
+      setTimestamps(domain, timestamps, ctx, false);
+
+      collection.execCommands('update', item, commands);
+
+      // remember the result of the commands, to tell whether an event changed it later on.
+      // properties also set by the body can't be updated atomically
+      var executed = {};
+      Object.keys(commands).forEach(function (key) {
+        var root = key.split('.')[0];
+        if (!changes.hasOwnProperty(root)) executed[root] = patch.clone(item[root]);
+      });
+
+      // root may change read only properties, eg. from the dashboard
+      var errs = collection.validate(item, false, ctx.req && ctx.req.isRoot ? null : prev);
+
+      removed.forEach(function (key) {
+        if (collection.properties[key].required) {
+          errs = errs || {};
+          errs[key] = 'is required';
+        }
+      });
+
+      if(errs) return done({errors: errs});
+
+      function runPutEvent(err) {
+        if(err) {
+          return done(err);
+        }
+
+        if(collection.shouldRunEvent(collection.events.Put, ctx)) {
+          collection.events.Put.run(ctx, domain, commit);
+        } else {
+          commit();
+        }
+      }
+
+      function commit(err) {
+        if(err || domain.hasErrors()) {
+          return done(err || errors);
+        }
+
+        var updateObject = domain.getUpdateObject();
+
+        collection.addAtomicCommands(updateObject, commands, prev, executed, domain.protectedProperties);
+
+        // properties removed by a patch need to be unset in the store
+        removed.forEach(function (key) {
+          if (domain.protectedProperties.indexOf(key) !== -1) return;
+          updateObject.$unset = updateObject.$unset || {};
+          updateObject.$unset[key] = '';
+        });
+
+        if ((Object.keys(prev).length > 0) && (Object.keys(updateObject).length === 0)) {
+          // if we're protecting everything just return the item, nothing will actually be saved
+          return done(null, item);
+        }
+
+        var updateQuery = {id: query.id};
+        if (versionField) {
+          // only update the version we read, so concurrent updates can't overwrite each other
+          delete updateObject[versionField];
+          updateObject.$inc = updateObject.$inc || {};
+          updateObject.$inc[versionField] = 1;
+          updateQuery[versionField] = prev[versionField];
+        }
+      
+        store.update(updateQuery, updateObject, function (err, updated) {
+          if(err) return done(uniqueErrors(collection, err) || err);
+          if (versionField && updated && updated.count === 0) return done(preconditionFailed());
+
+          if (versionField) item[versionField] = (prev[versionField] || 0) + 1;
+          collection.doAfterCommitEvent('PUT', ctx, item, prev);
+          collection.recordRevision('PUT', ctx, item, prev);
+          done(null, item);
+        });
+      }
+
+      collection.checkUnique(item, prev, function (err, errs) {
+        if(err) return done(err);
+        if(errs) return done({errors: errs});
+
+        if (collection.shouldRunEvent(collection.events.Validate, ctx)) {
+          collection.events.Validate.run(ctx, domain, function (err) {
+            if(err || domain.hasErrors()) return done(err || errors);
+            runPutEvent(err);
+          });
+        } else {
+          runPutEvent();
+        }
+      });
+    });
+  }
+
+  function post() {
+    var denied = collection.checkWritable(ctx, written, item) || claimOwnerFields(collection, ctx, item);
+    if (denied) return done(denied);
+
+    setTimestamps(domain, timestamps, ctx, true);
+    collection.execCommands('update', item, commands);
+    var errs = collection.validate(item, true);
+
+    if(errs) return done({errors: errs});
+
+    function commit(){
+      var updateObject = domain.getUpdateObject();
+
+      store.insert(updateObject, function(err, data) {
+        if (err) return done(uniqueErrors(collection, err) || err);
+        collection.doAfterCommitEvent('POST', ctx, item);
+        collection.recordRevision('POST', ctx, item);
+        done(null, data);
+      });
+    }
+
+    collection.checkUnique(item, null, function (err, errs) {
+      if(err) return done(err);
+      if(errs) return done({errors: errs});
+
+      // generate id before event listener
+      item.id = store.createUniqueIdentifier();
+      if (versionField) item[versionField] = 1;
+
+      if(collection.shouldRunEvent(collection.events.Post, ctx)) {
+        collection.events.Post.run(ctx, domain, function (err) {
+          if(err) {
+            debug('onPost script error %j', err);
+            return done(err);
+          }
+          if(err || domain.hasErrors()) return done(err || errors);
+          debug('inserting item', item);
+
+          commit();
+        });
+      } else {
+        commit();
+      }
+    });
+  }
+
+  var beforeRequestDomain = { event: "POST", data: item };
+  collection.addDomainAdditions(beforeRequestDomain);
+
+  if (patchDoc) {
+    // a patch is an update, so it runs through the same checks as a PUT
+    beforeRequestDomain.patch = patchDoc;
+  }
+
+  if (query.id) {
+    beforeRequestDomain.event = "PUT";
+    collection.doBeforeRequestEvent(ctx, beforeRequestDomain, function(err) {
+      if (err) return fn(err);
+      put();
+    });
+  } else if (collection.shouldRunEvent(collection.events.Validate, ctx)) {
+    collection.doBeforeRequestEvent(ctx, beforeRequestDomain, function(err) {
+      if (err) return fn(err);
+      collection.events.Validate.run(ctx, domain, function (err) {
+        if(err || domain.hasErrors()) return done(err || errors);
+        post();
+      });
+    });
+  } else {
+    collection.doBeforeRequestEvent(ctx, beforeRequestDomain, function(err) {
+      if (err) return fn(err);
+      post();
+    });
+  }
+};
+
+/**
+ * Apply a PATCH request body to a copy of the stored object `obj`. The patched
+ * properties are sanitized into `changes`, and the names of the properties the
+ * patch removed are returned.
+ *
+ * Throws `{message, statusCode}` if the patch can not be applied.
+ *
+ * @param {Object} obj
+ * @param {Object|Array} patchDoc
+ * @param {Object} changes
+ * @return {Array} removed properties
+ */
+
+Collection.prototype.applyPatch = function (obj, patchDoc, changes) {
+  var props = this.properties || {}
+    , patched = patch.clone(obj)
+    , removed = [];
+
+  if (patch.isJsonPatch(patchDoc)) {
+    patch.apply(patched, patchDoc);
+  } else if (patchDoc && typeof patchDoc === 'object') {
+    patch.merge(patched, patchDoc);
+  } else {
+    throw {message: 'PATCH body must be a JSON Patch or a JSON Merge Patch', statusCode: 400};
+  }
+
+  var sanitized = this.sanitize(patched);
+
+  Object.keys(props).forEach(function (key) {
+    if (sanitized.hasOwnProperty(key)) {
+      if (!_.isEqual(sanitized[key], obj[key])) changes[key] = sanitized[key];
+    } else if (obj.hasOwnProperty(key) && !patched.hasOwnProperty(key)) {
+      removed.push(key);
+    }
+  });
+
+  return removed;
+};
+
+Collection.prototype.createDomain = function(data, errors, persistable) {
+  var collection = this;
+
+  var hasErrors = false;
+  var domain = {
+    hiddenProperties: [],
+    error: function(key, val) {
+      debug('error %s %s', key, val);
+      errors[key] = val || true;
+      hasErrors = true;
+    },
+    errorIf: function(condition, key, value) {
+      if (condition) {
+        domain.error(key, value);
+      }
+    },
+    errorUnless: function(condition, key, value) {
+      domain.errorIf(!condition, key, value);
+    },
+    hasErrors: function() {
+      return hasErrors;
+    },
+    hide: function(property, toggle) {
+      if (typeof toggle === 'undefined') { toggle = true; }
+
+      if (domain.data.hasOwnProperty(property)) {
+        if (toggle && domain.hiddenProperties.indexOf(property) === -1) {
+          domain.hiddenProperties.push(property);
+        } else if (domain.hiddenProperties.indexOf(property) !== -1) {
+          domain.hiddenProperties.splice(domain.hiddenProperties.indexOf(property), 1);
+        }
+
+        Object.defineProperty(domain.data, property, {
+          value: domain.data[property],
+          enumerable: toggle ? false : true
+        });
+      }
+    },
+    unhide: function(property) {
+      domain.hide(property, false);
+    },
+    'this': data,
+    data: data
+  };
+  collection.addDomainAdditions(domain);
+
+  // additional domain additions for when the domain is used to persist data (such as POST/PUT)
+  if (persistable) {
+    domain.previous = {};
+
+    domain.protectedProperties = [];
+    domain.protect = function(property, toggle) {
+      if (typeof toggle === 'undefined') { toggle = true; }
+
+      if (domain.data.hasOwnProperty(property) && toggle && domain.protectedProperties.indexOf(property) === -1) {
+        domain.protectedProperties.push(property);
+        Object.defineProperty(domain.data, property, {
+          get: function() {
+            return domain.previous[property];
+          },
+          set: function() {
+            throw new TypeError("Cannot modify protected property '" + property + "'");
+          },
+          configurable: true
+        });
+      } else if (domain.data.hasOwnProperty(property) && !toggle && domain.protectedProperties.indexOf(property) !== -1) {
+        domain.protectedProperties.splice(domain.protectedProperties.indexOf(property), 1);
+        var previousValue = domain.data[property];
+        delete domain.data[property];
+        domain.data[property] = previousValue;
+      }
+    };
+
+    domain.unprotect = function(property) {
+      domain.protect(property, false);
+    };
+
+    domain.changed = function (property) {
+      if(domain.data.hasOwnProperty(property)) {
+        if(domain.previous && _.isEqual(domain.previous[property], domain.data[property])) {
+          return false;
+        }
+
+        return true;
+      }
+      return false;
+    };
+
+    domain.getUpdateObject = function() {
+      var result = {};
+
+      // this is needed to ensure that hidden (nonenumerable) properties are copied to the update object
+      Object.getOwnPropertyNames(domain.data).forEach(function (key) {
+        result[key] = domain.data[key];
+      });
+        
+      domain.protectedProperties.forEach(function (key) {
+        if (key && result.hasOwnProperty(key)) delete result[key];
+      });
+
+      return result;
+    };
+  }
+  return domain;
+};
+
+Collection.prototype.addDomainAdditions = function(domain) {
+  var collection = this;
+  _.each(Collection.domainAdditions, function(value, name) {
+    if (typeof value === "function") {
+      // bind `this` to collection on any added functions
+      domain[name] = value.bind({collection: collection, domain: domain});
+    } else {
+      domain[name] = value;
+    }
+  });
+};
+
+Collection.prototype.doAfterCommitEvent = function(method, ctx, data, previous, extra) {
+  var collection = this;
+  if (collection.shouldRunEvent(collection.events.AfterCommit, ctx)) {
+    data = _.clone(data);
+   
+    var domain = _.extend({data: data, 'this': data, method: method, previous: previous}, extra);
+    collection.addDomainAdditions(domain);
+    collection.events.AfterCommit.run(ctx, domain, function (err) {
+      if (err) debug('AfterCommit errors in script: %j', err);
+    });
+  }
+};
+
+Collection.prototype.doBeforeRequestEvent = function(ctx, domain, fn) {
+  var collection = this;
+  this.authorize(ctx, domain, function (err, owners) {
+    if (err) return fn(err);
+    if (collection.shouldRunEvent(collection.events.BeforeRequest, ctx)) {
+      collection.events.BeforeRequest.run(ctx, domain, function (err) {
+        fn(err, owners);
+      });
+    } else {
+      fn(null, owners);
+    }
+  });
+};
+
+/**
+ * Enforce the `config.access` rules for the request the BeforeRequest `domain`
+ * is about to run for. Rules are set per method (`get`, `post`, `put` and
+ * `delete`) as one rule or a list of rules, any of which grants access:
+ *
+ *   - `public`          anyone
+ *   - `authenticated`   any logged in user
+ *   - `role:<name>`     users with the role
+ *   - `owner:<field>`   users whose id is the `field` of the object
+ *
+ * Methods without rules are open, and root passes every rule. Owner rules
+ * limit queries to the objects the user owns, and new objects are owned by
+ * the user creating them, even if only other methods have owner rules. Only
+ * root and scripts may change the owner of an object.
+ *
+ * Calls back with the owner fields the request is limited to, if any.
+ *
+ * @param {Context} ctx
+ * @param {Object} domain
+ * @param {Function} fn(err, owners)
+ */
+
+Collection.prototype.authorize = function (ctx, domain, fn) {
+  var method = ACCESS_METHODS[domain.event]
+    , uid = userId(ctx.session)
+    , id = ctx.query && ctx.query.id
+    , owners;
+
+  try {
+    owners = this.checkAccess(ctx, method);
+  } catch (err) {
+    return fn(err);
+  }
+  if (!owners) return fn();
+
+  if (domain.event === 'POST') {
+    var data = domain.data || {};
+    if (!isOwner(data, owners, uid)) {
+      if (data[owners[0]] !== undefined && data[owners[0]] !== null) return fn(this.forbidden(method));
+      data[owners[0]] = uid;
+    }
+    return fn();
+  }
+
+  // aggregate() matches the objects the user owns itself
+  if (domain.event === 'AGGREGATE') return fn(null, owners);
+
+  if (typeof id === 'string' && domain.event !== 'GET') {
+    var collection = this;
+    return this.store.first({id: id}, function (err, obj) {
+      if (err) return fn(err);
+      if (obj && !isOwner(obj, owners, uid)) return fn(collection.forbidden(method));
+      fn(null, owners);
+    });
+  }
+
+  ctx.query.$and = (ctx.query.$and || []).concat(ownerQuery(owners, uid));
+  fn(null, owners);
+};
+
+/**
+ * Check the `config.access` rules for `method` against the session of `ctx`.
+ * Returns nothing if access is granted, or the owner fields of the objects
+ * the user may access. Throws a `401` error for logged out users, and a `403`
+ * error if no rule grants access.
+ *
+ * @param {Context} ctx
+ * @param {String} method
+ * @return {Array}
+ */
+
+Collection.prototype.checkAccess = function (ctx, method) {
+  var rules = method && this.config.access && this.config.access[method]
+    , session = ctx.session || {}
+    , owners = [];
+
+  if (rulesAllow(rules, session)) return;
+
+  if (!userId(session)) {
+    throw {message: 'You must be logged in', statusCode: 401};
+  }
+
+  [].concat(rules).forEach(function (rule) {
+    var parsed = parseRule(rule);
+    if (parsed.type === 'owner' && parsed.arg) owners.push(parsed.arg);
+  });
+
+  if (!owners.length) throw this.forbidden(method);
+  return owners;
+};
+
+/**
+ * The fields that make a user the owner of an object for `readableBy` and
+ * `writableBy` rules of just `owner`: those named by the `owner:<field>`
+ * rules in `config.access`.
+ *
+ * @return {Array}
+ */
+
+Collection.prototype.getOwnerFields = function () {
+  var owners = [];
+
+  _.each(this.config.access || {}, function (rules) {
+    [].concat(rules).forEach(function (rule) {
+      var parsed = parseRule(rule);
+      if (parsed.type === 'owner' && parsed.arg && owners.indexOf(parsed.arg) === -1) owners.push(parsed.arg);
+    });
+  });
+
+  return owners;
+};
+
+/**
+ * Get the properties the session of `ctx` may not read or write, according to
+ * their `readableBy` or `writableBy` (the `ruleKey`) rules. Without an `obj`,
+ * `owner` rules never match, giving the properties that aren't readable or
+ * writable for every object.
+ *
+ * @param {Context} ctx
+ * @param {String} ruleKey - `readableBy` or `writableBy`
+ * @param {Object} obj
+ * @return {Array}
+ */
+
+Collection.prototype.getRestrictedFields = function (ctx, ruleKey, obj) {
+  var session = ctx.session || {}
+    , owners = this.getOwnerFields();
+
+  if (session.isRoot) return [];
+
+  return Object.keys(this.properties || {}).filter(function (key) {
+    var prop = this.properties[key];
+    return prop && !rulesAllow(prop[ruleKey], session, obj, owners);
+  }, this);
+};
+
+/**
+ * Return a `403` error if the session of `ctx` may not write any of the
+ * properties `fields` of `obj`.
+ *
+ * @param {Context} ctx
+ * @param {Array} fields
+ * @param {Object} obj
+ * @return {Object} error
+ */
+
+Collection.prototype.checkWritable = function (ctx, fields, obj) {
+  var denied = _.intersection(fields, this.getRestrictedFields(ctx, 'writableBy', obj));
+
+  if (denied.length) {
+    return {message: 'You are not allowed to write ' + denied.join(', '), statusCode: 403};
+  }
+};
+
+/**
+ * Return a `403` error if the session of `ctx` may not read any of the
+ * properties `fields` of `obj`.
+ *
+ * @param {Context} ctx
+ * @param {Array} fields
+ * @param {Object} obj
+ * @return {Object} error
+ */
+
+Collection.prototype.checkReadable = function (ctx, fields, obj) {
+  var denied = _.intersection(fields, this.getRestrictedFields(ctx, 'readableBy', obj));
+
+  if (denied.length) {
+    return {message: 'You are not allowed to read ' + denied.join(', '), statusCode: 403};
+  }
+};
+
+/**
+ * Remove the properties the session of `ctx` may not read from each object of
+ * `result`.
+ *
+ * @param {Context} ctx
+ * @param {Object|Array} result
+ * @return {Object|Array} result
+ */
+
+Collection.prototype.hideFields = function (ctx, result) {
+  var collection = this;
+
+  [].concat(result || []).filter(isObject).forEach(function (obj) {
+    collection.getRestrictedFields(ctx, 'readableBy', obj).forEach(function (key) {
+      delete obj[key];
+    });
+  });
+
+  return result;
+};
+
+/**
+ * Remove the properties the session of `ctx` may not read from a `query`, so
+ * they can't be used to filter, sort or project the objects. Operators such
+ * as `$or` or `$not` are searched as well. Returns a `403` error if anyone
+ * but root queries with `$where` or `$expr`, which can read any property.
+ *
+ * @param {Context} ctx
+ * @param {Object} query
+ * @return {Object} error
+ */
+
+Collection.prototype.stripHiddenQuery = function (ctx, query) {
+  var hidden = this.getRestrictedFields(ctx, 'readableBy')
+    , unsafe = !(ctx.session && ctx.session.isRoot) && findOperator(query, QUERY_SCRIPT_OPERATORS);
+
+  if (unsafe) return {message: 'You are not allowed to query with ' + unsafe, statusCode: 403};
+
+  function isHidden(path) {
+    return hidden.indexOf(String(path).split('.')[0]) !== -1;
+  }
+
+  function strip(query) {
+    if (Array.isArray(query)) return query.forEach(strip);
+    if (!isObject(query)) return;
+
+    Object.keys(query).forEach(function (key) {
+      var val = query[key];
+
+      if (key === '$sort' || key === '$orderby' || key === '$fields') {
+        if (typeof val === 'string') {
+          if (isHidden(val)) delete query[key];
+        } else if (isObject(val)) {
+          Object.keys(val).forEach(function (path) {
+            if (isHidden(path)) delete val[path];
+          });
+        }
+      } else if (key.indexOf('$') === 0) {
+        // logical operators hold more conditions, eg. `$or` or `$not`
+        strip(val);
+        if (Array.isArray(val)) {
+          val = query[key] = val.filter(function (clause) { return !isObject(clause) || Object.keys(clause).length; });
+        }
+        if ((Array.isArray(val) || isObject(val)) && _.isEmpty(val)) delete query[key];
+      } else if (isHidden(key)) {
+        delete query[key];
+      }
+    });
+  }
+
+  if (hidden.length) strip(query);
+};
+
+/**
+ * The `403` error for a request to `method` that no access rule allows.
+ *
+ * @param {String} method
+ * @return {Object}
+ */
+
+Collection.prototype.forbidden = function (method) {
+  return {message: 'You are not allowed to ' + method + ' ' + this.path, statusCode: 403};
+};
+
+Collection.defaultPath = '/my-objects';
+
+Collection.prototype.configDeleted = function(config, fn) {
+  var store = this.store
+    , db = this.options && this.options.db
+    , historyStore = this.historyStore || (db && db.createStore(this.name + HISTORY_SUFFIX));
+
+  debug('resource deleted');
+
+  // revisions go along with the objects, even if history was turned off since
+  if (!historyStore) return store.remove(fn);
+  return historyStore.remove(function (err) {
+    if (err) return fn(err);
+    store.remove(fn);
+  });
+};
+
+Collection.prototype.configChanged = function(config, fn) {
+  var store = this.store;
+
+  debug('resource changed');
+
+  if(config.id && config.id !== this.name) {
+    if (this.historyStore) {
+      this.historyStore.rename(config.id.replace('/', '') + HISTORY_SUFFIX, function (err) {
+        if (err) debug('could not rename history: %j', err);
+      });
+    }
+
+    store.rename(config.id.replace('/', ''), function (err) {
+        if(err && err.message === "source namespace does not exist") {
+          fn();
+        } else {
+          fn(err);
+        }
+    });
+    return;
+  }
+
+  fn(null);
+};
+
+Collection.external.rename = function (options, ctx, fn) {
+  if(!ctx.req && !ctx.req.isRoot) return fn(new Error('cannot rename multiple'));
+
+  if(options.properties) {
+    this.store.update({}, {$rename: options.properties}, fn);
+  }
+};
+
+/**
+ * Collect the commands (eg. `{count: {$inc: 1}}`) in the body of a request.
+ * Top level `$set` and `$unset` objects are turned into commands on the
+ * dot-notation paths they contain, eg. `{$set: {'address.city': 'Paris'}}`.
+ * Only commands on declared properties are returned, and none on paths that
+ * would reach a prototype, eg. `address.__proto__.city`.
+ *
+ * @param {Object} body
+ * @return {Object} commands
+ */
+
+Collection.prototype.getCommands = function (body) {
+  var collection = this
+    , commands = {};
+
+  function isProperty(key) {
+    var root = key.split('.')[0];
+    return root !== 'id' && isSafePath(key) && !!(collection.properties && collection.properties[root]);
+  }
+
+  Object.keys(body).forEach(function (key) {
+    var val = body[key];
+
+    if(!val || typeof val !== 'object' || Array.isArray(val)) return;
+
+    if(key === '$set' || key === '$unset') {
+      Object.keys(val).forEach(function (path) {
+        if(!isProperty(path)) return;
+        commands[path] = {};
+        commands[path][key] = key === '$set' ? val[path] : true;
+      });
+    } else if(isProperty(key)) {
+      Object.keys(val).forEach(function (k) {
+        if(k[0] == '$') {
+          commands[key] = val;
+        }
+      });
+    }
+  });
+
+  return commands;
+};
+
+/**
+ * Replace the properties changed by `commands` in `updateObject` with the
+ * commands themselves, so the store applies them atomically instead of
+ * overwriting values that may have been changed by another request.
+ *
+ * A property is still overwritten if an event changed it after the commands
+ * were executed, or if its previous value doesn't fit the command (eg. `$push`
+ * to a property that isn't an array).
+ *
+ * @param {Object} updateObject
+ * @param {Object} commands
+ * @param {Object} previous
+ * @param {Object} executed - the values of the commanded properties after `execCommands()`
+ * @param {Array} protectedProperties - properties that must not be updated
+ */
+
+Collection.prototype.addAtomicCommands = function (updateObject, commands, previous, executed, protectedProperties) {
+  var roots = {};
+
+  Object.keys(commands).forEach(function (key) {
+    var root = key.split('.')[0];
+    roots[root] = roots[root] || [];
+    roots[root].push(key);
+  });
+
+  Object.keys(roots).forEach(function (root) {
+    if(!executed.hasOwnProperty(root) || (protectedProperties || []).indexOf(root) !== -1) return;
+    if(!_.isEqual(updateObject[root], executed[root])) return;
+
+    var atomic = roots[root].every(function (key) {
+      return canExecuteAtomically(commands[key], previous, key);
+    });
+
+    if(atomic) {
+      delete updateObject[root];
+      roots[root].forEach(function (key) {
+        updateObject[key] = commands[key];
+      });
+    }
+  });
+};
+
+Collection.prototype.execCommands = function (type, obj, commands) {
+  try {
+    if(type === 'update') {
+      Object.keys(commands).forEach(function (path) {
+        if(typeof commands[path] == 'object' && isSafePath(path)) {
+          var keys = path.split('.')
+            , key = keys.pop();
+
+          // resolve the object holding the commanded property, never one it inherits
+          var parent = obj;
+          keys.forEach(function (k) {
+            if(!_.has(parent, k) || !isContainer(parent[k])) parent[k] = {};
+            parent = parent[k];
+          });
+
+          Object.keys(commands[path]).forEach(function (k) {
+            if(k[0] !== '$') return;
+
+            var val = commands[path][k];
+
+            if(k === '$set') {
+              parent[key] = val;
+            }
+            if(k === '$unset') {
+              delete parent[key];
+            }
+            if(k === '$inc') {
+              if(!parent[key]) parent[key] = 0;
+              parent[key] = parseFloat(parent[key]);
+              parent[key] += parseFloat(val);
+            }
+            if(k === '$push') {
+              if(Array.isArray(parent[key])) {
+                parent[key].push(val);
+              } else {
+                parent[key] = [val];
+              }
+            }
+            if(k === '$pushAll') {
+              if(Array.isArray(parent[key])) {
+                if(Array.isArray(val)) {
+                  for(var i = 0; i < val.length; i++) {
+                    parent[key].push(val[i]);
+                  }
+                }
+              } else {
+                parent[key] = val;
+              }
+            }
+            if (k === '$pull') {
+              if(Array.isArray(parent[key])) {
+                parent[key] = parent[key].filter(function(item) {
+                  return item !== val;
+                });
+              }
+            }
+            if (k === '$pullAll') {
+              if(Array.isArray(parent[key])) {
+                if(Array.isArray(val)) {
+                  parent[key] = parent[key].filter(function(item) {
+                    return val.indexOf(item) === -1;
+                  });
+                }
+              }
+            }
+            if (k === '$addUnique') {
+              val = Array.isArray(val) ? val : [val];
+              if(Array.isArray(parent[key])) {
+                parent[key] = _.union(parent[key], val);
+              } else {
+                parent[key] = val;
+              }
+            }
+          });
+        }
+      });
+    }
+  } catch(e) {
+    debug('error while executing commands', type, obj, commands);
+  }
+  return this;
+};
+
+Collection.prototype.shouldRunEvent = function (ev, ctx) {
+  // check if a property is set on the context to ignore cascading to other events
+  // used internally
+  if (ctx && ctx._internalSkipEvents) return false;
+
+  var skipEvents = ctx && ((ctx.body && ctx.body.$skipEvents) || (ctx.query && ctx.query.$skipEvents))
+    , rootPrevent = ctx && ctx.session && ctx.session.isRoot && skipEvents;
+  return !rootPrevent && ev;
+};
+
+Collection.extendDomain = function(name, val) {
+    Collection.domainAdditions[name] = val;
+};
+
+/*!
+ * The properties a JSON Patch reads: the `from` of `copy` and `move`
+ * operations and the `path` of `test` operations. A pointer to the whole
+ * object reads all of the `properties`.
+ */
+
+function patchReads(patchDoc, properties) {
+  if (!patch.isJsonPatch(patchDoc)) return [];
+
+  return _.union.apply(_, patchDoc.map(function (op) {
+    var pointer = op && (op.op === 'test' ? op.path : (op.op === 'copy' || op.op === 'move') ? op.from : null);
+    if (typeof pointer !== 'string') return [];
+    if (pointer === '') return properties;
+
+    var token = pointer.split('/')[1];
+    return token === undefined ? [] : [token.replace(/~1/g, '/').replace(/~0/g, '~')];
+  }));
+}
+
+/*!
+ * Whether no segment of the dot-notation `path` reaches a prototype.
+ */
+
+function isSafePath(path) {
+  return path.split('.').every(patch.isSafeKey);
+}
+
+/*!
+ * Whether a command may walk into `val` to reach a nested property.
+ */
+
+function isContainer(val) {
+  return Array.isArray(val) || Object.prototype.toString.call(val) === '[object Object]';
+}
+
+/*!
+ * The store types of the values `unique` properties are indexed by. Objects
+ * without a value, or with `null`, are left out of the index, as
+ * `checkUnique()` leaves them out too.
+ */
+
+var UNIQUE_INDEX_TYPES = {string: 'string', reference: 'string', number: 'number', boolean: 'bool', date: 'date'};
+
+/*!
+ * Create a unique index for each `unique` property of the collection.
+ */
+
+function ensureUniqueIndexes(collection) {
+  _.each(collection.properties || {}, function (prop, key) {
+    if (!prop || !prop.unique) return;
+
+    var fields = {}
+      , filter = {};
+
+    fields[key] = 1;
+    filter[key] = UNIQUE_INDEX_TYPES[prop.type] ? {$type: UNIQUE_INDEX_TYPES[prop.type]} : {$exists: true};
+
+    collection.store.ensureIndex(fields, {unique: true, partialFilterExpression: filter}, function (err) {
+      if (err) debug('could not index unique property %s: %j', key, err);
+    });
+  });
+}
+
+/*!
+ * The validation errors for a duplicate key error of the store, which a
+ * concurrent write of the same `unique` value causes.
+ */
+
+function uniqueErrors(collection, err) {
+  if (!err || err.code !== 11000) return;
+
+  var props = collection.properties || {}
+    , keys = Object.keys(err.keyPattern || {}).filter(function (key) { return props[key] && props[key].unique; })
+    , errors = {};
+
+  if (!keys.length) {
+    keys = Object.keys(props).filter(function (key) { return props[key].unique; });
+  }
+  keys.forEach(function (key) {
+    errors[key] = 'must be unique';
+  });
+
+  return {errors: errors};
+}
+
+/*!
+ * Check whether an `If-Match` / `If-None-Match` header matches the given etag.
+ */
+
+function etagMatches(header, etag) {
+  if (!header || !etag) return false;
+  return header.split(',').some(function (tag) {
+    tag = tag.trim().replace(/^W\//, '');
+    return tag === '*' || tag === etag;
+  });
+}
+
+/*!
+ * Whether the given command can be run by the store against the previous value
+ * of `path` without failing.
+ */
+
+function canExecuteAtomically(command, previous, path) {
+  var keys = path.split('.')
+    , value = previous;
+
+  for(var i = 0; i < keys.length; i++) {
+    if(value === undefined) break;
+    if(!value || typeof value !== 'object' || Array.isArray(value)) return false;
+    value = value[keys[i]];
+  }
+
+  return Object.keys(command).every(function (k) {
+    var val = command[k];
+
+    switch(k) {
+      case '$set':
+      case '$unset':
+        return true;
+      case '$inc':
+        return (value === undefined || typeof value === 'number') && !isNaN(parseFloat(val));
+      case '$pushAll':
+      case '$pullAll':
+        return (value === undefined || Array.isArray(value)) && Array.isArray(val);
+      case '$push':
+      case '$pull':
+      case '$addUnique':
+        return value === undefined || Array.isArray(value);
+      default:
+        return false;
+    }
+  });
+}
+
+/*!
+ * The `config.access` rules that apply to each BeforeRequest event.
+ */
+
+var ACCESS_METHODS = {GET: 'get', AGGREGATE: 'get', POST: 'post', PUT: 'put', DELETE: 'delete'};
+
+/*!
+ * Access rules are strings like `public`, `role:admin` or `owner:creatorId`.
+ */
+
+function parseRule(rule) {
+  rule = String(rule);
+  var type = rule.split(':')[0];
+  return {type: type, arg: rule.slice(type.length + 1)};
+}
+
+/*!
+ * Whether any of `rules` grants access to the `session`, without needing to
+ * own an object (unless `obj` is given). No rules grant access to anyone, and
+ * rules the session can't satisfy, such as `root`, to root only. A bare
+ * `owner` rule uses the `owners` fields.
+ */
+
+function rulesAllow(rules, session, obj, owners) {
+  var uid = userId(session)
+    , roles = (session.user && session.user.roles) || [];
+
+  if (rules === undefined || rules === null || session.isRoot) return true;
+
+  return [].concat(rules).some(function (rule) {
+    var parsed = parseRule(rule);
+
+    if (parsed.type === 'public') return true;
+    if (!uid) return false;
+    if (parsed.type === 'authenticated') return true;
+    if (parsed.type === 'role') return roles.indexOf(parsed.arg) !== -1;
+    if (parsed.type === 'owner') return !!obj && isOwner(obj, parsed.arg ? [parsed.arg] : owners || [], uid);
+    return false;
+  });
+}
+
+/*!
+ * The id of the user logged in with `session`. Only a session whose user was
+ * found and still matches it has a `user`, unlike its `data.uid`.
+ */
+
+function userId(session) {
+  return (session && session.user && session.user.id) || null;
+}
+
+/*!
+ * Make the user of `ctx` the owner of a new `item`, in the owner fields it
+ * leaves out. Returns a `403` error if it names another owner, unless the
+ * request is made by root or a script.
+ */
+
+function claimOwnerFields(collection, ctx, item) {
+  var uid = userId(ctx.session)
+    , props = collection.properties || {}
+    , foreign = [];
+
+  if ((ctx.session && ctx.session.isRoot) || (ctx.req && ctx.req.internal)) return;
+
+  collection.getOwnerFields().forEach(function (field) {
+    var prop = props[field]
+      , val = item[field];
+
+    if (!prop) return;
+    if (val === undefined || val === null) {
+      if (uid) item[field] = prop.type === 'array' ? [uid] : uid;
+    } else if ([].concat(val).some(function (owner) { return owner !== uid; })) {
+      foreign.push(field);
+    }
+  });
+
+  if (foreign.length) {
+    return {message: 'You are not allowed to write ' + foreign.join(', '), statusCode: 403};
+  }
+}
+
+/*!
+ * Whether `uid` is in one of the `owners` fields of `obj`, which may be
+ * single ids or lists of them.
+ */
+
+function isOwner(obj, owners, uid) {
+  return owners.some(function (field) {
+    return [].concat(obj[field]).indexOf(uid) !== -1;
+  });
+}
+
+function ownerQuery(owners, uid) {
+  var queries = owners.map(function (field) {
+    var query = {};
+    query[field] = uid;
+    return query;
+  });
+  return queries.length === 1 ? queries[0] : {$or: queries};
+}
+
+/*!
+ * What a reference may do when the object it points at is deleted.
+ */
+
+var ON_DELETE_ACTIONS = ['cascade', 'restrict', 'setNull'];
+
+/*!
+ * Collection paths are compared with a single leading slash, eg. `/users`.
+ */
+
+function collectionPath(path) {
+  return '/' + String(path || '').replace(/^\/+|\/+$/g, '');
+}
+
+/*!
+ * The internal client of the collection at `path`.
+ */
+
+function clientFor(ctx, path) {
+  return ctx.dpd && ctx.dpd[String(path).replace(/[^A-Za-z0-9]/g, '')];
+}
+
+/*!
+ * The internal client of the collection at `path`, acting as root in the
+ * session of `ctx`, so the access rules of the user don't apply.
+ */
+
+function rootClient(ctx, path) {
+  if (!ctx.server) return;
+
+  var session = Object.create(ctx.session || {});
+  session.isRoot = true;
+
+  return clientFor({dpd: internalClient.build(ctx.server, session, ctx.req && ctx.req.stack, ctx)}, path);
+}
+
+/*!
+ * The aggregation stages that can't write to or read from other collections,
+ * and the operators that would run javascript or look up another collection
+ * from inside a stage.
+ */
+
+var PIPELINE_STAGES = ['$match', '$group', '$sort', '$project', '$limit', '$unwind'];
+var FORBIDDEN_OPERATORS = ['$where', '$function', '$accumulator', '$lookup', '$graphLookup', '$unionWith'];
+
+function checkExpression(val) {
+  if (Array.isArray(val)) return val.forEach(checkExpression);
+  if (!isObject(val)) return;
+
+  Object.keys(val).forEach(function (key) {
+    if (FORBIDDEN_OPERATORS.indexOf(key) !== -1) throw invalidPipeline(key + ' is not allowed');
+    checkExpression(val[key]);
+  });
+}
+
+function invalidPipeline(message) {
+  return {message: message, statusCode: 400};
+}
+
+/*!
+ * Query operators that run expressions over the whole object, so they could
+ * read properties that are hidden from the user.
+ */
+
+var QUERY_SCRIPT_OPERATORS = ['$where', '$expr'];
+
+/*!
+ * The first of `operators` used anywhere in `query`, if any.
+ */
+
+function findOperator(query, operators) {
+  var found;
+
+  if (Array.isArray(query)) {
+    query.some(function (val) { return (found = findOperator(val, operators)); });
+  } else if (isObject(query)) {
+    Object.keys(query).some(function (key) {
+      found = operators.indexOf(key) !== -1 ? key : findOperator(query[key], operators);
+      return found;
+    });
+  }
+
+  return found;
+}
+
+/*!
+ * Parse a `$sort` into a list of `[key, direction]`, ending with the id so
+ * every object has a distinct position.
+ */
+
+function parseSort(sort) {
+  var result = [];
+
+  if (typeof sort === 'string') {
+    var key = sort;
+    try {
+      sort = JSON.parse(key);
+    } catch (ex) {
+      sort = {};
+      sort[key] = 1;
+    }
+  }
+
+  Object.keys(sort || {}).forEach(function (key) {
+    if (key === 'id') return;
+    result.push([key, Number(sort[key]) < 0 ? -1 : 1]);
+  });
+
+  var last = result[result.length - 1];
+  result.push(['id', sort && sort.id ? (Number(sort.id) < 0 ? -1 : 1) : (last ? last[1] : 1)]);
+
+  return result;
+}
+
+/*!
+ * The query matching objects after the position `values` in the `sort` order,
+ * or before it. Missing values sort first, like `null`, which a comparison
+ * never matches: nothing comes before them, everything else after them. Every
+ * object has an id.
+ */
+
+function keysetCondition(sort, values, before) {
+  var clauses = [];
+
+  sort.forEach(function (s, i) {
+    var clause = {}
+      , ascending = before ? s[1] < 0 : s[1] > 0
+      , key = s[0]
+      , val = values[i];
+
+    for (var j = 0; j < i; j++) clause[sort[j][0]] = values[j];
+
+    if (val === null) {
+      if (!ascending) return;
+      clause[key] = {$ne: null};
+    } else if (ascending || key === 'id') {
+      clause[key] = ascending ? {$gt: val} : {$lt: val};
+    } else {
+      var less = {}, missing = {};
+      less[key] = {$lt: val};
+      missing[key] = null;
+      clause.$or = [less, missing];
+    }
+
+    clauses.push(clause);
+  });
+
+  return {$or: clauses};
+}
+
+/*!
+ * Cursors are the sort values of an object, encoded as url safe base64 JSON.
+ * Values are scalars or dates written as `{$date}`, since they end up in a
+ * store query; anything else makes the cursor invalid.
+ */
+
+function encodeCursor(sort, obj, before) {
+  var values = sort.map(function (s) {
+    var val = s[0].split('.').reduce(function (val, key) {
+      return val === null || val === undefined ? val : val[key];
+    }, obj);
+
+    if (val instanceof Date) return {$date: val.toISOString()};
+    return val === undefined ? null : val;
+  });
+
+  return Buffer.from(JSON.stringify({v: values, b: before ? 1 : 0}))
+    .toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeCursor(cursor) {
+  try {
+    var decoded = JSON.parse(Buffer.from(String(cursor).replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString());
+    if (!decoded || !Array.isArray(decoded.v)) return;
+
+    var values = decoded.v.map(cursorValue);
+    if (values.indexOf(undefined) !== -1) return;
+
+    return {before: !!decoded.b, values: values};
+  } catch (ex) {
+    return;
+  }
+}
+
+function cursorValue(val) {
+  if (val === null || ['string', 'number', 'boolean'].indexOf(typeof val) !== -1) return val;
+  if (typeof val !== 'object' || Array.isArray(val) || typeof val.$date !== 'string' || Object.keys(val).length !== 1) return;
+
+  var date = new Date(val.$date);
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+/*!
+ * A `Link` header value for the request `url`, continuing from `cursor`.
+ */
+
+function pageLink(url, cursor, rel) {
+  var index = url.indexOf('?')
+    , path = index === -1 ? url : url.slice(0, index)
+    , search = index === -1 ? '' : url.slice(index + 1)
+    , query = querystring.parse(search)
+    , json;
+
+  function paged(query) {
+    delete query.$skip;
+    query.$cursor = cursor;
+    return query;
+  }
+
+  try {
+    json = decodeURIComponent(search);
+  } catch (ex) {
+    json = search;
+  }
+
+  if (json[0] === '{' && json[json.length - 1] === '}') {
+    search = encodeURIComponent(JSON.stringify(paged(JSON.parse(json))));
+  } else if (query._jsonquery) {
+    search = querystring.stringify({_jsonquery: JSON.stringify(paged(JSON.parse(query._jsonquery)))});
+  } else {
+    search = querystring.stringify(paged(query));
+  }
+
+  return '<' + path + '?' + search + '>; rel="' + rel + '"';
+}
+
+/*!
+ * The properties that differ between two revisions of an object, as `{from, to}`.
+ */
+
+function diff(previous, data) {
+  var changes = {};
+
+  _.union(Object.keys(previous || {}), Object.keys(data || {})).forEach(function (key) {
+    var from = previous ? previous[key] : undefined
+      , to = data ? data[key] : undefined;
+
+    if (!_.isEqual(from, to)) {
+      changes[key] = {
+        from: from === undefined ? null : from,
+        to: to === undefined ? null : to
+      };
+    }
+  });
+
+  return changes;
+}
+
+/*!
+ * Stamp the object being saved with the current time and user. The stamps
+ * can't be changed by event scripts; creation stamps are kept on update.
+ */
+
+function setTimestamps(domain, fields, ctx, create) {
+  var user = ctx.session && ctx.session.user
+    , now = new Date()
+    , values = {updatedAt: now, updatedBy: user ? user.id : null};
+
+  if(create) {
+    values.createdAt = now;
+    values.createdBy = values.updatedBy;
   } else {
-    collection.doBeforeRequestEvent(ctx, beforeRequestDomain, function(err) {
-      if (err) return fn(err);
-      post();
+    ['createdAt', 'createdBy'].forEach(function (key) {
+      var name = fields[key];
+      if(!name) return;
+      // objects saved before timestamps were enabled don't have them yet
+      if(!domain.data.hasOwnProperty(name)) domain.data[name] = undefined;
+      domain.protect(name);
     });
   }
-};
 
-Collection.prototype.createDomain = function(data, errors, persistable) {
-  var collection = this;
-
-  var hasErrors = false;
-  var domain = {
-    hiddenProperties: [],
-    error: function(key, val) {
-      debug('error %s %s', key, val);
-      errors[key] = val || true;
-      hasErrors = true;
-    },
-    errorIf: function(condition, key, value) {
-      if (condition) {
-        domain.error(key, value);
-      }
-    },
-    errorUnless: function(condition, key, value) {
-      domain.errorIf(!condition, key, value);
-    },
-    hasErrors: function() {
-      return hasErrors;
-    },
-    hide: function(property, toggle) {
-      if (typeof toggle === 'undefined') { toggle = true; }
+  Object.keys(values).forEach(function (key) {
+    var name = fields[key]
+      , value = values[key];
+
+    if(!name) return;
+
+    Object.defineProperty(domain.data, name, {
+      get: function() {
+        return value;
+      },
+      set: function() {
+        throw new TypeError("Cannot modify protected property '" + name + "'");
+      },
+      enumerable: true,
+      configurable: true
+    });
+  });
+}
 
-      if (domain.data.hasOwnProperty(property)) {
-        if (toggle && domain.hiddenProperties.indexOf(property) === -1) {
-          domain.hiddenProperties.push(property);
-        } else if (domain.hiddenProperties.indexOf(property) !== -1) {
-          domain.hiddenProperties.splice(domain.hiddenProperties.indexOf(property), 1);
-        }
+/*!
+ * Validate `body` against `props`, adding errors keyed by `prefix` + property name.
+ */
 
-        Object.defineProperty(domain.data, property, {
-          value: domain.data[property],
-          enumerable: toggle ? false : true
-        });
-      }
-    },
-    unhide: function(property) {
-      domain.hide(property, false);
-    },
-    'this': data,
-    data: data
-  };
-  collection.addDomainAdditions(domain);
+function validateProperties(props, body, create, previous, prefix, errors) {
+  Object.keys(props).forEach(function (key) {
+    var prop = props[key]
+      , path = prefix + key
+      , val = body[key]
+      , type = prop.type || 'string'
+      , changed = previous && !_.isEqual(val, previous[key]);
 
-  // additional domain additions for when the domain is used to persist data (such as POST/PUT)
-  if (persistable) {
-    domain.previous = {};
+    debug('validating %s against %j', path, prop);
 
-    domain.protectedProperties = [];
-    domain.protect = function(property, toggle) {
-      if (typeof toggle === 'undefined') { toggle = true; }
+    if(create && !validation.exists(val) && hasConstraint(prop, 'default')) {
+      val = body[key] = patch.clone(prop['default']);
+    }
 
-      if (domain.data.hasOwnProperty(property) && toggle && domain.protectedProperties.indexOf(property) === -1) {
-        domain.protectedProperties.push(property);
-        Object.defineProperty(domain.data, property, {
-          get: function() {
-            return domain.previous[property];
-          },
-          set: function() {
-            throw new TypeError("Cannot modify protected property '" + property + "'");
-          },
-          configurable: true
-        });
-      } else if (domain.data.hasOwnProperty(property) && !toggle && domain.protectedProperties.indexOf(property) !== -1) {
-        domain.protectedProperties.splice(domain.protectedProperties.indexOf(property), 1);
-        var previousValue = domain.data[property];
-        delete domain.data[property];
-        domain.data[property] = previousValue;
+    if(validation.exists(val)) {
+      validateValue(prop, val, create, previous && previous[key], path, errors);
+    } else if(prop.required) {
+      debug('%s is required', path);
+      if(create || body.hasOwnProperty(key)) {
+        errors[path] = 'is required';
       }
-    };
-
-    domain.unprotect = function(property) {
-      domain.protect(property, false);
-    };
+    } else if(type === 'boolean') {
+      body[key] = false;
+    }
 
-    domain.changed = function (property) {
-      if(domain.data.hasOwnProperty(property)) {
-        if(domain.previous && _.isEqual(domain.previous[property], domain.data[property])) {
-          return false;
-        }
+    if(prop.readonly && changed && !errors[path]) {
+      errors[path] = 'is read only';
+    }
+  });
+}
 
-        return true;
-      }
-      return false;
-    };
+function validateValue(prop, val, create, previous, path, errors) {
+  var type = prop.type || 'string';
 
-    domain.getUpdateObject = function() {
-      var result = {};
+  // coercion
+  if(type === 'number') val = Number(val);
+  if(type === 'date') val = new Date(val);
 
-      // this is needed to ensure that hidden (nonenumerable) properties are copied to the update object
-      Object.getOwnPropertyNames(domain.data).forEach(function (key) {
-        result[key] = domain.data[key];
-      });
-        
-      domain.protectedProperties.forEach(function (key) {
-        if (key && result.hasOwnProperty(key)) delete result[key];
-      });
+  if(!validation.isType(val, type === 'reference' ? 'string' : type)) {
+    debug('failed to validate %s as %s', path, type);
+    errors[path] = 'must be a ' + type;
+    return;
+  }
 
-      return result;
-    };
+  var error = checkConstraints(prop, val);
+  if(error) {
+    errors[path] = error;
+    return;
   }
-  return domain;
-};
 
-Collection.prototype.addDomainAdditions = function(domain) {
-  var collection = this;
-  _.each(Collection.domainAdditions, function(value, name) {
-    if (typeof value === "function") {
-      // bind `this` to collection on any added functions
-      domain[name] = value.bind({collection: collection, domain: domain});
-    } else {
-      domain[name] = value;
-    }
-  });
-};
+  if(type === 'object' && prop.properties) {
+    validateProperties(prop.properties, val, create, isObject(previous) ? previous : null, path + '.', errors);
+  }
 
-Collection.prototype.doAfterCommitEvent = function(method, ctx, data, previous) {
-  var collection = this;
-  if (collection.shouldRunEvent(collection.events.AfterCommit, ctx)) {
-    data = _.clone(data);
-   
-    var domain = {data: data, 'this': data, method: method, previous: previous};
-    collection.addDomainAdditions(domain);
-    collection.events.AfterCommit.run(ctx, domain, function (err) {
-      if (err) debug('AfterCommit errors in script: %j', err);
+  if(type === 'array' && prop.items) {
+    val.forEach(function (item, i) {
+      if(item === null || item === undefined) {
+        errors[path + '.' + i] = 'must be a ' + (prop.items.type || 'string');
+      } else {
+        validateValue(prop.items, item, create, Array.isArray(previous) ? previous[i] : null, path + '.' + i, errors);
+      }
     });
   }
-};
+}
 
-Collection.prototype.doBeforeRequestEvent = function(ctx, domain, fn) {
-  var collection = this;
-  if (collection.shouldRunEvent(collection.events.BeforeRequest, ctx)) {
-    collection.events.BeforeRequest.run(ctx, domain, fn);
-  } else {
-    fn();
-  }
-};
+/*!
+ * Return the values of `body` that match `props`, coercing them to the declared types.
+ */
 
-Collection.defaultPath = '/my-objects';
+function sanitizeProperties(props, body) {
+  var sanitized = {};
 
-Collection.prototype.configDeleted = function(config, fn) {
-  debug('resource deleted');
-  return this.store.remove(fn);
-};
+  Object.keys(props).forEach(function (key) {
+    // skip properties that do not exist
+    if(!props[key]) return;
 
-Collection.prototype.configChanged = function(config, fn) {
-  var store = this.store;
+    var val = sanitizeValue(props[key], body[key]);
+    if(val !== undefined) sanitized[key] = val;
+  });
 
-  debug('resource changed');
+  return sanitized;
+}
 
-  if(config.id && config.id !== this.name) {
-    store.rename(config.id.replace('/', ''), function (err) {
-        if(err && err.message === "source namespace does not exist") {
-          fn();
-        } else {
-          fn(err);
-        }
+function sanitizeValue(prop, val) {
+  var expected = prop.type
+    , actual = typeof val;
+
+  if(expected == 'object' && prop.properties && isObject(val)) {
+    return sanitizeProperties(prop.properties, val);
+  } else if(expected == 'array' && prop.items && Array.isArray(val)) {
+    // keep items that can't be sanitized, so validation reports them by index
+    return val.map(function (item) {
+      var sanitized = sanitizeValue(prop.items, item);
+      return sanitized === undefined ? item : sanitized;
     });
-    return;
+  } else if(expected == actual) {
+    return val;
+  } else if(expected == 'reference') {
+    // references are stored as the id, even when sent back expanded
+    if(actual == 'string' || val === null) return val;
+    if(actual == 'number') return '' + val;
+    if(isObject(val) && typeof val.id === 'string') return val.id;
+  } else if(expected == 'date' && (actual == 'string' || actual == 'number')) {
+    return new Date(val);
+  } else if(expected == 'array' && Array.isArray(val)) {
+    return val;
+  } else if(expected == 'number' && actual == 'string') {
+    return parseFloat(val);
+  } else if(expected == 'string' && actual == 'number') {
+    return '' + val;
+  } else if(val === null && (expected == 'string' || expected == 'array')) { // keep null
+    return val;
   }
+}
 
-  fn(null);
-};
+/*!
+ * Find the property schema for a dot-notation `path`, eg. `address.zip` or `tags.2`.
+ * Paths into objects and arrays without a declared schema resolve to an untyped
+ * property. Returns nothing if the path doesn't exist.
+ */
 
-Collection.external.rename = function (options, ctx, fn) {
-  if(!ctx.req && !ctx.req.isRoot) return fn(new Error('cannot rename multiple'));
+function resolveProperty(props, path) {
+  var keys = path.split('.')
+    , prop = props[keys[0]];
 
-  if(options.properties) {
-    this.store.update({}, {$rename: options.properties}, fn);
+  for(var i = 1; prop && i < keys.length; i++) {
+    if(prop.type === 'object') {
+      prop = prop.properties ? prop.properties[keys[i]] : {};
+    } else if(prop.type === 'array') {
+      if(!prop.items) {
+        prop = {};
+      } else {
+        prop = prop.items;
+        // like mongodb, a path that isn't an index matches inside each item
+        if(!/^\d+$/.test(keys[i])) i--;
+      }
+    } else if(prop.type) {
+      prop = null;
+    }
   }
-};
 
-Collection.prototype.execCommands = function (type, obj, commands) {
-  try {
-    if(type === 'update') {
-      Object.keys(commands).forEach(function (key) {
-        if(typeof commands[key] == 'object') {
-          Object.keys(commands[key]).forEach(function (k) {
-            if(k[0] !== '$') return;
+  return prop;
+}
 
-            var val = commands[key][k];
+function isObject(val) {
+  return !!val && typeof val === 'object' && !Array.isArray(val) && !(val instanceof Date);
+}
 
-            if(k === '$inc') {
-              if(!obj[key]) obj[key] = 0;
-              obj[key] = parseFloat(obj[key]);
-              obj[key] += parseFloat(val);
-            }
-            if(k === '$push') {
-              if(Array.isArray(obj[key])) {
-                obj[key].push(val);
-              } else {
-                obj[key] = [val];
-              }
-            }
-            if(k === '$pushAll') {
-              if(Array.isArray(obj[key])) {
-                if(Array.isArray(val)) {
-                  for(var i = 0; i < val.length; i++) {
-                    obj[key].push(val[i]);
-                  }
-                }
-              } else {
-                obj[key] = val;
-              }
-            }
-            if (k === '$pull') {
-              if(Array.isArray(obj[key])) {
-                obj[key] = obj[key].filter(function(item) {
-                  return item !== val;
-                });
-              }
-            }
-            if (k === '$pullAll') {
-              if(Array.isArray(obj[key])) {
-                if(Array.isArray(val)) {
-                  obj[key] = obj[key].filter(function(item) {
-                    return val.indexOf(item) === -1;
-                  });
-                }
-              }
-            }
-            if (k === '$addUnique') {
-              val = Array.isArray(val) ? val : [val];
-              if(Array.isArray(obj[key])) {
-                obj[key] = _.union(obj[key], val);
-              } else {
-                obj[key] = val;
-              }
-            }
-          });
-        }
-      });
+/*!
+ * Whether a constraint is set on a property. Empty values left by the dashboard
+ * don't count.
+ */
+
+function hasConstraint(prop, name) {
+  return prop.hasOwnProperty(name) && prop[name] !== null && prop[name] !== '';
+}
+
+/*!
+ * Check a value of the correct type against the constraints of `prop`, and
+ * return an error message if it violates any.
+ */
+
+function checkConstraints(prop, val) {
+  var type = prop.type || 'string'
+    , length = (type === 'string' || type === 'array') && val.length
+    , unit = type === 'array' ? ' items' : ' characters'
+    , compared = type === 'date' ? val.getTime() : val;
+
+  function limit(name) {
+    return type === 'date' ? new Date(prop[name]).getTime() : Number(prop[name]);
+  }
+
+  if(type === 'number' || type === 'date') {
+    if(hasConstraint(prop, 'min') && compared < limit('min')) return 'must be at least ' + prop.min;
+    if(hasConstraint(prop, 'max') && compared > limit('max')) return 'must be at most ' + prop.max;
+  }
+
+  if(length !== false) {
+    if(hasConstraint(prop, 'minLength') && length < prop.minLength) {
+      return 'must have at least ' + prop.minLength + unit;
+    }
+    if(hasConstraint(prop, 'maxLength') && length > prop.maxLength) {
+      return 'must have at most ' + prop.maxLength + unit;
     }
-  } catch(e) {
-    debug('error while executing commands', type, obj, commands);
   }
-  return this;
-};
 
-Collection.prototype.shouldRunEvent = function (ev, ctx) {
-  // check if a property is set on the context to ignore cascading to other events
-  // used internally
-  if (ctx && ctx._internalSkipEvents) return false;
+  if(type === 'string' && hasConstraint(prop, 'pattern')) {
+    var pattern;
+    try {
+      pattern = new RegExp(prop.pattern);
+    } catch (ex) {
+      debug('invalid pattern %s', prop.pattern);
+    }
+    if(pattern && !pattern.test(val)) return 'must match ' + prop.pattern;
+  }
 
-  var skipEvents = ctx && ((ctx.body && ctx.body.$skipEvents) || (ctx.query && ctx.query.$skipEvents))
-    , rootPrevent = ctx && ctx.session && ctx.session.isRoot && skipEvents;
-  return !rootPrevent && ev;
-};
+  if(Array.isArray(prop['enum']) && prop['enum'].length) {
+    var allowed = prop['enum'].some(function (option) {
+      return type === 'number' ? Number(option) === val : option === val;
+    });
+    if(!allowed) return 'must be one of ' + prop['enum'].join(', ');
+  }
+}
 
-Collection.extendDomain = function(name, val) {
-    Collection.domainAdditions[name] = val;
-};
+function preconditionFailed() {
+  return {statusCode: 412, message: 'the object was modified by another request'};
+}
 
 module.exports = Collection;
@@ -26,7 +26,7 @@ function Files(name, options) {
 util.inherits(Files, Resource);
 
 Files.prototype.handle = function (ctx, next) {
-  if(ctx.req && ctx.req.method !== 'GET') return next();
+  if(ctx.req && ctx.req.method !== 'GET' && ctx.req.method !== 'HEAD') return next();
 
   send(ctx.req, url.parse(ctx.url).pathname, {root: path.resolve(this.public)})
     .on('error', function (err) {
@@ -1,7 +1,12 @@
 var util = require('util')
   , Collection = require('./collection')
-  , uuid = require('../util/uuid')
   , crypto = require('crypto')
+  , totp = require('../util/totp')
+  , jwt = require('../util/jwt')
+  , oidc = require('../util/oidc')
+  , qs = require('querystring')
+  , scopes = require('../util/scopes')
+  , async = require('async')
   , _ = require('underscore')
   , debug = require('debug')('user-collection');
 
@@ -13,6 +18,74 @@ var util = require('util')
  *   - `path`                the base path a resource should handle
  *   - `config.properties`   the properties of objects the collection should store
  *   - `db`                  the database a collection will use for persistence
+ *   - `config.passwordHash` `{algorithm, cost}` used to hash passwords: `scrypt` (the
+ *                           default) or `pbkdf2`, with the scrypt `N` or number of
+ *                           PBKDF2 iterations as the cost
+ *   - `config.loginThrottle` `false` to turn off login throttling, or overrides of
+ *                           `UserCollection.LOGIN_THROTTLE`
+ *
+ * Failed logins are counted per username and per client address in the
+ * `<name>-logins` store. Each failure doubles the wait before the next attempt,
+ * and too many failures lock logins out for a while; both are answered with a
+ * 429 and a `Retry-After` header. The Login event sees `locked` when the
+ * account is locked out.
+ *
+ * `POST /forgot-password` with a `username` and `POST /resend-verification`
+ * (for the logged in user, or a `username`) create single-use tokens that
+ * `POST /reset-password` (with a new `password`) and `POST /verify-email`
+ * accept as `token`. New users are sent a verification token too. Tokens are
+ * delivered by the SendToken event, which sees the `token`, its `type`
+ * (`reset` or `verify`) and when it `expires`. Only their hashes are kept, in
+ * the `<name>-tokens` store, for `UserCollection.TOKEN_TTL` or `config.tokenTtl`.
+ *
+ * Logged in users enable TOTP two-factor authentication with `POST /2fa/enroll`,
+ * which returns a `secret` and an `otpauth://` `uri` (labelled with
+ * `config.twoFactorIssuer`), and `POST /2fa/confirm` with a `code` from their
+ * app, which returns single-use `recoveryCodes`. From then on `POST /login`
+ * only starts a login (`{twoFactor: true}`) that `POST /login/2fa` with a
+ * `code` or `recoveryCode` completes. `POST /2fa/recovery-codes` with a `code`
+ * replaces the recovery codes, and root turns two-factor authentication off
+ * for a user with `DELETE /:id/2fa`.
+ *
+ * With `config.jwt` (`{secret, accessTtl, refreshTtl, claims}`) logins do not
+ * create sessions. They respond with a short-lived `accessToken`, a JWT the
+ * server checks without reading any store, and a `refreshToken` that
+ * `POST /refresh` exchanges for new tokens once. `claims` lists user properties
+ * to copy into access tokens besides the username and roles. Sending the
+ * `refreshToken` to `POST /logout` revokes it.
+ *
+ * `config.oidc` names OpenID Connect providers to log in with, each
+ * `{issuer, clientId, clientSecret, redirectUri, scope, redirect}`.
+ * `GET /auth/:provider` sends the browser to the provider, which sends it back
+ * to `GET /auth/:provider/callback` (the `redirectUri`). The first login with
+ * a provider links it to the logged in user, or creates a user named after the
+ * `email` of the ID token; an existing user of that name must log in and link
+ * the provider themselves. Links are kept in the `<name>-identities` store.
+ * The callback responds like `POST /login`, or with `redirect` sends the
+ * browser there with the response in the fragment of the url.
+ *
+ * `GET /me/sessions` lists the sessions of the logged in user, with the user
+ * agent and address they logged in from. `DELETE /me/sessions/:id` ends one of
+ * them and `DELETE /me/sessions` all of them, on every node of a cluster.
+ *
+ * `POST /me/tokens` with a `name`, `scopes` and optionally the seconds it
+ * `expiresIn` creates a personal access token for the logged in user, which
+ * machine clients send as `Authorization: Bearer <token>` instead of logging
+ * in. Scopes are `read` or `write`, optionally limited to one resource as in
+ * `read:/todos`. `GET /me/tokens` lists the tokens, without the tokens
+ * themselves, and `DELETE /me/tokens/:id` revokes one. Tokens last for
+ * `UserCollection.PERSONAL_TOKEN` or `config.personalTokens`.
+ *
+ * Root logs in as a user with `POST /:id/impersonate`, eg. to see what they
+ * see, and gets the id of a separate session to send instead of its own.
+ * Scripts find who is impersonating them in `session.impersonatedBy`, which
+ * names the key (or session) root used, never a name root chose.
+ * The start, every write and the end (`POST /end-impersonation`) are recorded
+ * in the `<name>-audit` store, which root reads with `GET /:id/impersonations`.
+ *
+ * Users have a `roles` array, which only root may change. The roles of the
+ * logged in user are available as `session.user.roles`, to access rules like
+ * `role:admin` and to the `hasRole()` function of scripts.
  *
  * @param {string} name      The name of the resource
  * @param {Object} options   The options
@@ -30,15 +103,160 @@ function UserCollection(name, options) {
   this.properties.username.required = true;
   this.properties.password = this.properties.password || {type: 'string'};
   this.properties.password.required = true;
+
+  // only root may grant roles
+  this.properties.roles = this.properties.roles || {type: 'array', items: {type: 'string'}};
+  this.properties.roles.writableBy = 'root';
+
+  // set by verifying a token sent to the user
+  this.properties.verified = this.properties.verified || {type: 'boolean'};
+  this.properties.verified.writableBy = 'root';
+
+  if (this.config.jwt && !this.config.jwt.secret) {
+    throw new Error('config.jwt needs a secret to sign access tokens for ' + this.path);
+  }
+
+  _.each(this.config.oidc, function (provider, name) {
+    if (!provider || !provider.issuer || !provider.clientId || !provider.redirectUri) {
+      throw new Error('config.oidc.' + name + ' needs an issuer, clientId and redirectUri for ' + this.path);
+    }
+  }, this);
+
+  var passwordHash = (this.config && this.config.passwordHash) || {};
+  if (passwordHash.algorithm && !UserCollection.PASSWORD_HASHES[passwordHash.algorithm]) {
+    throw new Error('Unknown password hash algorithm ' + passwordHash.algorithm + ' for ' + this.path);
+  }
+
+  if (options && options.db && this.config.loginThrottle !== false) {
+    this.loginStore = options.db.createStore(this.name + LOGINS_SUFFIX);
+    // the database removes failed logins once they are forgotten
+    this.loginStore.ensureIndex({expires: 1}, {expireAfterSeconds: 0}, function (err) {
+      if (err) debug('could not index failed logins: %j', err);
+    });
+  }
+  if (options && options.db) {
+    this.tokenStore = options.db.createStore(this.name + TOKENS_SUFFIX);
+    this.twoFactorStore = options.db.createStore(this.name + TWO_FACTOR_SUFFIX);
+    this.identityStore = options.db.createStore(this.name + IDENTITIES_SUFFIX);
+    this.auditStore = options.db.createStore(this.name + AUDIT_SUFFIX);
+  }
 }
 util.inherits(UserCollection, Collection);
 
 UserCollection.dashboard = Collection.dashboard;
 UserCollection.events    = _.clone(Collection.events);
-UserCollection.events.push('Login');
+UserCollection.events.push('Login', 'SendToken');
 
 UserCollection.SALT_LEN = 256;
 
+/*!
+ * Password hashes are stored as `$<algorithm>$<params>$<salt>$<key>`, with the
+ * salt and derived key base64 encoded. `config.passwordHash.cost` sets the scrypt
+ * `N` or the number of PBKDF2 iterations. Hashes without the leading `$` use the
+ * legacy `salt + HMAC-SHA256` format and are upgraded on the next login.
+ *
+ * Keys are derived asynchronously, in the thread pool, so logins don't block
+ * the event loop.
+ */
+
+UserCollection.PASSWORD_HASHES = {
+  scrypt: {
+    cost: 16384,
+    params: function (cost) {
+      return {N: cost, r: 8, p: 1};
+    },
+    derive: function (password, salt, params, fn) {
+      var N = +params.N, r = +params.r, p = +params.p;
+      crypto.scrypt(password, salt, PASSWORD_KEY_LEN, {N: N, r: r, p: p, maxmem: 256 * N * r * p}, fn);
+    }
+  },
+  pbkdf2: {
+    cost: 310000,
+    params: function (cost) {
+      return {i: cost};
+    },
+    derive: function (password, salt, params, fn) {
+      crypto.pbkdf2(password, salt, +params.i, PASSWORD_KEY_LEN, 'sha512', fn);
+    }
+  }
+};
+
+var PASSWORD_KEY_LEN = 64
+  , PASSWORD_SALT_LEN = 16
+  , dummyHashes = {};
+
+/**
+ * Login throttling defaults, in seconds. After a failed login the next attempt
+ * must wait `delay`, doubling with every further failure up to `maxDelay`.
+ * `attempts` failures for a username, or `ipAttempts` from one client address,
+ * lock logins out for `lockout`. Failures older than `lockout` are forgotten,
+ * and removed from the store.
+ */
+
+UserCollection.LOGIN_THROTTLE = {
+  attempts: 5,
+  ipAttempts: 20,
+  delay: 1,
+  maxDelay: 30,
+  lockout: 900
+};
+
+// failed logins are kept in a store named after the collection
+var LOGINS_SUFFIX = '-logins';
+
+/**
+ * How long tokens of each type are valid, in seconds.
+ */
+
+UserCollection.TOKEN_TTL = {
+  reset: 3600,
+  verify: 86400
+};
+
+/**
+ * Access and refresh token lifetimes for `config.jwt`, in seconds.
+ */
+
+UserCollection.JWT = {
+  accessTtl: 900,
+  refreshTtl: 30 * 24 * 60 * 60
+};
+
+UserCollection.PERSONAL_TOKEN = {
+  ttl: 30 * 24 * 60 * 60,
+  maxTtl: 365 * 24 * 60 * 60
+};
+
+UserCollection.IMPERSONATION_TTL = 60 * 60;
+
+UserCollection.OIDC = {
+  scope: 'openid email profile'
+};
+
+var TOKENS_SUFFIX = '-tokens'
+  , TWO_FACTOR_SUFFIX = '-2fa'
+  , RECOVERY_CODES = 10
+  , TWO_FACTOR_TIMEOUT = 5 * 60 * 1000
+  , TWO_FACTOR_ATTEMPTS = 5
+  , IDENTITIES_SUFFIX = '-identities'
+  , OIDC_TIMEOUT = 10 * 60 * 1000
+  , PERSONAL_TOKEN_PREFIX = 'pat_'
+  , PERSONAL_TOKEN = /^pat_[0-9a-f]{64}$/
+  , AUDIT_SUFFIX = '-audit'
+  , WRITE_METHODS = {POST: true, PUT: true, PATCH: true, DELETE: true}
+  , POST_ROUTES = {
+      '/forgot-password': 'handleForgotPassword',
+      '/reset-password': 'handleResetPassword',
+      '/verify-email': 'handleVerifyEmail',
+      '/resend-verification': 'handleResendVerification',
+      '/login/2fa': 'handleTwoFactorLogin',
+      '/2fa/enroll': 'handleTwoFactorEnroll',
+      '/2fa/confirm': 'handleTwoFactorConfirm',
+      '/2fa/recovery-codes': 'handleRecoveryCodes',
+      '/refresh': 'handleRefresh',
+      '/end-impersonation': 'handleEndImpersonation'
+    };
+
 /**
  * Handle an incoming http request and execute.
  * the correct `Store` proxy function based on `ctx.req.method`.
@@ -49,7 +267,7 @@ UserCollection.SALT_LEN = 256;
 UserCollection.prototype.handle = function (ctx) {
   var uc = this;
 
-  if (ctx.req.method == "GET" && (ctx.url === '/count' || ctx.url.indexOf('/index-of') === 0)) {
+  if ((ctx.req.method == "GET" || ctx.req.method == "HEAD") && (ctx.url === '/count' || ctx.url.indexOf('/index-of') === 0)) {
     return Collection.prototype.handle.apply(uc, arguments);
   }
 
@@ -58,12 +276,38 @@ UserCollection.prototype.handle = function (ctx) {
     uc.addDomainAdditions(logoutDomain);
     uc.doBeforeRequestEvent(ctx, logoutDomain, function(err) {
       if (err) return ctx.done(err);
-      if (ctx.res.cookies) ctx.res.cookies.set('sid', null, {overwrite: true});
-      ctx.session.remove(ctx.done);
+      uc.revokeRefreshToken(ctx.body && ctx.body.refreshToken, function (err) {
+        if (err) return ctx.done(err);
+        if (ctx.res.cookies) ctx.res.cookies.set('sid', null, {overwrite: true});
+        ctx.session.remove(ctx.done);
+      });
     });
     return;
   }
 
+  var auth = /^\/auth\/([^\/]+)(\/callback)?$/.exec(ctx.url);
+  if (auth && ctx.req.method == 'GET') {
+    if (auth[2]) return this.handleAuthCallback(ctx, auth[1], ctx.done);
+    return this.handleAuthorize(ctx, auth[1], ctx.done);
+  }
+
+  var sessions = /^\/me\/sessions(?:\/([^\/]+))?$/.exec(ctx.url);
+  if (sessions && ctx.req.method == 'GET' && !sessions[1]) return this.handleListSessions(ctx, ctx.done);
+  if (sessions && ctx.req.method == 'DELETE') return this.handleRemoveSessions(ctx, sessions[1], ctx.done);
+
+  var tokens = /^\/me\/tokens(?:\/([^\/]+))?$/.exec(ctx.url);
+  if (tokens && ctx.req.method == 'GET' && !tokens[1]) return this.handleListPersonalTokens(ctx, ctx.done);
+  if (tokens && ctx.req.method == 'POST' && !tokens[1]) return this.handleCreatePersonalToken(ctx, ctx.done);
+  if (tokens && ctx.req.method == 'DELETE' && tokens[1]) return this.handleRevokePersonalToken(ctx, tokens[1], ctx.done);
+
+  var impersonation = /^\/([^\/]+)\/(impersonate|impersonations)$/.exec(ctx.url);
+  if (impersonation && impersonation[2] == 'impersonate' && ctx.req.method == 'POST') {
+    return this.handleImpersonate(ctx, impersonation[1], ctx.done);
+  }
+  if (impersonation && impersonation[2] == 'impersonations' && ctx.req.method == 'GET') {
+    return this.handleListImpersonations(ctx, impersonation[1], ctx.done);
+  }
+
   // set id if one wasnt provided in the query
   ctx.query.id = ctx.query.id || this.parseId(ctx) || (ctx.body && ctx.body.id);
 
@@ -80,8 +324,20 @@ UserCollection.prototype.handle = function (ctx) {
     if (omit || Object.keys(ctx.query.$fields).length === 0) ctx.query.$fields.password = 0;
   } else ctx.query.$fields = {password: 0};
 
+  var handled = this.handleSpecialRoutes(ctx, function (err, res) {
+    // objects restored from the trash are read straight from the store
+    if (res && typeof res === 'object' && !Array.isArray(res)) delete res.password;
+    ctx.done(err, res);
+  });
+  if (handled) return;
+
+  if (ctx.req.method == 'PATCH' && typeof ctx.query.id != 'string') {
+    return ctx.done("must provide id to patch an object");
+  }
+
   switch(ctx.req.method) {
     case 'GET':
+    case 'HEAD':
       if(ctx.url === '/me') {
         debug('session %j', ctx.session.data);
         var noSuchUser = function () {
@@ -97,9 +353,26 @@ UserCollection.prototype.handle = function (ctx) {
           return noSuchUser();
         }
 
+        // handleSession leaves out the user once an impersonation ended
+        if (ctx.session.data.impersonatedBy && !ctx.session.user) return noSuchUser();
+
         ctx.query = ctx.query || {};
         ctx.query.id = ctx.session.data.uid;
 
+        // call find() to ensure all event scripts are executed
+        var findMe = function () {
+          uc.find(ctx, function(err, user){
+            if (!user) return noSuchUser(); // if the request was cancelled by the event script
+            delete user.password;
+            user.roles = user.roles || [];
+            ctx.done.apply(null, arguments);
+          });
+        };
+
+        // access tokens are signed, and expire before a password change matters much;
+        // personal access tokens do not depend on the password at all
+        if (ctx.session.claims || ctx.session.personalToken) return findMe();
+
         // raw store query, need unmodified username and password
         return uc.store.find({id: ctx.session.data.uid, $fields: {username: 1, password: 1}}, function(err, user) {
           if (err) {
@@ -107,23 +380,16 @@ UserCollection.prototype.handle = function (ctx) {
             return ctx.done({statusCode: 500, message: "Error retrieving user for verification"});
           }
 
-          var userHash = user ? uc.getUserAndPasswordHash(user) : null;
-
           // verify that the username and password haven't changed since this session was created
-          if (ctx.session.data.userhash === userHash) {
-            // hash verified, call find() now to ensure all event scripts are executed
-            return uc.find(ctx, function(err, user){
-              if (!user) return noSuchUser(); // if the request was cancelled by the event script
-              delete user.password;
-              ctx.done.apply(null, arguments);
-            });
+          if (uc.checkUserHash(user, ctx.session.data.userhash)) {
+            findMe();
           } else {
             noSuchUser();
           }
         });
       }
 
-      this.find(ctx, ctx.done);
+      this.find(ctx, this.respondWithETag(ctx, ctx.done, true));
     break;
     case 'POST':
       if(ctx.url === '/login') {
@@ -135,7 +401,12 @@ UserCollection.prototype.handle = function (ctx) {
         });
         break;
       }
+      if (POST_ROUTES.hasOwnProperty(ctx.url)) {
+        uc[POST_ROUTES[ctx.url]](ctx, ctx.done);
+        break;
+      }
       /* falls through */
+    case 'PATCH':
     case 'PUT':
       if (!ctx.body && typeof ctx.body !== "object") {
         return ctx.done("Missing request body");
@@ -146,34 +417,168 @@ UserCollection.prototype.handle = function (ctx) {
             return ctx.done({errors: {password: 'is required'}});
           }
         }
-      this.setPassword(ctx.body);
       var isSelf = ctx.session.user && ctx.session.user.id === ctx.query.id || (ctx.body && ctx.body.id);
-      if ((ctx.query.id || ctx.body.id) && ctx.body && !isSelf && !ctx.session.isRoot && !ctx.req.internal) {
-        delete ctx.body.username;
-        delete ctx.body.password;
-      }
-
-      function done(err, res) {
+      var canChangeCredentials = !((ctx.query.id || ctx.body.id) && ctx.body && !isSelf && !ctx.session.isRoot && !ctx.req.internal);
+      var done = this.respondWithETag(ctx, function (err, res) {
         if (res) delete res.password;
         ctx.done(err, res);
-      }
+      });
 
-      if(ctx.query.id || ctx.body.id) {
-        this.save(ctx, done);
-      } else {
-        this.store.first({username: ctx.body.username}, function (err, u) {
-          if(u) return ctx.done({errors: {username: 'is already in use'}});
+      var save = function (err) {
+        if (err) return ctx.done(err);
+        if(ctx.query.id || ctx.body.id) {
           uc.save(ctx, done);
+        } else {
+          uc.store.first({username: ctx.body.username}, function (err, u) {
+            if(u) return ctx.done({errors: {username: 'is already in use'}});
+            uc.save(ctx, function (err, res) {
+              if (err || !res) return done(err, res);
+              uc.sendToken(ctx, res, 'verify', function (sendErr) {
+                // the user can ask for another token, so this does not fail the sign up
+                if (sendErr) debug('could not send a verification token: %j', sendErr);
+                done(err, res);
+              });
+            });
+          });
+        }
+      };
+
+      if (Array.isArray(ctx.body)) {
+        // JSON Patch operations
+        if (ctx.body.some(function (op) { return op && op.path === '/password' && op.value === ''; })) {
+          return ctx.done({errors: {password: 'is required'}});
+        }
+        if (ctx.body.some(readsSecret)) {
+          return ctx.done({statusCode: 400, message: 'a patch cannot copy, move or test the password'});
+        }
+        this.preparePatch(ctx.body, canChangeCredentials, function (err, operations) {
+          ctx.body = operations || ctx.body;
+          save(err);
         });
+      } else {
+        if (!canChangeCredentials) {
+          delete ctx.body.username;
+          delete ctx.body.password;
+        }
+        this.setPassword(ctx.body, save);
       }
     break;
     case 'DELETE':
+      var twoFactorReset = /^\/([^\/]+)\/2fa$/.exec(ctx.url);
+      if (twoFactorReset) return this.resetTwoFactor(ctx, twoFactorReset[1], ctx.done);
       debug('removing', ctx.query, ctx.done);
       this.remove(ctx, ctx.done);
     break;
   }
 };
 
+/**
+ * Password hashes are never kept in the history of users.
+ *
+ * @param  {String} property The name of the property.
+ * @return {Boolean}
+ */
+
+UserCollection.prototype.isTrackedProperty = function (property) {
+  return property !== 'password';
+};
+
+/**
+ * Reverting a user can change its username, so only root may do it.
+ *
+ * @param {Context} ctx The Context of the request.
+ * @param {String} rev The revision to revert to.
+ * @param {Function} fn(err, result)
+ */
+
+UserCollection.prototype.revert = function (ctx, rev, fn) {
+  if (!ctx.session.isRoot) {
+    return fn({message: 'Must be root to revert a user', statusCode: 403});
+  }
+  Collection.prototype.revert.apply(this, arguments);
+};
+
+/**
+ * Users may always read their own account at `/me`, whatever the access rules
+ * for reading users.
+ *
+ * @param {Context} ctx The Context of the request.
+ * @param {Object} domain The BeforeRequest domain.
+ * @param {Function} fn(err, owners)
+ */
+
+UserCollection.prototype.authorize = function (ctx, domain, fn) {
+  if (ctx.url === '/me' && domain.event === 'GET') return fn();
+  Collection.prototype.authorize.apply(this, arguments);
+};
+
+/**
+ * Users own their own account, as well as what the access rules say.
+ *
+ * @return {Array}
+ */
+
+UserCollection.prototype.getOwnerFields = function () {
+  return _.union(['id'], Collection.prototype.getOwnerFields.apply(this, arguments));
+};
+
+/**
+ * Password hashes are projected away before any stage of an aggregation
+ * over users can see them.
+ *
+ * @param {Array} pipeline The aggregation pipeline.
+ * @return {Array}
+ */
+
+UserCollection.prototype.sanitizePipeline = function (pipeline) {
+  var stages = Collection.prototype.sanitizePipeline.apply(this, arguments);
+  stages.unshift({$project: {password: 0}});
+  return stages;
+};
+
+/**
+ * Prepares JSON Patch operations for a user. New passwords are hashed, and
+ * operations on the username or password are dropped unless `allowCredentials`.
+ * Operations reading the password hash are always dropped.
+ * @param {Array}    operations       The JSON Patch operations.
+ * @param {boolean}  allowCredentials Whether the username and password may be changed.
+ * @param {Function} fn               Called with `(err, operations)`, the operations to apply.
+ */
+UserCollection.prototype.preparePatch = function (operations, allowCredentials, fn) {
+  var uc = this
+    , credentialPath = /^\/(username|password)(\/|$)/;
+
+  operations = operations.filter(function (op) {
+    if (!op || typeof op !== 'object') return true;
+    if (readsSecret(op)) return false;
+    return allowCredentials || !(credentialPath.test(op.path) || credentialPath.test(op.from));
+  });
+
+  async.eachSeries(operations, function (op, next) {
+    if (!op || op.path !== '/password' || (op.op !== 'add' && op.op !== 'replace') || typeof op.value !== 'string') {
+      return next();
+    }
+    var body = { password: op.value };
+    uc.setPassword(body, function (err) {
+      op.value = body.password;
+      next(err);
+    });
+  }, function (err) {
+    fn(err, err ? undefined : operations);
+  });
+};
+
+/*!
+ * Whether the JSON Patch `op` reads the password hash: copying or moving it
+ * elsewhere, or testing its value. Two-factor secrets and tokens are kept in
+ * their own stores, so the hash is the only secret of a user document.
+ */
+
+function readsSecret(op) {
+  var secretPath = /^\/password(\/|$)/;
+  return !!op && (secretPath.test(op.from) || (op.op === 'test' && secretPath.test(op.path)));
+}
+
 /**
  * Retrieves the user for the current request.
  * @param {Context}  ctx The Context of the request.
@@ -201,7 +606,6 @@ UserCollection.prototype.setSessionId = function (ctx, sessionId) {
  */
 UserCollection.prototype.handleLogin = function (ctx) {
   var uc = this
-    , path = uc.path
     , credentials = ctx.req.body || {};
 
   debug('trying to login as %s', credentials.username);
@@ -214,160 +618,1763 @@ UserCollection.prototype.handleLogin = function (ctx) {
     return;
   }
 
-  this.loginFindUser(ctx, function (err, user) {
+  this.checkLoginThrottle(ctx, credentials.username, function (err, throttle) {
     if (err) return ctx.done(err);
-    // keep a clone of the user so we can compare it later to see if any changes were made in the login event
-    var userClone = user ? _.clone(user) : null
-      , domain = { 'me': userClone, 'data': userClone, 'success': false };
-    var usernameAndPasswordHash = user ? uc.getUserAndPasswordHash(user) : null;
-
-    // checks if the user was changed in the login event and saves it if it was
-    function checkAndSaveUser(fn) {
-      if (user && !_.isEqual(userClone, user)) {
-        // something was changed, need to update the user
-        debug('detected that user %s was updated from login event, saving...', credentials.username);
-        // create a new context and set the body to our user so that we can call save on the collection
-        var newCtx = _.clone(ctx);
-        newCtx.body = userClone;
-        // skip events when calling uc.save, so that validate and put is not called from this
-        // internal call
-        newCtx._internalSkipEvents = true;
-        newCtx.query = { id: user.id };
-        // disable changing the username from this event
-        if (newCtx.body.username) delete newCtx.body.username;
-        if (newCtx.body.id) delete newCtx.body.id; // remove id from body
-
-        uc.save(newCtx, fn);
-      } else {
-        fn();
-      }
-    }
 
-    function loginDone(err) {
+    uc.loginFindUser(ctx, function (err, user) {
       if (err) return ctx.done(err);
-      checkAndSaveUser(function (err) {
+      // keep a clone of the user so we can compare it later to see if any changes were made in the login event
+      var userClone = user ? _.clone(user) : null
+        , domain = { 'me': userClone, 'data': userClone, 'success': false, 'locked': throttle.locked };
+      var usernameAndPasswordHash = user ? uc.getUserAndPasswordHash(user) : null;
+
+      // checks if the user was changed in the login event and saves it if it was
+      function checkAndSaveUser(fn) {
+        if (user && !_.isEqual(userClone, _.omit(user, 'password'))) {
+          // something was changed, need to update the user
+          debug('detected that user %s was updated from login event, saving...', credentials.username);
+          // create a new context and set the body to our user so that we can call save on the collection
+          var newCtx = _.clone(ctx);
+          newCtx.body = userClone;
+          // skip events when calling uc.save, so that validate and put is not called from this
+          // internal call
+          newCtx._internalSkipEvents = true;
+          newCtx.query = { id: user.id };
+          // disable changing the username from this event
+          if (newCtx.body.username) delete newCtx.body.username;
+          if (newCtx.body.id) delete newCtx.body.id; // remove id from body
+
+          uc.save(newCtx, fn);
+        } else {
+          fn();
+        }
+      }
+
+      function loginDone(err) {
         if (err) return ctx.done(err);
-        debug('logged in as %s', credentials.username);
-        ctx.session.set({ path: path, uid: user.id, userhash: usernameAndPasswordHash }).save(function (err, session) {
-          if (err) return ctx.done("Internal error");
-          uc.setSessionId(ctx, session.id);
-          ctx.done(err, { path: session.path, id: session.id, uid: session.uid });
+        checkAndSaveUser(function (err) {
+          if (err) return ctx.done(err);
+          uc.loginUser(ctx, user, usernameAndPasswordHash, ctx.done);
         });
-      });
-    }
-
-    function loginFail(err) {
-      checkAndSaveUser(function () {
-        if (err) return ctx.done(err); // allow overriding of error message from event
-        ctx.res.statusCode = 401;
-        ctx.done('bad credentials');
-      });
-    }
+      }
 
-    if (user) {
-      // a user with this username exists
-      delete userClone.password;
-      if (uc.checkHash(uc, user, credentials) === true) {
-        domain.success = true;
-        delete user.password; // make sure the password is not included in any sort of response
+      function loginFail(err) {
+        checkAndSaveUser(function () {
+          if (err) return ctx.done(err); // allow overriding of error message from event
+          if (throttle.retryAfter) {
+            ctx.res.statusCode = 429;
+            if (ctx.res.setHeader) ctx.res.setHeader('Retry-After', String(throttle.retryAfter));
+            return ctx.done('too many failed login attempts, try again later');
+          }
+          ctx.res.statusCode = 401;
+          ctx.done('bad credentials');
+        });
+      }
 
+      function runLoginFail() {
         if (uc.events.Login) {
-          uc.events.Login.run(ctx, domain, loginDone);
+          uc.events.Login.run(ctx, domain, loginFail);
         } else {
-          loginDone();
+          loginFail();
         }
-        return;
       }
-    }
 
-    if (uc.events.Login) {
-      uc.events.Login.run(ctx, domain, loginFail);
-    } else {
-      loginFail();
-    }
+      if (userClone) delete userClone.password;
+
+      // the password is not checked at all while logins are throttled
+      if (throttle.retryAfter) return runLoginFail();
+
+      uc.checkHash(uc, user, credentials, function (err, valid) {
+        if (err) return ctx.done(err);
+
+        if (user && valid === true) {
+          domain.success = true;
+          // failures are forgotten by loginUser(), once a second factor checked out too
+          uc.upgradePassword(user, credentials.password, function () {
+            delete user.password; // make sure the password is not included in any sort of response
+
+            if (uc.events.Login) {
+              uc.events.Login.run(ctx, domain, loginDone);
+            } else {
+              loginDone();
+            }
+          });
+          return;
+        }
+
+        uc.recordLoginFailure(ctx, credentials.username, function (err, locked) {
+          if (err) return ctx.done(err);
+          domain.locked = locked;
+          runLoginFail();
+        });
+      });
+    });
   });
 };
 
 /**
- * Returns a hash created by concatenating the username and password.
- * @param  {Object} user An object containing `username` and `password` properties.
- * @return {string}      The hash.
+ * The login throttling options, `UserCollection.LOGIN_THROTTLE` overridden by
+ * `config.loginThrottle`, or `null` if throttling is turned off.
+ * @return {Object}
  */
-UserCollection.prototype.getUserAndPasswordHash = function(user) {
-  return crypto.createHash('md5').update(user.username + user.password).digest('hex');
+UserCollection.prototype.loginThrottleOptions = function () {
+  if (!this.loginStore) return null;
+  return _.defaults({}, this.config.loginThrottle, UserCollection.LOGIN_THROTTLE);
 };
 
 /**
- * Used to verify that a session is still valid. Sets `ctx.session` if successful.
- * @param {Context}  ctx The Context of the request.
- * @param {Function} fn  The callback that handles the response.
+ * Checks whether logins for `username` from the client of `ctx` are throttled.
+ * @param {Context}  ctx      The Context of the request.
+ * @param {string}   username The username to log in as.
+ * @param {Function} fn       Called with `(err, {retryAfter, locked})`, where
+ *                            `retryAfter` is the number of seconds to wait (or 0)
+ *                            and `locked` whether the account is locked out.
  */
-UserCollection.prototype.handleSession = function (ctx, fn) {
-  // called when any session has been created
-  var session = ctx.session
-    , path = this.path
-    , uc = this;
+UserCollection.prototype.checkLoginThrottle = function (ctx, username, fn) {
+  checkThrottle(this, loginKeys(ctx, username), fn);
+};
 
-  if(session && session.data && session.data.path == path && session.data.uid) {
-    this.store.find({ id: session.data.uid }, function (err, user) {
-      if (user) {
-        var userHash = uc.getUserAndPasswordHash(user);
-        delete user.password;
-        // verify that the username and password haven't changed since this session was created
-        if (session.data.userhash === userHash) {
-          session.user = user;
-        } else {
-          ctx.res.setHeader('X-Session-Invalidated', 'true');
-        }
+/**
+ * Counts a failed login for `username` and the client of `ctx`, locking
+ * logins out once there were too many.
+ * @param {Context}  ctx      The Context of the request.
+ * @param {string}   username The username that failed to log in.
+ * @param {Function} fn       Called with `(err, locked)`, where `locked` is
+ *                            whether the account is now locked out.
+ */
+UserCollection.prototype.recordLoginFailure = function (ctx, username, fn) {
+  recordFailure(this, loginKeys(ctx, username), fn);
+};
+
+/*!
+ * Checks the failures counted under `keys`, of which the first is the
+ * account and the others the client. Calls back with `(err, {retryAfter, locked})`.
+ */
+
+function checkThrottle(uc, keys, fn) {
+  var options = uc.loginThrottleOptions();
+
+  if (!options) return fn(null, {retryAfter: 0, locked: false});
+
+  uc.loginStore.find({key: {$in: keys}}, function (err, records) {
+    if (err) return fn(err);
+
+    var now = Date.now()
+      , throttle = {retryAfter: 0, locked: false};
+
+    (records || []).forEach(function (record) {
+      throttle.retryAfter = Math.max(throttle.retryAfter, loginDelay(record, options, now));
+      if (record.key === keys[0] && record.lockedUntil > now) throttle.locked = true;
+    });
+
+    fn(null, throttle);
+  });
+}
+
+/*!
+ * Counts a failure under each of `keys`, locking them out once there were too
+ * many. Calls back with `(err, locked)`, whether the first key is locked out.
+ */
+
+function recordFailure(uc, keys, fn) {
+  var store = uc.loginStore
+    , options = uc.loginThrottleOptions()
+    , remaining = keys.length
+    , locked = false
+    , error;
+
+  if (!options) return fn(null, false);
+
+  store.find({key: {$in: keys}}, function (err, records) {
+    if (err) return fn(err);
+
+    var now = Date.now();
+
+    keys.forEach(function (key, i) {
+      var record = _.find(records || [], function (r) { return r.key === key; }) || {key: key}
+        , limit = i === 0 ? options.attempts : options.ipAttempts
+        , expired = record.lockedUntil ? record.lockedUntil <= now : now - record.lastFailure > options.lockout * 1000
+        , changes;
+
+      changes = {
+        failures: (expired || !record.failures) ? 1 : record.failures + 1,
+        lastFailure: now,
+        expires: new Date(now + options.lockout * 1000)
+      };
+      changes.lockedUntil = changes.failures >= limit ? now + options.lockout * 1000 : null;
+      if (i === 0 && changes.lockedUntil) locked = true;
+
+      if (changes.lockedUntil) debug('locking out logins for %s', key);
+
+      function saved(err) {
+        error = error || err;
+        if (--remaining === 0) fn(error, locked);
+      }
+
+      if (record.id) {
+        store.update({id: record.id}, changes, saved);
+      } else {
+        store.insert(_.extend(changes, {key: key}), saved);
       }
-      fn(err);
     });
-  } else {
-    fn();
-  }
-};
+  });
+}
 
 /**
- * Takes a plain-text password and hashes it. Mutates `body.password`.
- * @param {Object} body The body of the request. Must contain `body.password`.
+ * Forgets the failed logins of `username` after a successful login. Failures
+ * from the client address are kept, so one valid account cannot reset them.
+ * @param {Context}  ctx      The Context of the request.
+ * @param {string}   username The username that logged in.
+ * @param {Function} fn       The callback.
  */
-UserCollection.prototype.setPassword = function (body) {
-  // do not add salt to empty string
-  if(!body || !body.password || typeof body.password !== 'string' || body.password.length < 1) {
-      return;
-  }
-  var salt = uuid.create(UserCollection.SALT_LEN);
-  body.password = salt + this.hash(body.password, salt);
+UserCollection.prototype.clearLoginFailures = function (ctx, username, fn) {
+  if (!this.loginThrottleOptions()) return fn();
+  this.loginStore.remove({key: loginKeys(ctx, username)[0]}, function (err) {
+    fn(err);
+  });
 };
 
-/**
- * Hashes a password with the specified salt.
- * @param  {string} password The password.
- * @param  {string} salt     The salt.
- * @return {string}          The hash, as a hex digest.
+/*!
+ * The keys failed logins are counted under: the username, and the client
+ * address unless the request has none (eg. from the internal client).
  */
-UserCollection.prototype.hash = function (password, salt) {
-  if (password && !isNaN(password)){
-    password = password.toString();
+
+function loginKeys(ctx, username) {
+  var ip = remoteAddress(ctx)
+    , keys = ['username:' + username];
+
+  if (ip) keys.push('ip:' + ip);
+  return keys;
+}
+
+/*!
+ * The keys password reset requests are counted under, apart from failed
+ * logins, so neither can lock out the other.
+ */
+
+function resetKeys(ctx, username) {
+  var ip = remoteAddress(ctx)
+    , keys = ['reset:' + username];
+
+  if (ip) keys.push('reset-ip:' + ip);
+  return keys;
+}
+
+/*!
+ * The address the request of `ctx` came from.
+ */
+
+function remoteAddress(ctx) {
+  var connection = (ctx.req && (ctx.req.connection || ctx.req.socket)) || {};
+  return connection.remoteAddress;
+}
+
+/*!
+ * The number of seconds until `record` allows the next login attempt.
+ */
+
+function loginDelay(record, options, now) {
+  var until = record.lockedUntil;
+
+  if (!until && record.failures) {
+    until = record.lastFailure + Math.min(options.delay * Math.pow(2, record.failures - 1), options.maxDelay) * 1000;
   }
-  return crypto.createHmac('sha256', salt).update(password).digest('hex');
-};
+
+  return until > now ? Math.ceil((until - now) / 1000) : 0;
+}
 
 /**
- * Checks whether the given password matches the one persisted for the user.
- * @param  {UserCollection} uc  The UserCollection.
- * @param  {Object} user        The user object. Must have a property named `password`.
- * @param  {Object} credentials The credentials to be checked. Must have a property named `password`.
- * @return {boolean}            `true` if the credentials are valid.
+ * Creates a single-use token of `type` for `user` and runs the SendToken event
+ * to deliver it. Tokens sent before of the same type stop working. Does
+ * nothing without a SendToken event.
+ * @param {Context}  ctx  The Context of the request.
+ * @param {Object}   user The user the token is for.
+ * @param {string}   type `reset` or `verify`.
+ * @param {Function} fn   The callback.
  */
-UserCollection.prototype.checkHash = function (uc, user, credentials) {
-  // NOTE: there is no need for this to take uc as the first parameter
+UserCollection.prototype.sendToken = function (ctx, user, type, fn) {
+  var uc = this
+    , store = this.tokenStore
+    , token = crypto.randomBytes(32).toString('hex')
+    , ttl = _.defaults({}, this.config.tokenTtl, UserCollection.TOKEN_TTL)[type]
+    , expiresAt = Date.now() + ttl * 1000;
+
+  if (!uc.events.SendToken || !store) {
+    debug('no SendToken event, not sending a %s token', type);
+    return fn();
+  }
+
+  store.remove({userId: user.id, type: type}, function (err) {
+    if (err) return fn(err);
+    store.insert({hash: hashToken(token), type: type, userId: user.id, expiresAt: expiresAt}, function (err) {
+      if (err) return fn(err);
+      var me = _.omit(user, 'password');
+      uc.events.SendToken.run(ctx, {me: me, data: me, token: token, type: type, expires: new Date(expiresAt)}, fn);
+    });
+  });
+};
+
+/**
+ * Uses up a token of `type`. Unknown, expired and already used tokens are
+ * rejected with a 400.
+ * @param {string}   token The token as sent to the user.
+ * @param {string}   type  `reset` or `verify`.
+ * @param {Function} fn    Called with `(err, userId)`.
+ */
+UserCollection.prototype.useToken = function (token, type, fn) {
+  var store = this.tokenStore
+    , invalid = {statusCode: 400, message: 'invalid or expired token'};
+
+  if (!store || typeof token !== 'string' || !token) return fn(invalid);
+
+  store.first({hash: hashToken(token), type: type}, function (err, record) {
+    if (err) return fn(err);
+    if (!record) return fn(invalid);
+
+    // only the request that removes the token may use it
+    store.remove({id: record.id}, function (err, result) {
+      if (err) return fn(err);
+      if (!result || result.count !== 1 || record.expiresAt <= Date.now()) return fn(invalid);
+      fn(null, record.userId);
+    });
+  });
+};
+
+/**
+ * Handles `POST /forgot-password`, sending a reset token to the user with the
+ * given `username`. Responds the same whether the user exists or not.
+ * @param {Context}  ctx The Context of the request.
+ * @param {Function} fn  The callback that handles the response.
+ */
+UserCollection.prototype.handleForgotPassword = function (ctx, fn) {
+  var uc = this
+    , body = ctx.body || {};
+
+  if (typeof body.username !== 'string' || !body.username) {
+    return fn({statusCode: 400, message: 'username is required'});
+  }
+
+  // requests are throttled like failed logins, but counted apart from them
+  var keys = resetKeys(ctx, body.username);
+
+  checkThrottle(this, keys, function (err, throttle) {
+    if (err) return fn(err);
+    if (throttle.retryAfter) {
+      if (ctx.res && ctx.res.setHeader) ctx.res.setHeader('Retry-After', String(throttle.retryAfter));
+      return fn({statusCode: 429, message: 'too many password reset requests, try again later'});
+    }
+
+    recordFailure(uc, keys, function (err) {
+      if (err) return fn(err);
+      uc.store.first({username: body.username}, function (err, user) {
+        if (err) return fn(err);
+        if (!user) return fn(null, {});
+        uc.sendToken(ctx, user, 'reset', function (err) {
+          fn(err, err ? undefined : {});
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Handles `POST /reset-password`, setting the `password` of the user a reset
+ * `token` was sent to. Sessions of the user end, as the password changed, and
+ * their failed logins are forgotten.
+ * @param {Context}  ctx The Context of the request.
+ * @param {Function} fn  The callback that handles the response.
+ */
+UserCollection.prototype.handleResetPassword = function (ctx, fn) {
+  var uc = this
+    , body = ctx.body || {};
+
+  if (typeof body.password !== 'string' || !body.password) {
+    return fn({errors: {password: 'is required'}});
+  }
+
+  this.useToken(body.token, 'reset', function (err, userId) {
+    if (err) return fn(err);
+
+    // the token stands in for the credentials of the user, so the update is
+    // made internally, like the ones of Login events
+    var newCtx = _.clone(ctx);
+    newCtx.req = _.extend({}, ctx.req, {method: 'PUT', internal: true});
+    newCtx.session = {isRoot: true, data: {uid: userId}};
+    newCtx.body = {password: body.password};
+    newCtx.query = {id: userId};
+    newCtx._internalSkipEvents = true;
+
+    uc.setPassword(newCtx.body, function (err) {
+      if (err) return fn(err);
+      uc.save(newCtx, function (err, user) {
+        if (err) return fn(err);
+        uc.clearLoginFailures(ctx, user.username, function (err) {
+          fn(err, err ? undefined : {});
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Handles `POST /verify-email`, marking the user a verification `token` was
+ * sent to as `verified`.
+ * @param {Context}  ctx The Context of the request.
+ * @param {Function} fn  The callback that handles the response.
+ */
+UserCollection.prototype.handleVerifyEmail = function (ctx, fn) {
+  var uc = this
+    , body = ctx.body || {};
+
+  this.useToken(body.token, 'verify', function (err, userId) {
+    if (err) return fn(err);
+    uc.store.update({id: userId}, {verified: true}, function (err) {
+      fn(err, err ? undefined : {});
+    });
+  });
+};
+
+/**
+ * Handles `POST /resend-verification`, sending a new verification token to the
+ * logged in user, or the user with the given `username`, unless already verified.
+ * @param {Context}  ctx The Context of the request.
+ * @param {Function} fn  The callback that handles the response.
+ */
+UserCollection.prototype.handleResendVerification = function (ctx, fn) {
+  var uc = this
+    , body = ctx.body || {}
+    , query;
+
+  if (ctx.session && ctx.session.user) {
+    query = {id: ctx.session.user.id};
+  } else if (typeof body.username === 'string' && body.username) {
+    query = {username: body.username};
+  } else {
+    return fn({statusCode: 400, message: 'username is required'});
+  }
+
+  this.store.first(query, function (err, user) {
+    if (err) return fn(err);
+    if (!user || user.verified) return fn(null, {});
+    uc.sendToken(ctx, user, 'verify', function (err) {
+      fn(err, err ? undefined : {});
+    });
+  });
+};
+
+/*!
+ * Only SHA-256 hashes of tokens are stored, so the tokens cannot be read
+ * back from the store.
+ */
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Saves `data` to the session of `ctx` and sends the session id to the client.
+ * @param {Context}  ctx  The Context of the request.
+ * @param {Object}   data The session data to set.
+ * @param {Function} fn   Called with the saved session.
+ */
+UserCollection.prototype.saveSession = function (ctx, data, fn) {
+  var uc = this;
+
+  ctx.session.set(data).save(function (err, session) {
+    if (err) return ctx.done("Internal error");
+    uc.setSessionId(ctx, session.id);
+    fn(session);
+  });
+};
+
+/**
+ * Logs in `user` once their credentials checked out, asking for a second
+ * factor first if they enabled two-factor authentication. Failed logins of
+ * the user are forgotten once they are logged in.
+ * @param {Context}  ctx      The Context of the request.
+ * @param {Object}   user     The user.
+ * @param {string}   userhash The `getUserAndPasswordHash()` of the user.
+ * @param {Function} fn       Called with `(err, result)` to respond with.
+ */
+UserCollection.prototype.loginUser = function (ctx, user, userhash, fn) {
+  var uc = this;
+
+  this.twoFactorFor(user.id, function (err, twoFactor) {
+    if (err) return fn(err);
+
+    if (twoFactor) {
+      // the session only gets the uid once the second factor is checked
+      debug('%s needs a second factor', user.username);
+      var pending = { uid: user.id, username: user.username, userhash: userhash, started: Date.now(), attempts: 0 };
+      return uc.saveSession(ctx, { path: uc.path, uid: null, twoFactor: pending }, function (session) {
+        fn(null, { path: session.path, id: session.id, twoFactor: true });
+      });
+    }
+
+    debug('logged in as %s', user.username);
+    uc.clearLoginFailures(ctx, user.username, function (err) {
+      if (err) return fn(err);
+      uc.finishLogin(ctx, user.id, userhash, fn);
+    });
+  });
+};
+
+/**
+ * Logs in the user with `uid` once all their factors were checked: sets the uid
+ * of the session, or with `config.jwt` issues access and refresh tokens.
+ * @param {Context}  ctx      The Context of the request.
+ * @param {string}   uid      The id of the user.
+ * @param {string}   userhash The `getUserAndPasswordHash()` of the user.
+ * @param {Function} fn       Called with `(err, result)` to respond with.
+ */
+UserCollection.prototype.finishLogin = function (ctx, uid, userhash, fn) {
+  var uc = this;
+
+  if (!this.config.jwt) {
+    var client = {
+      userAgent: (ctx.req && ctx.req.headers && ctx.req.headers['user-agent']) || null,
+      ip: remoteAddress(ctx) || null
+    };
+    return this.saveSession(ctx, _.extend({path: this.path, uid: uid, userhash: userhash, twoFactor: null}, client), function (session) {
+      fn(null, {path: session.path, id: session.id, uid: session.uid});
+    });
+  }
+
+  this.store.first({id: uid}, function (err, user) {
+    if (err) return fn(err);
+    if (!user) return fn({statusCode: 401, message: 'bad credentials'});
+
+    // a session that only waited for the second factor is not needed anymore
+    if (ctx.session && ctx.session.data && ctx.session.data.twoFactor) {
+      return ctx.session.remove(function () {
+        uc.issueTokens(user, userhash, null, fn);
+      });
+    }
+    uc.issueTokens(user, userhash, null, fn);
+  });
+};
+
+/**
+ * The `config.jwt` options with the defaults of `UserCollection.JWT`, or `null`
+ * when logins create sessions.
+ * @return {Object}
+ */
+UserCollection.prototype.jwtOptions = function () {
+  if (!this.config.jwt) return null;
+  return _.defaults({}, this.config.jwt, UserCollection.JWT);
+};
+
+/**
+ * Issues an access token and a refresh token for `user`. Refresh tokens
+ * descending from the same login share a `family`.
+ * @param {Object}   user     The user, as stored.
+ * @param {string}   userhash The `getUserAndPasswordHash()` of the user.
+ * @param {string}   family   The family of the refresh token that was used, if any.
+ * @param {Function} fn       Called with `(err, tokens)`.
+ */
+UserCollection.prototype.issueTokens = function (user, userhash, family, fn) {
+  var uc = this
+    , options = this.jwtOptions()
+    , store = this.tokenStore
+    , now = Date.now()
+    , refreshToken = crypto.randomBytes(32).toString('hex')
+    , claims = _.pick(user, options.claims || [])
+    , accessToken;
+
+  claims = _.extend(_.omit(claims, 'password', 'id'), {username: user.username, roles: user.roles || []});
+  accessToken = jwt.sign({
+    sub: user.id,
+    path: this.path,
+    iat: Math.floor(now / 1000),
+    exp: Math.floor(now / 1000) + options.accessTtl,
+    user: claims
+  }, options.secret);
+
+  // drop expired refresh tokens of the user while at it
+  store.remove({type: 'refresh', userId: user.id, expiresAt: {$lt: now}}, function (err) {
+    if (err) return fn(err);
+    store.insert({
+      hash: hashToken(refreshToken),
+      type: 'refresh',
+      userId: user.id,
+      family: family || crypto.randomBytes(16).toString('hex'),
+      userhash: userhash,
+      expiresAt: now + options.refreshTtl * 1000
+    }, function (err) {
+      if (err) return fn(err);
+      fn(null, {
+        path: uc.path,
+        uid: user.id,
+        accessToken: accessToken,
+        tokenType: 'Bearer',
+        expiresIn: options.accessTtl,
+        refreshToken: refreshToken
+      });
+    });
+  });
+};
+
+/**
+ * Checks an access token issued by this collection.
+ * @param  {string} token The access token.
+ * @return {Object}       The user from its claims, or `null` if the token is
+ *                        invalid, expired or from another collection.
+ */
+UserCollection.prototype.verifyAccessToken = function (token) {
+  var options = this.jwtOptions()
+    , claims = options && jwt.verify(token, options.secret);
+
+  if (!claims || claims.path !== this.path) return null;
+  return _.extend({}, claims.user, {id: claims.sub});
+};
+
+/**
+ * Handles `POST /refresh`, exchanging a `refreshToken` for new tokens. Each
+ * refresh token works once; using one again revokes all the tokens of its
+ * login, as one of them must have been stolen. Changing the username or
+ * password also ends them.
+ * @param {Context}  ctx The Context of the request.
+ * @param {Function} fn  The callback that handles the response.
+ */
+UserCollection.prototype.handleRefresh = function (ctx, fn) {
+  var uc = this
+    , store = this.tokenStore
+    , body = ctx.body || {}
+    , invalid = {statusCode: 401, message: 'invalid or expired refresh token'};
+
+  if (!this.jwtOptions()) return fn({statusCode: 400, message: 'access tokens are not enabled for ' + this.path});
+  if (typeof body.refreshToken !== 'string' || !body.refreshToken) return fn(invalid);
+
+  store.first({hash: hashToken(body.refreshToken), type: 'refresh'}, function (err, record) {
+    if (err) return fn(err);
+    if (!record) return fn(invalid);
+
+    function reused() {
+      debug('refresh token of %s used again, revoking its family', record.userId);
+      store.remove({type: 'refresh', family: record.family}, function (err) {
+        fn(err || invalid);
+      });
+    }
+
+    if (record.used) return reused();
+    if (record.expiresAt <= Date.now()) return fn(invalid);
+
+    // only the request that marks the token used may use it
+    store.update({id: record.id, used: {$ne: true}}, {used: true}, function (err, result) {
+      if (err) return fn(err);
+      if (!result || result.count !== 1) return reused();
+      uc.store.first({id: record.userId}, function (err, user) {
+        if (err) return fn(err);
+        if (!uc.checkUserHash(user, record.userhash)) return fn(invalid);
+        uc.issueTokens(user, record.userhash, record.family, fn);
+      });
+    });
+  });
+};
+
+/**
+ * Revokes a refresh token, and the others of its login, on logout.
+ * @param {string}   refreshToken The refresh token, if any was sent.
+ * @param {Function} fn           The callback.
+ */
+UserCollection.prototype.revokeRefreshToken = function (refreshToken, fn) {
+  var store = this.tokenStore;
+
+  if (!this.jwtOptions() || typeof refreshToken !== 'string' || !refreshToken) return fn();
+
+  store.first({hash: hashToken(refreshToken), type: 'refresh'}, function (err, record) {
+    if (err || !record) return fn(err);
+    store.remove({type: 'refresh', family: record.family}, function (err) {
+      fn(err);
+    });
+  });
+};
+
+/**
+ * Handles `GET /me/sessions`, listing where the logged in user is logged in:
+ * when each session was created and last active, and the user agent and
+ * address it logged in from. Sessions are identified by a hash of their id,
+ * which is a credential; the `current` one made the request.
+ * @param {Context}  ctx The Context of the request.
+ * @param {Function} fn  The callback that handles the response.
+ */
+UserCollection.prototype.handleListSessions = function (ctx, fn) {
+  var user = ctx.session && ctx.session.user
+    , current = ctx.session && ctx.session.data && ctx.session.data.id;
+
+  if (!user) return fn({statusCode: 401, message: 'You must be logged in'});
+
+  this.userSessions(ctx, user.id, function (err, sessions) {
+    if (err) return fn(err);
+    fn(null, _.sortBy(sessions, 'lastActive').reverse().map(function (data) {
+      return {
+        id: hashToken(data.id),
+        createdOn: data.createdOn,
+        lastActive: data.lastActive,
+        userAgent: data.userAgent || null,
+        ip: data.ip || null,
+        current: data.id === current
+      };
+    }));
+  });
+};
+
+/**
+ * Handles `DELETE /me/sessions/:id`, logging the logged in user out of one of
+ * their sessions, and `DELETE /me/sessions`, logging them out everywhere. The
+ * latter also revokes their refresh tokens.
+ * @param {Context}  ctx The Context of the request.
+ * @param {string}   id  The hashed id of the session, as listed, if any.
+ * @param {Function} fn  The callback that handles the response.
+ */
+UserCollection.prototype.handleRemoveSessions = function (ctx, id, fn) {
+  var uc = this
+    , user = ctx.session && ctx.session.user
+    , current = ctx.session && ctx.session.data && ctx.session.data.id;
+
+  if (!user) return fn({statusCode: 401, message: 'You must be logged in'});
+
+  function removed(err, sessions) {
+    if (err) return fn(err);
+    if (_.some(sessions, function (data) { return data.id === current; }) && ctx.res.cookies) {
+      ctx.res.cookies.set('sid', null, {overwrite: true});
+    }
+    fn(null, {count: sessions.length});
+  }
+
+  this.userSessions(ctx, user.id, function (err, sessions) {
+    if (err) return fn(err);
+
+    if (id) {
+      sessions = sessions.filter(function (data) { return hashToken(data.id) === id; });
+      if (!sessions.length) return fn({statusCode: 404, message: 'no such session'});
+      return ctx.session.store.removeSession(sessions[0], function (err) {
+        removed(err, sessions);
+      });
+    }
+
+    debug('logging %s out everywhere', user.id);
+    ctx.session.store.removeUserSessions(user.id, function (err) {
+      if (err || !uc.jwtOptions()) return removed(err, sessions);
+      uc.tokenStore.remove({type: 'refresh', userId: user.id}, function (err) {
+        removed(err, sessions);
+      });
+    });
+  });
+};
+
+/**
+ * Finds the sessions the user with `uid` logged in to this collection with.
+ * @param {Context}  ctx The Context of the request.
+ * @param {string}   uid The id of the user.
+ * @param {Function} fn  Called with `(err, sessions)`, the data of each session.
+ */
+UserCollection.prototype.userSessions = function (ctx, uid, fn) {
+  var path = this.path;
+
+  ctx.session.store.getUserSessions(uid, function (err, sessions) {
+    fn(err, err ? undefined : sessions.filter(function (data) { return data.path === path; }));
+  });
+};
+
+/**
+ * The `config.personalTokens` options with the defaults of
+ * `UserCollection.PERSONAL_TOKEN`.
+ * @return {Object}
+ */
+UserCollection.prototype.personalTokenOptions = function () {
+  return _.defaults({}, this.config.personalTokens, UserCollection.PERSONAL_TOKEN);
+};
+
+/**
+ * Whether `token` has the format of a personal access token.
+ * @param  {string}  token The token.
+ * @return {Boolean}
+ */
+UserCollection.prototype.isPersonalToken = function (token) {
+  return typeof token === 'string' && PERSONAL_TOKEN.test(token);
+};
+
+/**
+ * Finds the user a personal access token belongs to.
+ * @param {string}   token The token.
+ * @param {Function} fn    Called with `(err, user, record)`, without a user if
+ *                         the token is unknown or expired.
+ */
+UserCollection.prototype.verifyPersonalToken = function (token, fn) {
+  var uc = this
+    , store = this.tokenStore
+    , now = Date.now();
+
+  if (!store || !this.isPersonalToken(token)) return fn(null, null);
+
+  store.first({hash: hashToken(token), type: 'personal'}, function (err, record) {
+    if (err) return fn(err);
+    if (!record || record.expiresAt <= now) return fn(null, null);
+
+    uc.store.first({id: record.userId}, function (err, user) {
+      if (err || !user) return fn(err, null);
+      delete user.password;
+      user.roles = user.roles || [];
+
+      // when the token was last used is good enough to the minute
+      if (record.lastUsed && record.lastUsed > now - 60 * 1000) return fn(null, user, record);
+      store.update({id: record.id}, {lastUsed: now}, function (err) {
+        fn(err, user, record);
+      });
+    });
+  });
+};
+
+/**
+ * Handles `POST /me/tokens`, creating a personal access token for the logged
+ * in user with a `name`, `scopes` and optionally the seconds it `expiresIn`.
+ * The token is only part of this response.
+ * @param {Context}  ctx The Context of the request.
+ * @param {Function} fn  The callback that handles the response.
+ */
+UserCollection.prototype.handleCreatePersonalToken = function (ctx, fn) {
+  var user = ctx.session && ctx.session.user
+    , body = ctx.body || {}
+    , options = this.personalTokenOptions()
+    , expiresIn = body.expiresIn === undefined ? options.ttl : body.expiresIn
+    , token = PERSONAL_TOKEN_PREFIX + crypto.randomBytes(32).toString('hex')
+    , errors = {}
+    , now = Date.now();
+
+  if (!user) return fn({statusCode: 401, message: 'You must be logged in'});
+  if (ctx.session.personalToken) {
+    return fn({statusCode: 403, message: 'personal access tokens cannot create other tokens'});
+  }
+
+  if (typeof body.name !== 'string' || !body.name.trim()) errors.name = 'is required';
+  if (!Array.isArray(body.scopes) || !body.scopes.length || !body.scopes.every(scopes.isValid)) {
+    errors.scopes = 'must be a list of read or write scopes, like read:/todos';
+  }
+  if (typeof expiresIn !== 'number' || !isFinite(expiresIn) || expiresIn <= 0 || expiresIn > options.maxTtl) {
+    errors.expiresIn = 'must be a number of seconds up to ' + options.maxTtl;
+  }
+  if (Object.keys(errors).length) return fn({errors: errors});
+
+  this.tokenStore.insert({
+    hash: hashToken(token),
+    type: 'personal',
+    userId: user.id,
+    name: body.name.trim(),
+    scopes: _.uniq(body.scopes),
+    createdOn: now,
+    expiresAt: now + expiresIn * 1000
+  }, function (err, record) {
+    if (err) return fn(err);
+    fn(null, _.extend(personalTokenInfo(record), {token: token}));
+  });
+};
+
+/**
+ * Handles `GET /me/tokens`, listing the personal access tokens of the logged
+ * in user that have not expired.
+ * @param {Context}  ctx The Context of the request.
+ * @param {Function} fn  The callback that handles the response.
+ */
+UserCollection.prototype.handleListPersonalTokens = function (ctx, fn) {
+  var user = ctx.session && ctx.session.user
+    , now = Date.now();
+
+  if (!user) return fn({statusCode: 401, message: 'You must be logged in'});
+
+  this.tokenStore.find({type: 'personal', userId: user.id}, function (err, records) {
+    if (err) return fn(err);
+    fn(null, _.sortBy(records || [], 'createdOn').reverse().filter(function (record) {
+      return record.expiresAt > now;
+    }).map(personalTokenInfo));
+  });
+};
+
+/**
+ * Handles `DELETE /me/tokens/:id`, revoking a personal access token of the
+ * logged in user.
+ * @param {Context}  ctx The Context of the request.
+ * @param {string}   id  The id of the token.
+ * @param {Function} fn  The callback that handles the response.
+ */
+UserCollection.prototype.handleRevokePersonalToken = function (ctx, id, fn) {
+  var user = ctx.session && ctx.session.user;
+
+  if (!user) return fn({statusCode: 401, message: 'You must be logged in'});
+
+  this.tokenStore.remove({id: id, type: 'personal', userId: user.id}, function (err, result) {
+    if (err) return fn(err);
+    if (!result || !result.count) return fn({statusCode: 404, message: 'no such token'});
+    fn(null, {});
+  });
+};
+
+/*!
+ * What is shown of a stored personal access token.
+ */
+
+function personalTokenInfo(record) {
+  return _.pick(record, 'id', 'name', 'scopes', 'createdOn', 'expiresAt', 'lastUsed');
+}
+
+/*!
+ * Who is impersonating, as far as the server knows: a hash of the key that
+ * made the request root, or else of the session of root. Both are secrets,
+ * so only a prefix of their hash is recorded.
+ */
+
+function impersonator(ctx) {
+  var req = ctx.req || {}
+    , key = (req.headers && req.headers['dpd-ssh-key']) || (req.cookies && req.cookies.get('DpdSshKey'));
+
+  if (key) return 'key:' + hashToken(key).slice(0, 12);
+  if (ctx.session.sid) return 'session:' + hashToken(ctx.session.sid).slice(0, 12);
+  return 'root';
+}
+
+/**
+ * Handles `POST /:id/impersonate`, logging root in as the user with `id` so
+ * support can see what they see. The session of root is left alone; a new
+ * session is flagged with `impersonatedBy` and its id is returned, to be sent
+ * as the `sid` cookie or as a bearer token. It ends after
+ * `config.impersonationTtl` seconds, or `UserCollection.IMPERSONATION_TTL`.
+ * The `reason` of the body is recorded in the audit trail.
+ * @param {Context}  ctx The Context of the request.
+ * @param {string}   id  The id of the user.
+ * @param {Function} fn  The callback that handles the response.
+ */
+UserCollection.prototype.handleImpersonate = function (ctx, id, fn) {
+  var uc = this
+    , body = ctx.body || {}
+    , reason = typeof body.reason === 'string' ? body.reason : null
+    , ttl = this.config.impersonationTtl || UserCollection.IMPERSONATION_TTL;
+
+  if (!ctx.session.isRoot) return fn({statusCode: 403, message: 'Must be root to impersonate a user'});
+
+  var by = impersonator(ctx);
+
+  this.store.first({id: id}, function (err, user) {
+    if (err) return fn(err);
+    if (!user) return fn({statusCode: 404, message: 'no such user'});
+
+    var data = {
+      path: uc.path,
+      uid: user.id,
+      userhash: uc.getUserAndPasswordHash(user),
+      twoFactor: null,
+      impersonatedBy: by,
+      impersonationEnds: Date.now() + ttl * 1000
+    };
+
+    debug('%s impersonates %s', by, user.id);
+    ctx.session.store.createSession(function (err, session) {
+      if (err) return fn(err);
+      session.set(data).save(function (err, saved) {
+        if (err) return fn(err);
+        uc.audit({action: 'start', userId: user.id, impersonatedBy: by, reason: reason}, function (err) {
+          if (err) return fn(err);
+          fn(null, {path: saved.path, id: saved.id, uid: saved.uid, impersonatedBy: by, expires: data.impersonationEnds});
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Handles `POST /end-impersonation`, ending the impersonating session.
+ * @param {Context}  ctx The Context of the request.
+ * @param {Function} fn  The callback that handles the response.
+ */
+UserCollection.prototype.handleEndImpersonation = function (ctx, fn) {
+  var data = (ctx.session && ctx.session.data) || {};
+
+  if (!data.impersonatedBy || data.path !== this.path) {
+    return fn({statusCode: 400, message: 'this session is not impersonating a user'});
+  }
+
+  this.audit({action: 'end', userId: data.uid, impersonatedBy: data.impersonatedBy}, function (err) {
+    if (err) return fn(err);
+    if (ctx.res.cookies) ctx.res.cookies.set('sid', null, {overwrite: true});
+    ctx.session.remove(function (err) {
+      fn(err, err ? undefined : {});
+    });
+  });
+};
+
+/**
+ * Handles `GET /:id/impersonations`, the audit trail of the impersonations of
+ * the user with `id`, newest first. Only root may read it.
+ * @param {Context}  ctx The Context of the request.
+ * @param {string}   id  The id of the user.
+ * @param {Function} fn  The callback that handles the response.
+ */
+UserCollection.prototype.handleListImpersonations = function (ctx, id, fn) {
+  if (!ctx.session.isRoot) return fn({statusCode: 403, message: 'Must be root to read the impersonations of a user'});
+
+  this.auditStore.find({userId: id}, function (err, entries) {
+    fn(err, err ? undefined : _.sortBy(entries || [], 'at').reverse());
+  });
+};
+
+/**
+ * Records what happened under impersonation in the `<name>-audit` store.
+ * @param {Object}   entry The `action` (`start`, `write` or `end`) and its details.
+ * @param {Function} fn    The callback.
+ */
+UserCollection.prototype.audit = function (entry, fn) {
+  if (!this.auditStore) return fn();
+  this.auditStore.insert(_.extend({at: Date.now()}, entry), function (err) {
+    fn(err);
+  });
+};
+
+/**
+ * Records the request of `ctx` in the audit trail once it was answered, if it
+ * writes anything. Requests made by scripts are part of the recorded request.
+ * @param {Context} ctx The Context of the request.
+ */
+UserCollection.prototype.auditImpersonatedRequest = function (ctx) {
+  var uc = this
+    , req = ctx.req
+    , res = ctx.res
+    , data = ctx.session.data;
+
+  if (req.internal || !WRITE_METHODS.hasOwnProperty(req.method) || typeof res.once !== 'function') return;
+
+  res.once('finish', function () {
+    uc.audit({
+      action: 'write',
+      userId: data.uid,
+      impersonatedBy: data.impersonatedBy,
+      method: req.method,
+      url: req.url,
+      statusCode: res.statusCode
+    }, function (err) {
+      if (err) console.error("Internal Error: could not audit an impersonated request: " + JSON.stringify(err));
+    });
+  });
+};
+
+/**
+ * Finds the confirmed two-factor secret of a user.
+ * @param {string}   userId The id of the user.
+ * @param {Function} fn     Called with `(err, record)`, without a record if
+ *                          the user does not use two-factor authentication.
+ */
+UserCollection.prototype.twoFactorFor = function (userId, fn) {
+  if (!this.twoFactorStore) return fn(null, null);
+  this.twoFactorStore.first({userId: userId, confirmed: true}, fn);
+};
+
+/**
+ * Checks a TOTP `code` or a `recoveryCode` against the two-factor `record` of a
+ * user. Neither works twice: a TOTP code must be newer than the last one used,
+ * and recovery codes are removed once used.
+ * @param {Object}   record The two-factor record of the user.
+ * @param {Object}   body   Either `{code}` or `{recoveryCode}`.
+ * @param {Function} fn     Called with `(err, valid)`.
+ */
+UserCollection.prototype.checkSecondFactor = function (record, body, fn) {
+  var store = this.twoFactorStore
+    , codes = record.recoveryCodes || []
+    , step
+    , remaining;
+
+  function saved(err) {
+    fn(err, !err);
+  }
+
+  if (body.code !== undefined) {
+    step = totp.verify(record.secret, String(body.code));
+    if (step === -1 || (typeof record.lastStep === 'number' && step <= record.lastStep)) return fn(null, false);
+    return store.update({id: record.id}, {lastStep: step}, saved);
+  }
+
+  if (typeof body.recoveryCode === 'string') {
+    remaining = _.without(codes, hashToken(body.recoveryCode.trim().toLowerCase()));
+    if (remaining.length === codes.length) return fn(null, false);
+    return store.update({id: record.id}, {recoveryCodes: remaining}, saved);
+  }
+
+  fn(null, false);
+};
+
+/**
+ * Handles `POST /2fa/enroll`, creating a TOTP secret for the logged in user.
+ * It is only used once confirmed with a code.
+ * @param {Context}  ctx The Context of the request.
+ * @param {Function} fn  The callback that handles the response.
+ */
+UserCollection.prototype.handleTwoFactorEnroll = function (ctx, fn) {
+  var uc = this
+    , store = this.twoFactorStore
+    , user = ctx.session && ctx.session.user;
+
+  if (!user) return fn({statusCode: 401, message: 'You must be logged in'});
+
+  this.twoFactorFor(user.id, function (err, twoFactor) {
+    if (err) return fn(err);
+    if (twoFactor) return fn({statusCode: 409, message: 'two-factor authentication is already enabled'});
+
+    var secret = totp.generateSecret();
+    // a secret enrolled before but never confirmed is replaced
+    store.remove({userId: user.id, confirmed: false}, function (err) {
+      if (err) return fn(err);
+      store.insert({userId: user.id, secret: secret, confirmed: false}, function (err) {
+        if (err) return fn(err);
+        fn(null, {secret: secret, uri: totp.uri(secret, user.username, uc.config.twoFactorIssuer)});
+      });
+    });
+  });
+};
+
+/**
+ * Handles `POST /2fa/confirm`, enabling two-factor authentication for the
+ * logged in user once the `code` matches the enrolled secret. Responds with
+ * the `recoveryCodes`, which are not shown again.
+ * @param {Context}  ctx The Context of the request.
+ * @param {Function} fn  The callback that handles the response.
+ */
+UserCollection.prototype.handleTwoFactorConfirm = function (ctx, fn) {
+  var store = this.twoFactorStore
+    , user = ctx.session && ctx.session.user
+    , body = ctx.body || {};
+
+  if (!user) return fn({statusCode: 401, message: 'You must be logged in'});
+
+  store.first({userId: user.id, confirmed: false}, function (err, record) {
+    if (err) return fn(err);
+    if (!record) return fn({statusCode: 400, message: 'no two-factor secret is waiting to be confirmed'});
+
+    var step = totp.verify(record.secret, String(body.code))
+      , codes = generateRecoveryCodes();
+
+    if (step === -1) return fn({statusCode: 400, message: 'invalid code'});
+
+    store.update({id: record.id}, {confirmed: true, lastStep: step, recoveryCodes: codes.map(hashToken)}, function (err) {
+      fn(err, err ? undefined : {recoveryCodes: codes});
+    });
+  });
+};
+
+/**
+ * Handles `POST /2fa/recovery-codes`, replacing the recovery codes of the
+ * logged in user after checking a TOTP `code`.
+ * @param {Context}  ctx The Context of the request.
+ * @param {Function} fn  The callback that handles the response.
+ */
+UserCollection.prototype.handleRecoveryCodes = function (ctx, fn) {
+  var uc = this
+    , user = ctx.session && ctx.session.user
+    , body = ctx.body || {};
+
+  if (!user) return fn({statusCode: 401, message: 'You must be logged in'});
+
+  this.twoFactorFor(user.id, function (err, record) {
+    if (err) return fn(err);
+    if (!record) return fn({statusCode: 400, message: 'two-factor authentication is not enabled'});
+
+    uc.checkSecondFactor(record, {code: body.code}, function (err, valid) {
+      if (err) return fn(err);
+      if (!valid) return fn({statusCode: 400, message: 'invalid code'});
+
+      var codes = generateRecoveryCodes();
+      uc.twoFactorStore.update({id: record.id}, {recoveryCodes: codes.map(hashToken)}, function (err) {
+        fn(err, err ? undefined : {recoveryCodes: codes});
+      });
+    });
+  });
+};
+
+/**
+ * Handles `POST /login/2fa`, completing a login started with `POST /login`
+ * with a TOTP `code` or a `recoveryCode`. Too many wrong codes, or taking
+ * too long, end the login. Wrong codes also count as failed logins of the
+ * user, so they are throttled and lock the account out like wrong passwords,
+ * however many logins they are spread over.
+ * @param {Context}  ctx The Context of the request.
+ * @param {Function} fn  The callback that handles the response.
+ */
+UserCollection.prototype.handleTwoFactorLogin = function (ctx, fn) {
+  var uc = this
+    , body = ctx.body || {}
+    , data = (ctx.session && ctx.session.data) || {}
+    , pending = data.path === this.path && data.twoFactor
+    , expired = {statusCode: 401, message: 'no login is waiting for a second factor'};
+
+  if (!pending || Date.now() - pending.started > TWO_FACTOR_TIMEOUT) return fn(expired);
+
+  this.checkLoginThrottle(ctx, pending.username, function (err, throttle) {
+    if (err) return fn(err);
+    if (throttle.retryAfter) {
+      if (ctx.res && ctx.res.setHeader) ctx.res.setHeader('Retry-After', String(throttle.retryAfter));
+      return fn({statusCode: 429, message: 'too many failed login attempts, try again later'});
+    }
+
+    uc.twoFactorFor(pending.uid, function (err, record) {
+      if (err) return fn(err);
+      if (!record) return fn(expired);
+
+      uc.checkSecondFactor(record, body, function (err, valid) {
+        if (err) return fn(err);
+
+        if (valid) {
+          debug('logged in as %s with a second factor', pending.uid);
+          return uc.clearLoginFailures(ctx, pending.username, function (err) {
+            if (err) return fn(err);
+            uc.finishLogin(ctx, pending.uid, pending.userhash, fn);
+          });
+        }
+
+        uc.recordLoginFailure(ctx, pending.username, function (err) {
+          if (err) return fn(err);
+          pending.attempts++;
+          ctx.session.set({twoFactor: pending.attempts < TWO_FACTOR_ATTEMPTS ? pending : null}).save(function (err) {
+            fn(err || {statusCode: 401, message: 'invalid code'});
+          });
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Turns two-factor authentication off for the user with `id`, eg. when they
+ * lost both their device and their recovery codes. Only root may do it.
+ * @param {Context}  ctx The Context of the request.
+ * @param {string}   id  The id of the user.
+ * @param {Function} fn  The callback that handles the response.
+ */
+UserCollection.prototype.resetTwoFactor = function (ctx, id, fn) {
+  if (!ctx.session.isRoot) {
+    return fn({statusCode: 403, message: 'Must be root to reset two-factor authentication'});
+  }
+
+  this.twoFactorStore.remove({userId: id}, function (err) {
+    fn(err, err ? undefined : {});
+  });
+};
+
+/*!
+ * Generate a new set of recovery codes, ten hex characters each.
+ */
+
+function generateRecoveryCodes() {
+  var codes = [];
+  for (var i = 0; i < RECOVERY_CODES; i++) {
+    codes.push(crypto.randomBytes(5).toString('hex'));
+  }
+  return codes;
+}
+
+/**
+ * The `config.oidc` settings of the provider `name`, with the defaults of
+ * `UserCollection.OIDC`, or `null` if there is no such provider.
+ * @param  {string} name The name of the provider.
+ * @return {Object}
+ */
+UserCollection.prototype.oidcProvider = function (name) {
+  var providers = this.config.oidc || {};
+  if (!Object.prototype.hasOwnProperty.call(providers, name)) return null;
+  return _.defaults({}, providers[name], UserCollection.OIDC);
+};
+
+/**
+ * Handles `GET /auth/:provider`, redirecting to the provider to log in. The
+ * `state`, `nonce` and PKCE verifier the callback checks are kept in the
+ * session.
+ * @param {Context}  ctx  The Context of the request.
+ * @param {string}   name The name of the provider.
+ * @param {Function} fn   The callback that handles the response.
+ */
+UserCollection.prototype.handleAuthorize = function (ctx, name, fn) {
+  var uc = this
+    , provider = this.oidcProvider(name);
+
+  if (!provider) return fn({statusCode: 404, message: 'unknown identity provider ' + name});
+
+  oidc.discover(provider.issuer, function (err, config) {
+    if (err) return fn(err);
+
+    var pkce = oidc.pkce()
+      , pending = {
+          provider: name,
+          state: crypto.randomBytes(16).toString('hex'),
+          nonce: crypto.randomBytes(16).toString('hex'),
+          verifier: pkce.verifier,
+          started: Date.now()
+        };
+
+    uc.saveSession(ctx, {oidc: pending}, function () {
+      ctx.res.statusCode = 302;
+      ctx.res.setHeader('Location', oidc.authorizationUrl(config.authorization_endpoint, {
+        response_type: 'code',
+        client_id: provider.clientId,
+        redirect_uri: provider.redirectUri,
+        scope: provider.scope,
+        state: pending.state,
+        nonce: pending.nonce,
+        code_challenge: pkce.challenge,
+        code_challenge_method: 'S256'
+      }));
+      fn();
+    });
+  });
+};
+
+/**
+ * Handles `GET /auth/:provider/callback`, where the provider sends the browser
+ * back with a `code`. The code is exchanged for an ID token, and the user it
+ * names logged in like with `POST /login`: the Login event sees the `provider`.
+ * @param {Context}  ctx  The Context of the request.
+ * @param {string}   name The name of the provider.
+ * @param {Function} fn   The callback that handles the response.
+ */
+UserCollection.prototype.handleAuthCallback = function (ctx, name, fn) {
+  var uc = this
+    , provider = this.oidcProvider(name)
+    , query = ctx.query || {}
+    , data = (ctx.session && ctx.session.data) || {}
+    , pending = data.oidc;
+
+  if (!provider) return fn({statusCode: 404, message: 'unknown identity provider ' + name});
+
+  if (!pending || pending.provider !== name || Date.now() - pending.started > OIDC_TIMEOUT ||
+      typeof query.state !== 'string' || !safeEqual(Buffer.from(query.state), Buffer.from(pending.state))) {
+    return fn({statusCode: 401, message: 'no login is waiting for ' + name});
+  }
+
+  function respond(err, result) {
+    if (err || !provider.redirect) return fn(err, result);
+    ctx.res.statusCode = 302;
+    ctx.res.setHeader('Location', provider.redirect + '#' + qs.stringify(result));
+    fn();
+  }
+
+  // the state only works once
+  ctx.session.set({oidc: null}).save(function (err) {
+    if (err) return fn(err);
+    if (query.error) return fn({statusCode: 401, message: 'the identity provider refused the login: ' + query.error});
+    if (typeof query.code !== 'string') return fn({statusCode: 400, message: 'code is required'});
+
+    oidc.discover(provider.issuer, function (err, config) {
+      if (err) return fn(err);
+      oidc.exchangeCode(config, provider, query.code, pending.verifier, function (err, tokens) {
+        if (err) return fn(err);
+        oidc.verifyIdToken(tokens.id_token, config, {clientId: provider.clientId, nonce: pending.nonce}, function (err, claims) {
+          if (err) return fn(err);
+          uc.linkIdentity(ctx, name, claims, function (err, user) {
+            if (err) return fn(err);
+
+            var userhash = uc.getUserAndPasswordHash(user)
+              , me = _.omit(user, 'password')
+              , domain = {me: me, data: me, success: true, locked: false, provider: name};
+
+            function loginDone(err) {
+              if (err) return fn(err);
+              uc.loginUser(ctx, user, userhash, respond);
+            }
+
+            if (uc.events.Login) {
+              uc.events.Login.run(ctx, domain, loginDone);
+            } else {
+              loginDone();
+            }
+          });
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Finds the user the ID token `claims` of the provider `name` belong to. An
+ * identity seen for the first time is linked to the logged in user, or to a
+ * new user named after its `email` (or `<provider>:<sub>`), marked `verified`
+ * if the provider verified the email.
+ * @param {Context}  ctx    The Context of the request.
+ * @param {string}   name   The name of the provider.
+ * @param {Object}   claims The claims of the ID token.
+ * @param {Function} fn     Called with `(err, user)`, the user as stored.
+ */
+UserCollection.prototype.linkIdentity = function (ctx, name, claims, fn) {
+  var uc = this
+    , store = this.identityStore
+    , sessionUser = ctx.session && ctx.session.user;
+
+  function found(err, userId) {
+    if (err) return fn(err);
+    uc.store.first({id: userId}, function (err, user) {
+      if (err) return fn(err);
+      if (!user) return fn({statusCode: 401, message: 'bad credentials'});
+      fn(null, user);
+    });
+  }
+
+  function link(err, userId) {
+    if (err) return fn(err);
+    debug('linking %s %s to user %s', name, claims.sub, userId);
+    store.insert({provider: name, subject: claims.sub, userId: userId}, function (err) {
+      found(err, userId);
+    });
+  }
+
+  store.first({provider: name, subject: claims.sub}, function (err, identity) {
+    if (err) return fn(err);
+
+    if (identity) {
+      return uc.store.first({id: identity.userId}, function (err, user) {
+        if (err) return fn(err);
+        if (user) return fn(null, user);
+        // the user was deleted since
+        store.remove({id: identity.id}, function (err) {
+          if (err) return fn(err);
+          if (sessionUser) return link(null, sessionUser.id);
+          uc.createIdentityUser(ctx, name, claims, link);
+        });
+      });
+    }
+
+    if (sessionUser) return link(null, sessionUser.id);
+    uc.createIdentityUser(ctx, name, claims, link);
+  });
+};
+
+/**
+ * Creates a user for an identity of the provider `name`. It gets a random
+ * password, which `POST /forgot-password` can replace.
+ * @param {Context}  ctx    The Context of the request.
+ * @param {string}   name   The name of the provider.
+ * @param {Object}   claims The claims of the ID token.
+ * @param {Function} fn     Called with `(err, userId)`.
+ */
+UserCollection.prototype.createIdentityUser = function (ctx, name, claims, fn) {
+  var uc = this
+    , username = typeof claims.email === 'string' && claims.email ? claims.email : name + ':' + claims.sub;
+
+  this.store.first({username: username}, function (err, existing) {
+    if (err) return fn(err);
+    if (existing) {
+      return fn({statusCode: 409, message: 'log in as ' + username + ' to link your ' + name + ' account'});
+    }
+
+    var newCtx = _.clone(ctx);
+    newCtx.body = {username: username, password: crypto.randomBytes(32).toString('hex')};
+    newCtx.query = {};
+    uc.setPassword(newCtx.body, function (err) {
+      if (err) return fn(err);
+
+      uc.save(newCtx, function (err, user) {
+        if (err) return fn(err);
+        if (claims.email_verified !== true || username !== claims.email) return fn(null, user.id);
+        uc.store.update({id: user.id}, {verified: true}, function (err) {
+          fn(err, user.id);
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Returns a hash of the username and the salt of the password hash. It changes
+ * with the username or password, but not when the password is only rehashed,
+ * as rehashing keeps the salt.
+ * @param  {Object} user An object containing `username` and `password` properties.
+ * @return {string}      The hash.
+ */
+UserCollection.prototype.getUserAndPasswordHash = function(user) {
+  return crypto.createHash('sha256').update(user.username + '$' + passwordSalt(user.password).toString('base64')).digest('hex');
+};
+
+/**
+ * Checks whether the `userhash` of a session or refresh token is still the
+ * `getUserAndPasswordHash()` of the user. Sessions created before it was
+ * introduced carry an MD5 of the username and password hash, which is accepted
+ * until the password hash changes.
+ * @param  {Object}  user     An object containing `username` and `password` properties.
+ * @param  {string}  userhash The hash to check.
+ * @return {boolean}
+ */
+UserCollection.prototype.checkUserHash = function(user, userhash) {
+  if (!user || typeof userhash !== 'string') return false;
+  return userhash === this.getUserAndPasswordHash(user) ||
+    userhash === crypto.createHash('md5').update(user.username + user.password).digest('hex');
+};
+
+/**
+ * Used to verify that a session is still valid. Sets `ctx.session` if successful.
+ * @param {Context}  ctx The Context of the request.
+ * @param {Function} fn  The callback that handles the response.
+ */
+UserCollection.prototype.handleSession = function (ctx, fn) {
+  // called when any session has been created
+  var session = ctx.session
+    , path = this.path
+    , uc = this;
+
+  // sessions created from access tokens already have their user
+  if (session && (session.claims || session.personalToken)) return fn();
+
+  if(session && session.data && session.data.path == path && session.data.uid) {
+    // an impersonating session acts as the user, even if the key of root is still sent along
+    if (session.data.impersonatedBy && ctx.req) ctx.req.isRoot = false;
+
+    // impersonation does not outlast its time
+    if (session.data.impersonatedBy && (session.data.impersonationEnds || 0) <= Date.now()) return fn();
+
+    this.store.find({ id: session.data.uid }, function (err, user) {
+      if (user) {
+        var userHash = uc.getUserAndPasswordHash(user)
+          , valid = uc.checkUserHash(user, session.data.userhash);
+        delete user.password;
+        // verify that the username and password haven't changed since this session was created
+        if (valid) {
+          // sessions with a legacy hash are moved over to the current one
+          if (session.data.userhash !== userHash && session.set) {
+            session.set({userhash: userHash}).save(function (err) {
+              if (err) debug('could not update the user hash of a session: %j', err);
+            });
+          }
+          user.roles = user.roles || [];
+          session.user = user;
+          if (session.data.impersonatedBy) {
+            session.impersonatedBy = session.data.impersonatedBy;
+            uc.auditImpersonatedRequest(ctx);
+          }
+        } else {
+          ctx.res.setHeader('X-Session-Invalidated', 'true');
+        }
+      }
+      fn(err);
+    });
+  } else {
+    fn();
+  }
+};
+
+/**
+ * Takes a plain-text password and hashes it. Mutates `body.password`.
+ * @param {Object}   body The body of the request. Must contain `body.password`.
+ * @param {Function} fn   Called with `(err)` once the password is hashed.
+ */
+UserCollection.prototype.setPassword = function (body, fn) {
+  // do not add salt to empty string
+  if(!body || !body.password || typeof body.password !== 'string' || body.password.length < 1) {
+      return fn();
+  }
+  this.hashPassword(body.password, function (err, hash) {
+    if (err) return fn(err);
+    body.password = hash;
+    fn();
+  });
+};
+
+/**
+ * Hashes a password with the algorithm and cost of `config.passwordHash`.
+ * @param {string}   password The password.
+ * @param {Buffer}   [salt]   The salt to use, a random one by default.
+ * @param {Function} fn       Called with `(err, hash)`, the versioned hash
+ *                            `$<algorithm>$<params>$<salt>$<key>`.
+ */
+UserCollection.prototype.hashPassword = function (password, salt, fn) {
+  if (typeof salt === 'function') {
+    fn = salt;
+    salt = null;
+  }
+
+  var options = this.passwordHashOptions();
+  salt = salt || crypto.randomBytes(PASSWORD_SALT_LEN);
+
+  deriveKey(options.algorithm, String(password), salt, options.params, function (err, key) {
+    if (err) return fn(err);
+    fn(null, ['', options.algorithm, formatParams(options.params), salt.toString('base64'), key.toString('base64')].join('$'));
+  });
+};
+
+/**
+ * The algorithm and parameters new passwords are hashed with.
+ * @return {Object} `{algorithm, params}`
+ */
+UserCollection.prototype.passwordHashOptions = function () {
+  var config = this.config.passwordHash || {}
+    , algorithm = config.algorithm || 'scrypt'
+    , hasher = UserCollection.PASSWORD_HASHES[algorithm];
+
+  return {algorithm: algorithm, params: hasher.params(config.cost || hasher.cost)};
+};
+
+/**
+ * Whether a stored password hash is in the legacy format or was made with
+ * another algorithm or cost than the current `config.passwordHash`.
+ * @param  {string} hash The stored hash.
+ * @return {boolean}
+ */
+UserCollection.prototype.needsRehash = function (hash) {
+  var parsed = parsePasswordHash(hash)
+    , options = this.passwordHashOptions();
+
+  return !parsed || parsed.algorithm !== options.algorithm || parsed.params !== formatParams(options.params);
+};
+
+/**
+ * Hashes a password with the specified salt, as in the legacy
+ * `salt + HMAC-SHA256` format.
+ * @param  {string} password The password.
+ * @param  {string} salt     The salt.
+ * @return {string}          The hash, as a hex digest.
+ */
+UserCollection.prototype.hash = function (password, salt) {
+  if (password && !isNaN(password)){
+    password = password.toString();
+  }
+  return crypto.createHmac('sha256', salt).update(password).digest('hex');
+};
+
+/**
+ * Checks whether the given password matches the one persisted for the user.
+ * A user without a password hash is checked against a dummy hash, which takes
+ * as long, so the time it takes doesn't tell whether a user exists.
+ * @param {UserCollection} uc  The UserCollection.
+ * @param {Object} user        The user object, or `null`. Must have a property named `password`.
+ * @param {Object} credentials The credentials to be checked. Must have a property named `password`.
+ * @param {Function} fn        Called with `(err, valid)`, `valid` being `true` if the credentials are valid.
+ */
+UserCollection.prototype.checkHash = function (uc, user, credentials, fn) {
+  // NOTE: there is no need for this to take uc as the first parameter
+  if (!user || typeof user.password !== 'string') {
+    return dummyHash(uc, function (err, hash) {
+      if (err) return fn(err);
+      uc.checkHash(uc, {password: hash}, credentials, function (err) {
+        fn(err, false);
+      });
+    });
+  }
+
+  var parsed = parsePasswordHash(user.password);
+
+  if (parsed && UserCollection.PASSWORD_HASHES[parsed.algorithm]) {
+    var key = Buffer.from(parsed.key, 'base64');
+    return deriveKey(parsed.algorithm, String(credentials.password), Buffer.from(parsed.salt, 'base64'), parsed.values, function (err, derived) {
+      if (err) return fn(err);
+      fn(null, safeEqual(derived, key));
+    });
+  }
+  if (parsed) return fn(null, false);
+
   var salt = user.password.substr(0, UserCollection.SALT_LEN)
     , hash = user.password.substr(UserCollection.SALT_LEN);
 
-  return hash === uc.hash(credentials.password, salt);
+  fn(null, safeEqual(Buffer.from(hash), Buffer.from(uc.hash(credentials.password, salt))));
+};
+
+/**
+ * Rehashes the password of a user who just logged in with `password` if their
+ * stored hash `needsRehash()`. Updates `user.password` once the new hash is saved.
+ * The salt is kept, so the `getUserAndPasswordHash()` of the user and with it
+ * their other sessions stay valid. A failed upgrade does not fail the login.
+ * @param {Object}   user     The user, including the stored `password` hash.
+ * @param {string}   password The plain-text password the user logged in with.
+ * @param {Function} fn       Called once the hash was upgraded (or left as is).
+ */
+UserCollection.prototype.upgradePassword = function (user, password, fn) {
+  if (!this.needsRehash(user.password)) return fn();
+
+  var uc = this;
+
+  function failed(err) {
+    console.error('Could not upgrade the password hash of user ' + user.id + ': ' + (err.message || err));
+    fn();
+  }
+
+  this.hashPassword(password, passwordSalt(user.password), function (err, hash) {
+    if (err) return failed(err);
+
+    debug('upgrading the password hash of %s', user.id);
+    uc.store.update({id: user.id}, {password: hash}, function (err) {
+      if (err) return failed(err);
+      user.password = hash;
+      fn();
+    });
+  });
 };
 
+/*!
+ * Derive the key of `password` with the `algorithm` of `PASSWORD_HASHES`.
+ * Invalid parameters, eg. of a corrupted hash, are passed on as an error.
+ */
+
+function deriveKey(algorithm, password, salt, params, fn) {
+  try {
+    UserCollection.PASSWORD_HASHES[algorithm].derive(password, salt, params, fn);
+  } catch (ex) {
+    fn(ex);
+  }
+}
+
+/*!
+ * A hash of a random password, with the current options of `uc`, to check
+ * logins for users that don't exist against.
+ */
+
+function dummyHash(uc, fn) {
+  var options = uc.passwordHashOptions()
+    , key = options.algorithm + '$' + formatParams(options.params);
+
+  if (dummyHashes[key]) return fn(null, dummyHashes[key]);
+  uc.hashPassword(crypto.randomBytes(PASSWORD_SALT_LEN).toString('hex'), function (err, hash) {
+    if (!err) dummyHashes[key] = hash;
+    fn(err, hash);
+  });
+}
+
+/*!
+ * The salt of a stored password hash, either versioned or legacy.
+ */
+
+function passwordSalt(hash) {
+  var parsed = parsePasswordHash(hash);
+  if (parsed) return Buffer.from(parsed.salt || '', 'base64');
+  return Buffer.from(String(hash || '').substr(0, UserCollection.SALT_LEN));
+}
+
+/*!
+ * Split a versioned password hash into its parts, or return `null` for a
+ * legacy hash.
+ */
+
+function parsePasswordHash(hash) {
+  if (typeof hash !== 'string' || hash[0] !== '$') return null;
+
+  var parts = hash.split('$')
+    , values = {};
+
+  if (parts.length !== 5) return {};
+  parts[2].split(',').forEach(function (pair) {
+    pair = pair.split('=');
+    values[pair[0]] = pair[1];
+  });
+
+  return {algorithm: parts[1], params: parts[2], values: values, salt: parts[3], key: parts[4]};
+}
+
+/*!
+ * Format hash parameters as `N=16384,r=8,p=1`.
+ */
+
+function formatParams(params) {
+  return Object.keys(params).map(function (key) {
+    return key + '=' + params[key];
+  }).join(',');
+}
+
+/*!
+ * Compare two buffers in constant time.
+ */
+
+function safeEqual(a, b) {
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
 UserCollection.label = 'Users Collection';
 UserCollection.defaultPath = '/users';
 
@@ -1,8 +1,10 @@
 var Context = require('./context')
-  , escapeRegExp  = /[\-\[\]{}()+?.,\\\^$|#\s]/g
+  , route = require('./util/route')
   , debug = require('debug')('router')
   , doh = require('./doh')
   , error404 = doh.createResponder()
+  , respondWithError = doh.createResponder()
+  , scopes = require('./util/scopes')
   , async = require('async');
 
 /**
@@ -73,6 +75,11 @@ Router.prototype.route = function (req, res, next) {
           // default root to false
           if(ctx.session) ctx.session.isRoot = req.isRoot || false;
 
+          // personal access tokens only reach what their scopes allow; the scripts they trigger are not limited
+          if (ctx.session && ctx.session.scopes && !req.internal && !scopes.allows(ctx.session.scopes, req.method, resource.path)) {
+            return respondWithError({statusCode: 403, message: 'the access token does not allow ' + req.method + ' ' + resource.path}, req, res);
+          }
+
           // external functions
           var furl = ctx.url.replace('/', '');
           if(resource.external && resource.external[furl]) {
@@ -96,7 +103,7 @@ Router.prototype.route = function (req, res, next) {
 
 /**
  * Get resources whose base path matches the incoming URL, and order by specificness.
- * (So that /foo/bar will handle a request before /foo)
+ * (So that /foo/bar will handle a request before /foo, and /foo/bar before /foo/:id)
  *
  * @param {String} url
  * @param {Resource Array} matching resources
@@ -114,13 +121,14 @@ Router.prototype.matchResources = function(url) {
   result = this.resources.filter(function(d) {
     return url.match(router.generateRegex(d.path));
   }).sort(function(a, b) {
-    return specificness(b) - specificness(a);
+    return specificness(b) - specificness(a) || route.paramCount(a.path) - route.paramCount(b.path);
   });
   return result;
 };
 
 /**
- * Generates a regular expression from a base path.
+ * Generates a regular expression from a base path. The path may contain
+ * parameters such as `/projects/:projectId/tasks`.
  *
  * @param {String} path
  * @return {RegExp} regular expression
@@ -128,9 +136,7 @@ Router.prototype.matchResources = function(url) {
  */
 
 Router.prototype.generateRegex = function(path) {
-  if (!path || path === '/') path = '';
-  path = path.replace(escapeRegExp, '\\$&');
-  return new RegExp('^' + path + '(?:[/?].*)?$');
+  return route.compile(path).regex;
 };
 
 function specificness(resource) {
@@ -80,9 +80,14 @@ Script.prototype.run = function (ctx, domain, fn) {
     isMe: function(id) {
       return (scriptContext.me && scriptContext.me.id === id) || false;
     },
+    hasRole: function(role) {
+      var roles = scriptContext.me && scriptContext.me.roles;
+      return (Array.isArray(roles) && roles.indexOf(role) !== -1) || false;
+    },
     console: console,
     require: require,
     query: ctx.query,
+    params: ctx.params || {},
     internal: req && req.internal,
     isRoot: req && req.session && req.session.isRoot,
     emit: function(collection, query, event, data) {
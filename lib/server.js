@@ -9,6 +9,8 @@ var http = require('http')
   , setupReqRes = require('./util/http').setup
   , debug = require('debug')('server')
   , config = require('./config-loader')
+  , jwt = require('./util/jwt')
+  , respondWithError = require('./doh').createResponder()
   , _ = require('underscore');
 
 function extend(origin, add) {
@@ -115,7 +117,28 @@ Server.prototype.handleRequest = function handleRequest (req, res) {
       }
     }
 
-    server.sessions.createSession(authToken || req.cookies.get('sid'), function(err, session) {
+    // signed access tokens carry their user, so no session is read for them
+    if (usesBearerAuth && jwt.isToken(authToken)) {
+      var tokenSession = server.createTokenSession(authToken);
+      if (!tokenSession) {
+        res.setHeader('WWW-Authenticate', 'Bearer error="invalid_token"');
+        return respondWithError({statusCode: 401, message: 'invalid or expired access token'}, req, res);
+      }
+      return withSession(null, tokenSession);
+    }
+
+    // personal access tokens are looked up by the user collection that issued them
+    if (usesBearerAuth && server.isPersonalToken(authToken)) {
+      return server.createPersonalTokenSession(authToken, function(err, session) {
+        if (err || session) return withSession(err, session);
+        res.setHeader('WWW-Authenticate', 'Bearer error="invalid_token"');
+        respondWithError({statusCode: 401, message: 'invalid or expired access token'}, req, res);
+      });
+    }
+
+    server.sessions.createSession(authToken || req.cookies.get('sid'), withSession);
+
+    function withSession(err, session) {
       if(err) {
         debug('session error', err, session);
         throw err;
@@ -146,10 +169,81 @@ Server.prototype.handleRequest = function handleRequest (req, res) {
           server.route(req, res);
         }
       }
-    });
+    }
+  });
+};
+
+/**
+ * Create a session for a request authenticated with an access token issued by
+ * a `UserCollection` with `config.jwt`. Nothing is read from the sessions
+ * store: `session.user` comes from the claims of the token.
+ *
+ * @param {String} token
+ * @return {Session} or `null` if no resource accepts the token
+ */
+
+Server.prototype.createTokenSession = function(token) {
+  var claims = jwt.decode(token)
+    , resource = claims && _.find(this.resources || [], function(r) {
+        return r.path === claims.path && typeof r.verifyAccessToken === 'function';
+      })
+    , user = resource && resource.verifyAccessToken(token)
+    , session;
+
+  if (!user) return null;
+
+  session = this.sessions.createTokenSession({path: resource.path, uid: user.id});
+  session.user = user;
+  session.claims = claims;
+  return session;
+};
+
+/**
+ * Whether `token` has the format of the personal access tokens of a
+ * `UserCollection`.
+ *
+ * @param {String} token
+ * @return {Boolean}
+ */
+
+Server.prototype.isPersonalToken = function(token) {
+  return _.some(this.resources || [], function(r) {
+    return typeof r.isPersonalToken === 'function' && r.isPersonalToken(token);
   });
 };
 
+/**
+ * Create a session for a request authenticated with a personal access token.
+ * The session is limited to the `scopes` of the token, and never saved.
+ *
+ * @param {String} token
+ * @param {Function} callback(err, session) without a session if no resource
+ *                   accepts the token
+ */
+
+Server.prototype.createPersonalTokenSession = function(token, fn) {
+  var server = this
+    , resources = _.filter(this.resources || [], function(r) {
+        return typeof r.verifyPersonalToken === 'function';
+      });
+
+  (function next(i) {
+    var resource = resources[i];
+    if (!resource) return fn(null, null);
+
+    resource.verifyPersonalToken(token, function(err, user, record) {
+      if (err) return fn(err);
+      if (!user) return next(i + 1);
+
+      var session = server.sessions.createTokenSession({path: resource.path, uid: user.id});
+      session.user = user;
+      session.scopes = record.scopes;
+      session.personalToken = record.id;
+      fn(null, session);
+    });
+  })(0);
+};
+
 /**
  * Start listening for incoming connections.
  *
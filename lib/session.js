@@ -279,6 +279,18 @@ SessionStore.prototype.createSession = function(sid, fn) {
 };
 
 
+/**
+* Create a `Session` for a request authenticated by a signed access token.
+* It is never saved, so the store is not touched.
+*
+* @param {Object} data
+* @return {Session}
+*/
+
+SessionStore.prototype.createTokenSession = function(data) {
+  return new Session(data, this, this.socketIndex, this.sockets);
+};
+
 SessionStore.prototype.refreshSessionRooms = function(sid, fn) {
   var self = this;
   fn = fn || function() {};
@@ -320,6 +332,66 @@ SessionStore.prototype.removeSessionFromMemory = function(sid) {
   delete this.socketIndex[sid];
 };
 
+/**
+* Get the data of the sessions of the user with `uid` that have not expired.
+* They are read from the store to include the sessions of other nodes, but the
+* sessions this node knows about are more up to date.
+*
+* @param {String} uid
+* @param {Function} callback(err, sessions)
+*/
+
+SessionStore.prototype.getUserSessions = function(uid, fn) {
+  var store = this
+    , known = userSessionIndex[uid] || {};
+
+  this.find({ uid: uid }, function(err, sessions) {
+    if (err) return fn(err);
+    fn(null, _.compact(sessions).map(function(data) {
+      return known[data.id] ? known[data.id].data : data;
+    }).filter(function(data) {
+      return data.uid === uid && data.lastActive >= Date.now() - store.options.maxAge;
+    }));
+  });
+};
+
+/**
+* Remove the session with the given `data`, whether or not this node knows
+* about it. Other nodes are told to forget it through `dpd#session#remove`.
+*
+* @param {Object} data
+* @param {Function} callback(err)
+*/
+
+SessionStore.prototype.removeSession = function(data, fn) {
+  var session = sessionIndex[data.id];
+  if (session) return session.remove(data, fn);
+
+  this.removeSessionFromMemory(data.id);
+  this.remove({ id: data.id }, fn);
+  this.publish('dpd#session#remove', { id: this.id, sid: data.id });
+};
+
+/**
+* Remove all the sessions of the user with `uid`, eg. to log them out everywhere.
+*
+* @param {String} uid
+* @param {Function} callback(err)
+*/
+
+SessionStore.prototype.removeUserSessions = function(uid, fn) {
+  var store = this;
+
+  this.find({ uid: uid }, function(err, sessions) {
+    if (err) return fn(err);
+    async.each(_.compact(sessions), function(data, next) {
+      store.removeSession(data, function(err) {
+        next(err);
+      });
+    }, fn);
+  });
+};
+
 /**
 * An in memory representation of a client or user connection that can be saved to disk.
 * Data will be passed around via a `Context` to resources.
@@ -2,7 +2,7 @@ var Cookies = require('cookies')
   , qs = require('qs')
   , parseUrl = require('url').parse
   , corser = require('corser')
-  , ALLOWED_METHODS = ['GET', 'POST', 'PUT', 'DELETE'];
+  , ALLOWED_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE'];
 
 /*!
  * A utility for setting up a request and response.
@@ -17,8 +17,8 @@ exports.setup = function(options, req, res, next) {
   } else {
     corsOpts.supportsCredentials = false;
   }
-  corsOpts.responseHeaders = corser.simpleResponseHeaders.concat(["X-Session-Token", "X-Session-Invalidated"]).concat(options.allowedResponseHeaders || []);
-  corsOpts.requestHeaders = corser.simpleRequestHeaders.concat(["X-Requested-With", "Authorization"]).concat(options.allowedRequestHeaders || []);
+  corsOpts.responseHeaders = corser.simpleResponseHeaders.concat(["X-Session-Token", "X-Session-Invalidated", "ETag", "Link", "X-Total-Count"]).concat(options.allowedResponseHeaders || []);
+  corsOpts.requestHeaders = corser.simpleRequestHeaders.concat(["X-Requested-With", "Authorization", "If-Match", "If-None-Match"]).concat(options.allowedRequestHeaders || []);
   if (options.allowCorsRootRequests) {
     corsOpts.requestHeaders.push("dpd-ssh-key");
   }
@@ -53,6 +53,7 @@ exports.setup = function(options, req, res, next) {
       break;
       case 'POST':
       case 'PUT':
+      case 'PATCH':
       case 'DELETE':
         var mime = req.headers['content-type'] || 'application/json';
         mime = mime.split(';')[0]; //Just in case there's multiple mime types, pick the first
@@ -99,6 +100,8 @@ exports.getBody = function(req, callback){
  * Attempts to parse the request. Currently supports the following formats:
  *
  * - application/json
+ * - application/merge-patch+json
+ * - application/json-patch+json
  * - application/x-www-form-urlencoded (all values are strings)
  *
  * @param {ServerRequest} req
@@ -175,7 +178,9 @@ exports.redirect = function(res, url, statusCode) {
 
 var autoParse = {
   'application/x-www-form-urlencoded': parseBody,
-  'application/json': parseBody
+  'application/json': parseBody,
+  'application/merge-patch+json': parseBody,
+  'application/json-patch+json': parseBody
 };
 
 /*
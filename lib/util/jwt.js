@@ -0,0 +1,93 @@
+var crypto = require('crypto');
+
+/*!
+ * Minimal JSON Web Tokens (RFC 7519) signed with HMAC-SHA256. Only `HS256`
+ * tokens are accepted, so a token cannot pick a weaker algorithm (or `none`).
+ */
+
+var HEADER = encode(JSON.stringify({alg: 'HS256', typ: 'JWT'}));
+
+/*!
+ * Whether `token` has the shape of a JWT, as opposed to eg. a session id.
+ *
+ * @param {String} token
+ * @return {Boolean}
+ */
+
+exports.isToken = function(token) {
+  return typeof token === 'string' && /^[\w-]+\.[\w-]+\.[\w-]+$/.test(token);
+};
+
+/*!
+ * Sign `claims` with `secret`.
+ *
+ * @param {Object} claims
+ * @param {String} secret
+ * @return {String}
+ */
+
+exports.sign = function(claims, secret) {
+  var body = HEADER + '.' + encode(JSON.stringify(claims));
+  return body + '.' + signature(body, secret);
+};
+
+/*!
+ * The claims of `token`, without checking its signature. Returns `null` if
+ * the token cannot be read.
+ *
+ * @param {String} token
+ * @return {Object}
+ */
+
+var decode = exports.decode = function(token) {
+  var parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) return null;
+
+  try {
+    var claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString());
+    return claims && typeof claims === 'object' ? claims : null;
+  } catch (ex) {
+    return null;
+  }
+};
+
+/*!
+ * The claims of `token` if it was signed with `secret` and has not expired
+ * at `now` (in ms, default now), otherwise `null`.
+ *
+ * @param {String} token
+ * @param {String} secret
+ * @param {Number} now
+ * @return {Object}
+ */
+
+exports.verify = function(token, secret, now) {
+  var claims = decode(token)
+    , parts;
+
+  if (!claims) return null;
+
+  parts = token.split('.');
+  if (parts[0] !== HEADER) return null;
+  if (!safeEqual(parts[2], signature(parts[0] + '.' + parts[1], secret))) return null;
+
+  now = Math.floor((now === undefined ? Date.now() : now) / 1000);
+  if (typeof claims.exp !== 'number' || claims.exp <= now) return null;
+  if (typeof claims.nbf === 'number' && claims.nbf > now) return null;
+
+  return claims;
+};
+
+function encode(str) {
+  return Buffer.from(str).toString('base64url');
+}
+
+function signature(body, secret) {
+  return crypto.createHmac('sha256', secret).update(body).digest('base64url');
+}
+
+function safeEqual(a, b) {
+  a = Buffer.from(a);
+  b = Buffer.from(b);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
@@ -0,0 +1,260 @@
+var crypto = require('crypto')
+  , http = require('http')
+  , https = require('https')
+  , qs = require('querystring')
+  , jwt = require('./jwt');
+
+/*!
+ * The client side of the OpenID Connect authorization code flow: discovery,
+ * PKCE, exchanging the code and validating the ID token. Discovery documents
+ * and key sets are cached for an hour.
+ */
+
+var CACHE_TTL = 60 * 60 * 1000
+  , TIMEOUT = 10000
+  , CLOCK_SKEW = 60
+  , ALGORITHMS = {
+      RS256: {kty: 'RSA'},
+      ES256: {kty: 'EC', dsaEncoding: 'ieee-p1363'}
+    }
+  , cache = {};
+
+/*!
+ * The discovery document of `issuer`, which must name the same issuer.
+ *
+ * @param {String} issuer
+ * @param {Function} fn(err, config)
+ */
+
+exports.discover = function(issuer, fn) {
+  var url = issuer.replace(/\/$/, '') + '/.well-known/openid-configuration';
+
+  cached(url, false, function(err, config) {
+    if (err) return fn(err);
+    if (config.issuer !== issuer) {
+      return fn({statusCode: 502, message: 'the discovery document of ' + issuer + ' names another issuer'});
+    }
+    fn(null, config);
+  });
+};
+
+/*!
+ * A PKCE `verifier` and its S256 `challenge`.
+ *
+ * @return {Object}
+ */
+
+exports.pkce = function() {
+  var verifier = crypto.randomBytes(32).toString('base64url');
+  return {verifier: verifier, challenge: crypto.createHash('sha256').update(verifier).digest('base64url')};
+};
+
+/*!
+ * The url to send the user to, `endpoint` with the `params` in its query.
+ *
+ * @param {String} endpoint
+ * @param {Object} params
+ * @return {String}
+ */
+
+exports.authorizationUrl = function(endpoint, params) {
+  return endpoint + (endpoint.indexOf('?') === -1 ? '?' : '&') + qs.stringify(params);
+};
+
+/*!
+ * Exchange an authorization `code` at the `token_endpoint` of `config`. The
+ * client authenticates with HTTP basic auth if it has a `clientSecret`.
+ *
+ * @param {Object} config       the discovery document
+ * @param {Object} client       `{clientId, clientSecret, redirectUri}`
+ * @param {String} code
+ * @param {String} verifier     the PKCE verifier
+ * @param {Function} fn(err, tokens)
+ */
+
+exports.exchangeCode = function(config, client, code, verifier, fn) {
+  var headers = {'Content-Type': 'application/x-www-form-urlencoded', 'Accept': 'application/json'}
+    , body = {
+        grant_type: 'authorization_code',
+        code: code,
+        redirect_uri: client.redirectUri,
+        client_id: client.clientId,
+        code_verifier: verifier
+      };
+
+  if (client.clientSecret) {
+    headers.Authorization = 'Basic ' + Buffer.from(encodeURIComponent(client.clientId) + ':' +
+      encodeURIComponent(client.clientSecret)).toString('base64');
+  }
+
+  request('POST', config.token_endpoint, headers, qs.stringify(body), function(err, tokens) {
+    if (err) return fn(err);
+    if (!tokens || typeof tokens.id_token !== 'string') {
+      return fn({statusCode: 502, message: 'the identity provider did not return an ID token'});
+    }
+    fn(null, tokens);
+  });
+};
+
+/*!
+ * Validate an ID token: its signature against the keys of the provider,
+ * and its issuer, audience, expiry and `nonce`.
+ *
+ * @param {String} token
+ * @param {Object} config       the discovery document
+ * @param {Object} expected     `{clientId, nonce, now}`
+ * @param {Function} fn(err, claims)
+ */
+
+exports.verifyIdToken = function(token, config, expected, fn) {
+  var parts = typeof token === 'string' ? token.split('.') : []
+    , invalid = {statusCode: 401, message: 'invalid ID token'}
+    , claims = jwt.decode(token)
+    , header
+    , algorithm;
+
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString());
+  } catch (ex) {
+    return fn(invalid);
+  }
+
+  algorithm = header && ALGORITHMS.hasOwnProperty(header.alg) && ALGORITHMS[header.alg];
+  if (!claims || !algorithm) return fn(invalid);
+
+  findKey(config.jwks_uri, header.kid, algorithm.kty, function(err, key) {
+    if (err) return fn(err);
+    if (!key) return fn(invalid);
+
+    var now = Math.floor((expected.now === undefined ? Date.now() : expected.now) / 1000)
+      , audience = [].concat(claims.aud)
+      , signature = Buffer.from(parts[2], 'base64url')
+      , valid;
+
+    try {
+      valid = crypto.verify('sha256', Buffer.from(parts[0] + '.' + parts[1]),
+        algorithm.dsaEncoding ? {key: key, dsaEncoding: algorithm.dsaEncoding} : key, signature);
+    } catch (ex) {
+      valid = false;
+    }
+
+    if (!valid ||
+        claims.iss !== config.issuer ||
+        audience.indexOf(expected.clientId) === -1 ||
+        (audience.length > 1 && claims.azp !== expected.clientId) ||
+        typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW <= now ||
+        (typeof claims.iat === 'number' && claims.iat - CLOCK_SKEW > now) ||
+        typeof claims.sub !== 'string' || !claims.sub ||
+        !safeEqual(claims.nonce, expected.nonce)) {
+      return fn(invalid);
+    }
+
+    fn(null, claims);
+  });
+};
+
+/*!
+ * The public key with `kid` (or the only key of type `kty`) from the key set
+ * at `uri`. An unknown `kid` fetches the key set again, as the provider may
+ * have rotated its keys.
+ */
+
+function findKey(uri, kid, kty, fn) {
+  function find(refresh) {
+    cached(uri, refresh, function(err, jwks) {
+      if (err) return fn(err);
+
+      var keys = (jwks && Array.isArray(jwks.keys) ? jwks.keys : []).filter(function(jwk) {
+        return jwk.kty === kty && (!jwk.use || jwk.use === 'sig') && (kid ? jwk.kid === kid : true);
+      });
+
+      if (!keys.length && kid && !refresh) return find(true);
+      if (keys.length !== 1) return fn(null, null);
+
+      var key = null;
+      try {
+        key = crypto.createPublicKey({key: keys[0], format: 'jwk'});
+      } catch (ex) {
+        // not a usable key
+      }
+      fn(null, key);
+    });
+  }
+  find(false);
+}
+
+/*!
+ * GET the JSON document at `url`, from the cache unless it is stale or
+ * `refresh` is set.
+ */
+
+function cached(url, refresh, fn) {
+  var entry = cache[url];
+  if (entry && !refresh && entry.expires > Date.now()) return fn(null, entry.value);
+
+  request('GET', url, {'Accept': 'application/json'}, null, function(err, value) {
+    if (err) return fn(err);
+    cache[url] = {value: value, expires: Date.now() + CACHE_TTL};
+    fn(null, value);
+  });
+}
+
+/*!
+ * Send a request to the provider and parse its JSON response.
+ */
+
+function request(method, url, headers, body, fn) {
+  var called = false
+    , req;
+
+  function done(err, res) {
+    if (called) return;
+    called = true;
+    fn(err, res);
+  }
+
+  function failed(message) {
+    done({statusCode: 502, message: 'could not reach the identity provider: ' + message});
+  }
+
+  try {
+    var target = new URL(url);
+    if (body) headers['Content-Length'] = Buffer.byteLength(body);
+    req = (target.protocol === 'https:' ? https : http).request(target, {method: method, headers: headers});
+  } catch (ex) {
+    return failed(ex.message);
+  }
+
+  req.setTimeout(TIMEOUT, function() {
+    req.destroy(new Error('timed out'));
+  });
+  req.on('error', function(err) {
+    failed(err.message);
+  });
+  req.on('response', function(res) {
+    var chunks = [];
+    res.on('data', function(chunk) {
+      chunks.push(chunk);
+    });
+    res.on('end', function() {
+      var json;
+      try {
+        json = JSON.parse(Buffer.concat(chunks).toString());
+      } catch (ex) {
+        return failed('invalid JSON from ' + url);
+      }
+      if (res.statusCode >= 400) {
+        return done({statusCode: 502, message: 'the identity provider responded with ' + ((json && json.error) || res.statusCode)});
+      }
+      done(null, json);
+    });
+  });
+  req.end(body || undefined);
+}
+
+function safeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') return false;
+  a = Buffer.from(a);
+  b = Buffer.from(b);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
@@ -0,0 +1,213 @@
+var _ = require('underscore');
+
+/*!
+ * Utilities for applying JSON Merge Patch (RFC 7396) and
+ * JSON Patch (RFC 6902) documents to an object.
+ *
+ * Both functions mutate and return `target`. Invalid patches throw
+ * an error object of the form `{message, statusCode}`.
+ */
+
+/*!
+ * Keys that reach the prototype of an object rather than a property of it.
+ */
+
+var UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+/*!
+ * Returns true if `key` may be used as a property name when walking into
+ * objects with keys from a request.
+ */
+
+var isSafeKey = exports.isSafeKey = function(key) {
+  return UNSAFE_KEYS.indexOf(key) === -1;
+};
+
+/*!
+ * Returns true if the given patch document is a JSON Patch (a list of operations).
+ */
+
+exports.isJsonPatch = function(patch) {
+  return Array.isArray(patch);
+};
+
+/*!
+ * Apply a JSON Merge Patch to `target`. Properties set to `null` are removed.
+ */
+
+var merge = exports.merge = function(target, patch) {
+  if (!isPlainObject(patch)) return patch;
+  if (!isPlainObject(target)) target = {};
+
+  Object.keys(patch).forEach(function(key) {
+    if (!isSafeKey(key)) return;
+    if (patch[key] === null) {
+      delete target[key];
+    } else {
+      target[key] = merge(_.has(target, key) ? target[key] : undefined, patch[key]);
+    }
+  });
+
+  return target;
+};
+
+/*!
+ * Apply a list of JSON Patch operations to `target`.
+ */
+
+exports.apply = function(target, operations) {
+  if (!Array.isArray(operations)) throw invalid('JSON Patch must be an array of operations');
+
+  operations.forEach(function(op) {
+    if (!op || typeof op.op !== 'string' || typeof op.path !== 'string') {
+      throw invalid('each JSON Patch operation requires an op and a path');
+    }
+
+    var path = parsePointer(op.path);
+
+    switch (op.op) {
+      case 'add':
+        requireValue(op);
+        add(target, path, clone(op.value));
+      break;
+      case 'remove':
+        remove(target, path);
+      break;
+      case 'replace':
+        requireValue(op);
+        remove(target, path);
+        add(target, path, clone(op.value));
+      break;
+      case 'move':
+        var moved = remove(target, parsePointer(op.from));
+        add(target, path, moved);
+      break;
+      case 'copy':
+        add(target, path, clone(get(target, parsePointer(op.from))));
+      break;
+      case 'test':
+        if (!_.isEqual(get(target, path), op.value)) {
+          throw conflict('test failed for ' + op.path);
+        }
+      break;
+      default:
+        throw invalid('unknown JSON Patch operation ' + op.op);
+    }
+  });
+
+  return target;
+};
+
+/*!
+ * Deep clone a value, keeping dates intact. Used to apply a patch
+ * without touching the original object.
+ */
+
+var clone = exports.clone = function(val) {
+  if (Array.isArray(val)) return val.map(clone);
+  if (val instanceof Date) return new Date(val.getTime());
+  if (isPlainObject(val)) {
+    var result = {};
+    Object.keys(val).forEach(function(key) {
+      if (isSafeKey(key)) result[key] = clone(val[key]);
+    });
+    return result;
+  }
+  return val;
+};
+
+function isPlainObject(val) {
+  return val !== null && typeof val === 'object' && !Array.isArray(val) && !(val instanceof Date);
+}
+
+function invalid(message) {
+  return {message: message, statusCode: 400};
+}
+
+function conflict(message) {
+  return {message: message, statusCode: 409};
+}
+
+function requireValue(op) {
+  if (!op.hasOwnProperty('value')) throw invalid(op.op + ' operation requires a value');
+}
+
+function parsePointer(pointer) {
+  if (typeof pointer !== 'string' || (pointer && pointer[0] !== '/')) {
+    throw invalid('invalid JSON Pointer ' + pointer);
+  }
+  if (!pointer) return [];
+
+  return pointer.slice(1).split('/').map(function(token) {
+    token = token.replace(/~1/g, '/').replace(/~0/g, '~');
+    if (!isSafeKey(token)) throw invalid('invalid JSON Pointer ' + pointer);
+    return token;
+  });
+}
+
+function parent(target, path) {
+  var obj = target;
+
+  if (!path.length) throw conflict('cannot modify the root of the object');
+
+  path.slice(0, -1).forEach(function(token) {
+    if (obj === null || typeof obj !== 'object' || !obj.hasOwnProperty(token)) {
+      throw conflict('path /' + path.join('/') + ' does not exist');
+    }
+    obj = obj[token];
+  });
+
+  if (obj === null || typeof obj !== 'object') {
+    throw conflict('path /' + path.join('/') + ' does not exist');
+  }
+
+  return obj;
+}
+
+function arrayIndex(arr, token, allowEnd) {
+  if (allowEnd && token === '-') return arr.length;
+  if (!/^(0|[1-9][0-9]*)$/.test(token)) throw invalid('invalid array index ' + token);
+
+  var index = parseInt(token, 10);
+  if (index > arr.length || (!allowEnd && index === arr.length)) {
+    throw conflict('array index ' + token + ' is out of bounds');
+  }
+  return index;
+}
+
+function get(target, path) {
+  if (!path.length) return target;
+
+  var obj = parent(target, path)
+    , key = path[path.length - 1];
+
+  if (Array.isArray(obj)) return obj[arrayIndex(obj, key)];
+  if (!obj.hasOwnProperty(key)) throw conflict('path /' + path.join('/') + ' does not exist');
+  return obj[key];
+}
+
+function add(target, path, value) {
+  var obj = parent(target, path)
+    , key = path[path.length - 1];
+
+  if (Array.isArray(obj)) {
+    obj.splice(arrayIndex(obj, key, true), 0, value);
+  } else {
+    obj[key] = value;
+  }
+}
+
+function remove(target, path) {
+  var obj = parent(target, path)
+    , key = path[path.length - 1]
+    , value;
+
+  if (Array.isArray(obj)) {
+    return obj.splice(arrayIndex(obj, key), 1)[0];
+  }
+
+  if (!obj.hasOwnProperty(key)) throw conflict('path /' + path.join('/') + ' does not exist');
+  value = obj[key];
+  delete obj[key];
+  return value;
+}
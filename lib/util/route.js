@@ -0,0 +1,73 @@
+var escapeRegExp = /[\-\[\]{}()+?.,\\\^$|#\s]/g;
+
+/*!
+ * Compiles a resource path into a regular expression. Segments beginning
+ * with a `:` (eg. `/projects/:projectId/tasks`) match a single url segment
+ * and are captured as parameters.
+ *
+ * The first capture group of the returned `regex` is the part of the url
+ * matched by the path; parameter values follow in the order of `keys`.
+ *
+ * @param {String} path
+ * @return {Object} {regex, keys}
+ */
+
+var compile = exports.compile = function(path) {
+  var keys = []
+    , source;
+
+  if (!path || path === '/') path = '';
+
+  source = path.split('/').map(function(part) {
+    if (part.length > 1 && part[0] === ':') {
+      keys.push(part.slice(1));
+      return '([^/?]+)';
+    }
+    return part.replace(escapeRegExp, '\\$&');
+  }).join('/');
+
+  return {
+    regex: new RegExp('^(' + source + ')(?:[/?].*)?$'),
+    keys: keys
+  };
+};
+
+/*!
+ * Matches a `url` against a resource `path`. Returns `null` if the url
+ * does not match, otherwise the matched `base` of the url and the decoded
+ * `params`.
+ *
+ * @param {String} path
+ * @param {String} url
+ * @return {Object} {base, params}
+ */
+
+exports.match = function(path, url) {
+  var route = compile(path)
+    , match = url && url.match(route.regex)
+    , params = {};
+
+  if (!match) return null;
+
+  route.keys.forEach(function(key, i) {
+    var val = match[i + 2];
+    try {
+      params[key] = decodeURIComponent(val);
+    } catch (ex) {
+      params[key] = val;
+    }
+  });
+
+  return {base: match[1], params: params};
+};
+
+/*!
+ * Returns the number of parameters declared by a resource `path`.
+ *
+ * @param {String} path
+ * @return {Number}
+ */
+
+exports.paramCount = function(path) {
+  return compile(path).keys.length;
+};
@@ -0,0 +1,38 @@
+/*!
+ * Scopes of personal access tokens. `read` allows `GET` and `HEAD` requests,
+ * `write` any request. Either may be limited to one resource by its path, as
+ * in `read:/todos`.
+ */
+
+var SCOPE = /^(read|write)(?::(\/[^\s]*))?$/
+  , READ_METHODS = ['GET', 'HEAD'];
+
+/*!
+ * Whether `scope` is a valid scope.
+ *
+ * @param {String} scope
+ * @return {Boolean}
+ */
+
+var isValid = exports.isValid = function(scope) {
+  return typeof scope === 'string' && SCOPE.test(scope);
+};
+
+/*!
+ * Whether any of `scopes` allows a `method` request to the resource at `path`.
+ *
+ * @param {Array} scopes
+ * @param {String} method
+ * @param {String} path
+ * @return {Boolean}
+ */
+
+exports.allows = function(scopes, method, path) {
+  return (scopes || []).some(function(scope) {
+    if (!isValid(scope)) return false;
+
+    var match = SCOPE.exec(scope);
+    if (match[2] && match[2] !== path) return false;
+    return match[1] === 'write' || READ_METHODS.indexOf(method) !== -1;
+  });
+};
@@ -0,0 +1,138 @@
+var crypto = require('crypto');
+
+/*!
+ * Time-based one-time passwords (RFC 6238) as used by authenticator apps:
+ * HMAC-SHA1 over 30 second steps, truncated to 6 digits. Secrets are
+ * base32 encoded (RFC 4648) without padding.
+ */
+
+var ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+  , STEP = 30
+  , DIGITS = 6;
+
+/*!
+ * Generate a new random secret.
+ *
+ * @return {String} base32 encoded secret
+ */
+
+exports.generateSecret = function() {
+  return encode(crypto.randomBytes(20));
+};
+
+/*!
+ * The time step `time` (in ms, default now) falls in.
+ *
+ * @param {Number} time
+ * @return {Number}
+ */
+
+var step = exports.step = function(time) {
+  return Math.floor((time === undefined ? Date.now() : time) / 1000 / STEP);
+};
+
+/*!
+ * The code of `secret` for the time step `counter`.
+ *
+ * @param {String} secret
+ * @param {Number} counter
+ * @return {String}
+ */
+
+var code = exports.code = function(secret, counter) {
+  var buf = Buffer.alloc(8)
+    , hmac
+    , offset
+    , value;
+
+  buf.writeUInt32BE(Math.floor(counter / 0x100000000), 0);
+  buf.writeUInt32BE(counter % 0x100000000, 4);
+
+  hmac = crypto.createHmac('sha1', decode(secret)).update(buf).digest();
+  offset = hmac[hmac.length - 1] & 0xf;
+  value = (hmac.readUInt32BE(offset) & 0x7fffffff) % Math.pow(10, DIGITS);
+
+  return (new Array(DIGITS + 1).join('0') + value).slice(-DIGITS);
+};
+
+/*!
+ * Check `token` against the codes of `secret` around `time`, allowing
+ * `window` steps of clock drift either way. Returns the matching time
+ * step, or `-1`.
+ *
+ * @param {String} secret
+ * @param {String} token
+ * @param {Number} time
+ * @param {Number} window
+ * @return {Number}
+ */
+
+exports.verify = function(secret, token, time, window) {
+  var current = step(time)
+    , i;
+
+  if (typeof token !== 'string' || !/^[0-9]{6}$/.test(token)) return -1;
+  if (window === undefined) window = 1;
+
+  for (i = -window; i <= window; i++) {
+    if (safeEqual(code(secret, current + i), token)) return current + i;
+  }
+  return -1;
+};
+
+/*!
+ * The `otpauth://` uri authenticator apps scan from a QR code.
+ *
+ * @param {String} secret
+ * @param {String} label    usually the username
+ * @param {String} issuer   the name of the app
+ * @return {String}
+ */
+
+exports.uri = function(secret, label, issuer) {
+  var uri = 'otpauth://totp/' + encodeURIComponent(issuer ? issuer + ':' + label : label) + '?secret=' + secret;
+  if (issuer) uri += '&issuer=' + encodeURIComponent(issuer);
+  return uri;
+};
+
+var encode = exports.encode = function(buf) {
+  var bits = 0
+    , value = 0
+    , result = '';
+
+  for (var i = 0; i < buf.length; i++) {
+    value = (value << 8) | buf[i];
+    bits += 8;
+    while (bits >= 5) {
+      result += ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) result += ALPHABET[(value << (5 - bits)) & 31];
+
+  return result;
+};
+
+var decode = exports.decode = function(str) {
+  var bits = 0
+    , value = 0
+    , bytes = [];
+
+  str = String(str).toUpperCase().replace(/[\s=]/g, '');
+  for (var i = 0; i < str.length; i++) {
+    var index = ALPHABET.indexOf(str[i]);
+    if (index === -1) throw new Error('invalid base32 character ' + str[i]);
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+function safeEqual(a, b) {
+  return a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
@@ -54,6 +54,183 @@ describe('collection', function(){
 
       expect(errs).to.eql({title: 'must be a string', age: 'is required', created: 'must be a date'});
     });
+
+    it('should check min, max and length constraints', function() {
+      var r = createCollection({
+        age: {type: 'number', min: 18, max: 99},
+        born: {type: 'date', min: '1900-01-01'},
+        name: {type: 'string', minLength: 2, maxLength: 5},
+        tags: {type: 'array', maxLength: 1}
+      });
+
+      expect(r.validate({age: 20, born: '2000-01-01', name: 'joe', tags: ['a']})).to.not.exist;
+      expect(r.validate({age: 17, born: '1800-01-01', name: 'j', tags: ['a', 'b']})).to.eql({
+        age: 'must be at least 18',
+        born: 'must be at least 1900-01-01',
+        name: 'must have at least 2 characters',
+        tags: 'must have at most 1 items'
+      });
+      expect(r.validate({age: 100, name: 'joseph'})).to.eql({
+        age: 'must be at most 99',
+        name: 'must have at most 5 characters'
+      });
+    });
+
+    it('should check pattern and enum constraints', function() {
+      var r = createCollection({
+        code: {type: 'string', pattern: '^[a-z]+$'},
+        status: {type: 'string', 'enum': ['open', 'closed']},
+        rating: {type: 'number', 'enum': [1, 2, 3]}
+      });
+
+      expect(r.validate({code: 'abc', status: 'open', rating: '2'})).to.not.exist;
+      expect(r.validate({code: 'ABC', status: 'pending', rating: 4})).to.eql({
+        code: 'must match ^[a-z]+$',
+        status: 'must be one of open, closed',
+        rating: 'must be one of 1, 2, 3'
+      });
+    });
+
+    it('should ignore empty constraints', function() {
+      var r = createCollection({
+        title: {type: 'string', minLength: '', pattern: '', 'default': ''}
+      });
+
+      var body = {title: 'a'};
+      expect(r.validate(body, true)).to.not.exist;
+      expect(r.validate({}, true)).to.not.exist;
+    });
+
+    it('should set defaults when creating', function() {
+      var r = createCollection({
+        status: {type: 'string', required: true, 'default': 'open'},
+        tags: {type: 'array', 'default': ['new']}
+      });
+
+      var body = {};
+      expect(r.validate(body, true)).to.not.exist;
+      expect(body).to.eql({status: 'open', tags: ['new']});
+
+      body = {};
+      r.validate(body);
+      expect(body).to.eql({});
+    });
+
+    it('should not allow changing readonly properties', function() {
+      var r = createCollection({
+        sku: {type: 'string', readonly: true},
+        title: {type: 'string'}
+      });
+
+      expect(r.validate({sku: 'a', title: 'b'}, true)).to.not.exist;
+      expect(r.validate({sku: 'a', title: 'c'}, false, {sku: 'a', title: 'b'})).to.not.exist;
+      expect(r.validate({sku: 'b', title: 'c'}, false, {sku: 'a', title: 'b'})).to.eql({sku: 'is read only'});
+    });
+  });
+
+  describe('.validate(req) with nested schemas', function() {
+    it('should report errors with dotted paths', function() {
+      var r = createCollection({
+        address: {
+          type: 'object',
+          properties: {
+            street: {type: 'string'},
+            zip: {type: 'string', required: true, pattern: '^[0-9]{5}$'}
+          }
+        },
+        tags: {type: 'array', items: {type: 'string', maxLength: 3}},
+        scores: {type: 'array', items: {type: 'number'}},
+        comments: {type: 'array', items: {type: 'object', properties: {author: {type: 'string'}}}}
+      });
+
+      var errs = r.validate({
+        address: {street: 'Main St', zip: 'abc'},
+        tags: ['a', 'b', 'long'],
+        scores: [1, 'x', null],
+        comments: [{author: 'joe'}, {author: 7}]
+      });
+
+      expect(errs).to.eql({
+        'address.zip': 'must match ^[0-9]{5}$',
+        'tags.2': 'must have at most 3 characters',
+        'scores.1': 'must be a number',
+        'scores.2': 'must be a number',
+        'comments.1.author': 'must be a string'
+      });
+    });
+
+    it('should require nested properties when the object is given', function() {
+      var r = createCollection({
+        address: {
+          type: 'object',
+          properties: {
+            street: {type: 'string'},
+            zip: {type: 'string', required: true, pattern: '^[0-9]{5}$'}
+          }
+        },
+        tags: {type: 'array', items: {type: 'string', maxLength: 3}},
+        scores: {type: 'array', items: {type: 'number'}},
+        comments: {type: 'array', items: {type: 'object', properties: {author: {type: 'string'}}}}
+      });
+
+      expect(r.validate({}, true)).to.not.exist;
+      expect(r.validate({address: {street: 'Main St'}}, true)).to.eql({'address.zip': 'is required'});
+    });
+  });
+
+  describe('.checkUnique(body, previous, fn)', function() {
+    it('should fail if another object has the value', function(done) {
+      var r = createCollection({email: {type: 'string', unique: true}, name: {type: 'string'}});
+
+      r.store = {count: function(query, fn) {
+        expect(query).to.eql({email: 'joe@example.com', id: {$ne: 'abc'}});
+        fn(null, 1);
+      }};
+
+      r.checkUnique({id: 'abc', email: 'joe@example.com', name: 'joe'}, null, function(err, errs) {
+        expect(errs).to.eql({email: 'must be unique'});
+        done(err);
+      });
+    });
+
+    it('should only check values that changed', function(done) {
+      var r = createCollection({email: {type: 'string', unique: true}});
+
+      r.store = {count: function() { throw new Error('should not query'); }};
+
+      r.checkUnique({id: 'abc', email: 'joe@example.com'}, {email: 'joe@example.com'}, function(err, errs) {
+        expect(errs).to.not.exist;
+        done(err);
+      });
+    });
+
+    it('should create unique indexes', function() {
+      var indexes = [];
+      new Collection('people', {
+        db: {createStore: function() {
+          return {ensureIndex: function(fields, options) { indexes.push([fields, options]); }};
+        }},
+        config: {properties: {email: {type: 'string', unique: true}, name: {type: 'string'}}}
+      });
+
+      expect(indexes).to.eql([[{email: 1}, {unique: true, partialFilterExpression: {email: {$type: 'string'}}}]]);
+    });
+
+    it('should fail if another object got the value at the same time', function(done) {
+      var r = createCollection({email: {type: 'string', unique: true}, name: {type: 'string'}});
+
+      r.events = {};
+      r.store = {
+        count: function(query, fn) { fn(null, 0); },
+        createUniqueIdentifier: function() { return 'abc'; },
+        insert: function(object, fn) { fn({code: 11000, keyPattern: {email: 1}}); }
+      };
+
+      r.save({req: {method: 'POST', headers: {}}, query: {}, body: {email: 'joe@example.com'}, session: {}}, function(err) {
+        expect(err).to.eql({errors: {email: 'must be unique'}});
+        done();
+      });
+    });
   });
 
   describe('.sanitize(body)', function(){
@@ -114,9 +291,54 @@ describe('collection', function(){
       var sanitized = r.sanitize({date: 1473412149090});
       expect(sanitized.date).to.eql(new Date('2016-09-09T09:09:09.09Z'));
     });
+
+    it('should sanitize nested properties and array items', function() {
+      var r = createCollection({
+        address: {
+          type: 'object',
+          properties: {
+            street: {type: 'string'},
+            zip: {type: 'string', required: true, pattern: '^[0-9]{5}$'}
+          }
+        },
+        tags: {type: 'array', items: {type: 'string', maxLength: 3}},
+        scores: {type: 'array', items: {type: 'number'}},
+        comments: {type: 'array', items: {type: 'object', properties: {author: {type: 'string'}}}}
+      });
+
+      var sanitized = r.sanitize({
+        address: {street: 'Main St', zip: 12345, foo: 'bar'},
+        scores: ['1', 2, {}],
+        comments: [{author: 'joe', secret: true}]
+      });
+
+      expect(sanitized).to.eql({
+        address: {street: 'Main St', zip: '12345'},
+        scores: [1, 2, {}],
+        comments: [{author: 'joe'}]
+      });
+    });
   });
 
   describe('.sanitizeQuery(query)', function(){
+    it('should sanitize paths into nested schemas', function() {
+      var r = createCollection({
+        address: {
+          type: 'object',
+          properties: {
+            street: {type: 'string'},
+            zip: {type: 'string', required: true, pattern: '^[0-9]{5}$'}
+          }
+        },
+        tags: {type: 'array', items: {type: 'string', maxLength: 3}},
+        scores: {type: 'array', items: {type: 'number'}},
+        comments: {type: 'array', items: {type: 'object', properties: {author: {type: 'string'}}}}
+      });
+
+      var sanitized = r.sanitizeQuery({'address.zip': 12345, 'address.foo': 'bar', 'scores.0': '5', scores: '7', 'comments.author': 7, 'title.foo': 1});
+      expect(sanitized).to.eql({'address.zip': '12345', 'scores.0': 5, scores: 7, 'comments.author': '7'});
+    });
+
     it('should convert number to strings', function() {
       var r = createCollection({
         token: {
@@ -185,7 +407,169 @@ describe('collection', function(){
     });
   });
 
+  describe('.applyPatch(obj, patchDoc, changes)', function() {
+    var properties = {
+      title: {type: 'string', required: true},
+      count: {type: 'number'},
+      tags: {type: 'array'}
+    };
+
+    it('should apply a merge patch', function() {
+      var r = createCollection(properties)
+        , obj = {id: 'abc', title: 'foo', count: 1, tags: ['a']}
+        , changes = {};
+
+      var removed = r.applyPatch(obj, {count: '2', tags: null, unknown: true}, changes);
+
+      expect(changes).to.eql({count: 2});
+      expect(removed).to.eql(['tags']);
+      expect(obj).to.eql({id: 'abc', title: 'foo', count: 1, tags: ['a']});
+    });
+
+    it('should apply a JSON patch', function() {
+      var r = createCollection(properties)
+        , changes = {};
+
+      var removed = r.applyPatch({id: 'abc', title: 'foo', count: 1, tags: ['a']}, [
+        {op: 'add', path: '/tags/-', value: 'b'},
+        {op: 'remove', path: '/count'},
+        {op: 'replace', path: '/id', value: 'def'}
+      ], changes);
+
+      expect(changes).to.eql({tags: ['a', 'b']});
+      expect(removed).to.eql(['count']);
+    });
+
+    it('should not patch the prototype of objects', function() {
+      var r = createCollection(properties);
+
+      r.applyPatch({title: 'foo'}, JSON.parse('{"__proto__": {"polluted": "yes"}, "constructor": {"prototype": {"polluted": "yes"}}}'), {});
+      expect(({}).polluted).to.equal(undefined);
+
+      expect(function() {
+        r.applyPatch({title: 'foo'}, [{op: 'add', path: '/__proto__/polluted', value: 'yes'}], {});
+      }).to.throw().with.property('statusCode', 400);
+      expect(({}).polluted).to.equal(undefined);
+    });
+
+    it('should throw on an invalid patch', function() {
+      var r = createCollection(properties);
+
+      expect(function() {
+        r.applyPatch({title: 'foo'}, 'title', {});
+      }).to.throw().with.property('statusCode', 400);
+    });
+  });
+
+  describe('versioning', function() {
+    function createVersioned(store) {
+      var c = new Collection('objects', {config: {versionField: 'version', properties: {title: {type: 'string'}}}});
+      c.store = store;
+      return c;
+    }
+
+    function ctx(method, headers, body, query) {
+      var res = {headers: {}, setHeader: function(k, v) { res.headers[k] = v; }};
+      return {req: {method: method, headers: headers || {}}, res: res, body: body, query: query || {}, session: {}};
+    }
+
+    it('should expose the version as an ETag', function(done) {
+      var c = createVersioned()
+        , context = ctx('GET');
+
+      c.respondWithETag(context, function(err, result) {
+        expect(result).to.eql({id: 'abc', version: 3});
+        expect(context.res.headers.ETag).to.equal('"abc-3"');
+        done(err);
+      }, true)(null, {id: 'abc', version: 3});
+    });
+
+    it('should respond with 304 when If-None-Match matches', function(done) {
+      var c = createVersioned()
+        , context = ctx('GET', {'if-none-match': 'W/"abc-2", "abc-3"'});
+
+      c.respondWithETag(context, function(err, result) {
+        expect(result).to.not.exist;
+        expect(context.res.statusCode).to.equal(304);
+        done(err);
+      }, true)(null, {id: 'abc', version: 3});
+    });
+
+    it('should start new objects at version 1 and ignore a posted version', function(done) {
+      var c = createVersioned({
+        createUniqueIdentifier: function() { return 'abc'; },
+        insert: function(obj, fn) { fn(null, obj); }
+      });
+
+      c.save(ctx('POST', {}, {title: 'foo', version: 7}), function(err, item) {
+        expect(item).to.eql({title: 'foo', id: 'abc', version: 1});
+        done(err);
+      });
+    });
+
+    it('should reject a PUT with a stale If-Match', function(done) {
+      var c = createVersioned({
+        first: function(query, fn) { fn(null, {id: 'abc', title: 'foo', version: 2}); },
+        update: function() { throw new Error('should not update'); }
+      });
+
+      c.save(ctx('PUT', {'if-match': '"abc-1"'}, {title: 'bar'}, {id: 'abc'}), function(err) {
+        expect(err.statusCode).to.equal(412);
+        done();
+      });
+    });
+
+    it('should only update the version that was read', function(done) {
+      var c = createVersioned({
+        first: function(query, fn) { fn(null, {id: 'abc', title: 'foo', version: 2}); },
+        update: function(query, object, fn) {
+          expect(query).to.eql({id: 'abc', version: 2});
+          expect(object).to.eql({title: 'bar', $inc: {version: 1}});
+          fn(null, {count: 1});
+        }
+      });
+
+      c.save(ctx('PUT', {'if-match': '"abc-2"'}, {title: 'bar'}, {id: 'abc'}), function(err, item) {
+        expect(item.version).to.equal(3);
+        done(err);
+      });
+    });
+
+    it('should fail with 412 if the object changed before the update', function(done) {
+      var c = createVersioned({
+        first: function(query, fn) { fn(null, {id: 'abc', title: 'foo', version: 2}); },
+        update: function(query, object, fn) { fn(null, {count: 0}); }
+      });
+
+      c.save(ctx('PUT', {}, {title: 'bar'}, {id: 'abc'}), function(err) {
+        expect(err.statusCode).to.equal(412);
+        done();
+      });
+    });
+
+    it('should reject a DELETE with a stale If-Match', function(done) {
+      var c = createVersioned({
+        find: function(query, fn) { fn(null, {id: 'abc', title: 'foo', version: 2}); },
+        remove: function() { throw new Error('should not remove'); }
+      });
+
+      c.remove(ctx('DELETE', {'if-match': '"abc-1"'}, null, {id: 'abc'}), function(err) {
+        expect(err.statusCode).to.equal(412);
+        done();
+      });
+    });
+  });
+
   describe('.handle(ctx)', function(){
+    it('should require an id to PATCH', function(done) {
+      var r = createCollection({title: {type: 'string'}});
+
+      r.handle({req: {method: 'PATCH'}, url: '/', query: {}, body: {title: 'foo'}, done: function(err) {
+        expect(err).to.equal('must provide id to patch an object');
+        done();
+      }});
+    });
+
     it('should have a store', function() {
       var c = new Collection('foo', { db: db.create(TEST_DB) });
       expect(c.store).to.exist;
@@ -497,6 +881,1292 @@ describe('collection', function(){
 
       c.execCommands('update', item, {names: {$pushAll: ['jim', 'sam']}});
     });
+
+    it('$set and $unset - should change nested paths', function() {
+      var c = new Collection()
+        , item = {address: {city: 'Berlin', zip: '10115'}};
+
+      c.execCommands('update', item, {'address.city': {$set: 'Paris'}, 'address.zip': {$unset: true}});
+      expect(item.address).to.eql({city: 'Paris'});
+      c.execCommands('update', item, {'location.lat': {$set: 52}});
+      expect(item.location).to.eql({lat: 52});
+    });
+
+    it('should not change prototypes', function() {
+      var c = new Collection()
+        , item = {address: {city: 'Berlin'}};
+
+      c.execCommands('update', item, {
+        'address.__proto__.polluted': {$set: 'yes'},
+        'address.constructor.prototype.polluted': {$set: 'yes'}
+      });
+      expect(({}).polluted).to.equal(undefined);
+      expect(item.address).to.eql({city: 'Berlin'});
+    });
+  });
+
+  describe('.getCommands(body)', function() {
+    var c = new Collection('objects', {config: {properties: {count: {type: 'number'}, address: {type: 'object'}}}});
+
+    it('should only return commands on properties', function() {
+      expect(c.getCommands({count: {$inc: 1}, other: {$inc: 1}, id: {$set: 'foo'}, title: 'bar'}))
+        .to.eql({count: {$inc: 1}});
+    });
+
+    it('should turn $set and $unset into commands on paths', function() {
+      expect(c.getCommands({$set: {'address.city': 'Paris', 'other.foo': 1}, $unset: {'address.zip': 1}}))
+        .to.eql({'address.city': {$set: 'Paris'}, 'address.zip': {$unset: true}});
+    });
+
+    it('should leave out paths that reach a prototype', function() {
+      expect(c.getCommands({$set: {'address.__proto__.polluted': 'yes', 'address.constructor': 1}, $unset: {'address.prototype': 1}}))
+        .to.eql({});
+    });
+  });
+
+  describe('timestamps', function() {
+    function createCollection(timestamps, store) {
+      var c = new Collection('objects', {config: {timestamps: timestamps, properties: {
+        title: {type: 'string'},
+        createdAt: {type: 'date'}
+      }}});
+      c.store = store;
+      return c;
+    }
+
+    function context(method, body, query) {
+      return {req: {method: method, headers: {}}, body: body, query: query || {}, session: {user: {id: 'user1'}}};
+    }
+
+    it('should resolve the enabled fields', function() {
+      expect(createCollection(true).getTimestampFields())
+        .to.eql({createdAt: 'createdAt', updatedAt: 'updatedAt', createdBy: 'createdBy', updatedBy: 'updatedBy'});
+      expect(createCollection({createdAt: 'created', createdBy: false, updatedBy: false}).getTimestampFields())
+        .to.eql({createdAt: 'created', updatedAt: 'updatedAt'});
+      expect(createCollection().getTimestampFields()).to.eql({});
+    });
+
+    it('should stamp new objects and ignore posted stamps', function(done) {
+      var c = createCollection(true, {
+        createUniqueIdentifier: function() { return 'abc'; },
+        insert: function(obj, fn) { fn(null, obj); }
+      });
+
+      c.save(context('POST', {title: 'foo', createdAt: '2000-01-01'}), function(err, item) {
+        expect(item.createdAt).to.be.an.instanceof(Date);
+        expect(item.createdAt.getFullYear()).to.not.equal(2000);
+        expect(item.updatedAt).to.eql(item.createdAt);
+        expect(item.createdBy).to.equal('user1');
+        expect(item.updatedBy).to.equal('user1');
+        done(err);
+      });
+    });
+
+    it('should keep the creation stamps on update', function(done) {
+      var created = new Date(2000, 0, 1);
+      var c = createCollection(true, {
+        first: function(query, fn) { fn(null, {id: 'abc', title: 'foo', createdAt: created, createdBy: 'user0'}); },
+        update: function(query, object, fn) {
+          expect(object.createdAt).to.not.exist;
+          expect(object.createdBy).to.not.exist;
+          expect(object.updatedAt).to.be.an.instanceof(Date);
+          expect(object.updatedBy).to.equal('user1');
+          fn(null, {count: 1});
+        }
+      });
+
+      c.save(context('PUT', {title: 'bar', createdAt: '2010-01-01'}, {id: 'abc'}), function(err, item) {
+        expect(item.createdAt).to.eql(created);
+        expect(item.createdBy).to.equal('user0');
+        done(err);
+      });
+    });
+
+    it('should not allow events to change the stamps', function(done) {
+      var c = createCollection(true, {
+        first: function(query, fn) { fn(null, {id: 'abc', title: 'foo'}); },
+        update: function() { throw new Error('should not update'); }
+      });
+
+      c.events.Put = {run: function(ctx, domain, fn) {
+        expect(function() { domain.data.updatedBy = 'someone'; }).to.throw(/protected property/);
+        expect(function() { domain.data.createdAt = new Date(); }).to.throw(/protected property/);
+        done();
+      }};
+
+      c.save(context('PUT', {title: 'bar'}, {id: 'abc'}), function() {});
+    });
+  });
+
+  describe('soft delete', function() {
+    function createCollection(store, events) {
+      var c = new Collection('objects', {config: {softDelete: true, properties: {title: {type: 'string'}}}});
+      c.store = store;
+      c.events = events || {};
+      return c;
+    }
+
+    function context(method, url, query, isRoot) {
+      return {req: {method: method, headers: {}}, url: url, query: query || {}, session: {isRoot: !!isRoot}};
+    }
+
+    it('should hide deleted objects from find', function(done) {
+      var c = createCollection({
+        find: function(query, fn) {
+          expect(query).to.eql({title: 'foo', deletedAt: null});
+          fn(null, []);
+        }
+      });
+
+      c.find(context('GET', '/', {title: 'foo'}), done);
+    });
+
+    it('should only mark objects deleted', function(done) {
+      var deleteTypes = [];
+      var c = createCollection({
+        find: function(query, fn) { fn(null, [{id: 'abc', title: 'foo'}]); },
+        remove: function() { throw new Error('should not remove'); },
+        update: function(query, object, fn) {
+          expect(query).to.eql({id: {$in: ['abc']}, deletedAt: null});
+          expect(object.deletedAt).to.be.an.instanceof(Date);
+          fn(null, {count: 1});
+        }
+      }, {
+        Delete: {run: function(ctx, domain, fn) { deleteTypes.push(domain.deleteType); fn(); }},
+        AfterCommit: {run: function(ctx, domain) { deleteTypes.push(domain.deleteType); }}
+      });
+
+      c.remove(context('DELETE', '/abc', {id: 'abc'}), function(err, result) {
+        expect(result).to.eql({count: 1});
+        expect(deleteTypes).to.eql(['soft', 'soft']);
+        done(err);
+      });
+    });
+
+    it('should list the trash', function(done) {
+      var c = createCollection({
+        find: function(query, fn) {
+          expect(query).to.eql({deletedAt: {$ne: null}});
+          fn(null, [{id: 'abc', deletedAt: new Date()}]);
+        }
+      });
+
+      var ctx = context('GET', '/trash');
+      ctx.done = function(err, result) {
+        expect(result).to.have.length(1);
+        done(err);
+      };
+      c.handle(ctx);
+    });
+
+    it('should restore an object from the trash', function(done) {
+      var deleteTypes = [];
+      var c = createCollection({
+        first: function(query, fn) {
+          expect(query).to.eql({id: 'abc', deletedAt: {$ne: null}});
+          fn(null, {id: 'abc', title: 'foo', deletedAt: new Date()});
+        },
+        update: function(query, object, fn) {
+          expect(object).to.eql({deletedAt: {$unset: true}});
+          fn(null, {count: 1});
+        }
+      }, {
+        Delete: {run: function(ctx, domain, fn) { deleteTypes.push(domain.deleteType); fn(); }}
+      });
+
+      var ctx = context('POST', '/abc/restore', {id: 'abc'});
+      ctx.done = function(err, result) {
+        expect(result).to.eql({id: 'abc', title: 'foo'});
+        expect(deleteTypes).to.eql(['restore']);
+        done(err);
+      };
+      c.handle(ctx);
+    });
+
+    it('should only allow root to purge', function(done) {
+      var c = createCollection({
+        find: function() { throw new Error('should not find'); }
+      });
+
+      var ctx = context('DELETE', '/trash/abc');
+      ctx.done = function(err) {
+        expect(err.statusCode).to.equal(403);
+        done();
+      };
+      c.handle(ctx);
+    });
+
+    it('should purge objects from the trash', function(done) {
+      var c = createCollection({
+        find: function(query, fn) {
+          expect(query).to.eql({id: 'abc', deletedAt: {$ne: null}});
+          fn(null, {id: 'abc', deletedAt: new Date()});
+        },
+        remove: function(query, fn) {
+          expect(query).to.eql({id: {$in: ['abc']}});
+          fn(null, {count: 1});
+        }
+      }, {
+        Delete: {run: function(ctx, domain, fn) {
+          expect(domain.deleteType).to.equal('purge');
+          fn();
+        }}
+      });
+
+      var ctx = context('DELETE', '/trash/abc', {}, true);
+      ctx.done = function(err, result) {
+        expect(result).to.eql({count: 1});
+        done(err);
+      };
+      c.handle(ctx);
+    });
+  });
+
+  describe('history', function() {
+    function createCollection(store, historyStore) {
+      var c = new Collection('objects', {config: {history: true, properties: {
+        title: {type: 'string'},
+        body: {type: 'string'}
+      }}});
+      c.store = store;
+      c.historyStore = historyStore;
+      return c;
+    }
+
+    function context(method, url, body, query) {
+      return {req: {method: method, headers: {}}, url: url, body: body, query: query || {}, session: {isRoot: true, data: {uid: 'user1'}}};
+    }
+
+    it('should record a revision of every update', function(done) {
+      var c = createCollection({
+        first: function(query, fn) { fn(null, {id: 'abc', title: 'foo', body: 'text'}); },
+        update: function(query, object, fn) { fn(null, {count: 1}); }
+      }, {
+        increment: function(id, field, fn) {
+          expect(id).to.equal('revisions:abc');
+          expect(field).to.equal('rev');
+          fn(null, 3);
+        },
+        insert: function(revision) {
+          expect(revision.timestamp).to.be.an.instanceof(Date);
+          delete revision.timestamp;
+          expect(revision).to.eql({
+            objectId: 'abc',
+            rev: 3,
+            method: 'PUT',
+            data: {id: 'abc', title: 'bar', body: 'text'},
+            previous: {id: 'abc', title: 'foo', body: 'text'},
+            diff: {title: {from: 'foo', to: 'bar'}},
+            uid: 'user1'
+          });
+          done();
+        }
+      });
+
+      c.save(context('PUT', '/abc', {title: 'bar'}, {id: 'abc'}), function() {});
+    });
+
+    it('should remove the revisions along with the resource', function(done) {
+      var removed = []
+        , db = {createStore: function(name) {
+            return {remove: function(fn) { removed.push(name); fn(); }};
+          }};
+
+      // history may have been turned off before the resource is deleted
+      var c = new Collection('objects', {db: db, config: {properties: {title: {type: 'string'}}}});
+      c.configDeleted({}, function(err) {
+        expect(removed).to.eql(['objects-history', 'objects']);
+        done(err);
+      });
+    });
+
+    it('should list the revisions of an object', function(done) {
+      var c = createCollection({}, {
+        find: function(query, fn) {
+          expect(query).to.eql({objectId: 'abc', $sort: {rev: 1}});
+          fn(null, [{rev: 1}, {rev: 2}]);
+        }
+      });
+
+      var ctx = context('GET', '/abc/history');
+      ctx.done = function(err, revisions) {
+        expect(revisions).to.eql([{rev: 1}, {rev: 2}]);
+        done(err);
+      };
+      c.handle(ctx);
+    });
+
+    it('should revert an object to a revision', function(done) {
+      var c = createCollection({
+        first: function(query, fn) { fn(null, {id: 'abc', title: 'bar', body: 'text'}); },
+        update: function(query, object, fn) {
+          expect(object).to.eql({title: 'foo', body: {$unset: true}});
+          fn(null, {count: 1});
+        }
+      }, {
+        first: function(query, fn) {
+          expect(query).to.eql({objectId: 'abc', rev: 1});
+          fn(null, {rev: 1, method: 'POST', data: {id: 'abc', title: 'foo'}});
+        },
+        increment: function() {}
+      });
+
+      var ctx = context('POST', '/abc/revert/1', {}, {});
+      ctx.done = function(err, result) {
+        expect(result).to.eql({id: 'abc', title: 'foo'});
+        done(err);
+      };
+      c.handle(ctx);
+    });
+
+    it('should not revert to a deleted object', function(done) {
+      var c = createCollection({}, {
+        first: function(query, fn) { fn(null, {rev: 2, method: 'DELETE', data: null}); }
+      });
+
+      var ctx = context('POST', '/abc/revert/2', {}, {});
+      ctx.done = function(err) {
+        expect(err.statusCode).to.equal(400);
+        done();
+      };
+      c.handle(ctx);
+    });
+  });
+
+  describe('pagination', function() {
+    function createCollection(store, config) {
+      var c = new Collection('objects', {config: {
+        pagination: !(config && config.pagination === false),
+        totalCount: !!(config && config.totalCount),
+        properties: {title: {type: 'string'}, rank: {type: 'number'}}
+      }});
+      c.store = store;
+      c.events = {};
+      return c;
+    }
+
+    function context(url, query) {
+      var headers = {};
+      return {
+        req: {method: 'GET', url: url, headers: {}},
+        res: {setHeader: function(name, val) { headers[name] = val; }, headers: headers},
+        url: '/',
+        query: query,
+        session: {}
+      };
+    }
+
+    function cursorOf(link, rel) {
+      var match = decodeURIComponent(link).match(new RegExp('\\$cursor=([^&>]+)[^,]*rel="' + rel + '"'));
+      return match && match[1];
+    }
+
+    it('should query one more than the limit and link to the next page', function(done) {
+      var c = createCollection({
+        find: function(query, fn) {
+          expect(query.$limit).to.equal(3);
+          expect(query.$sort).to.eql({rank: 1, id: 1});
+          fn(null, [{id: 'a', rank: 1}, {id: 'b', rank: 2}, {id: 'c', rank: 3}]);
+        }
+      });
+      var ctx = context('/objects?$limit=2&$sort[rank]=1', {$limit: 2, $sort: {rank: 1}});
+
+      c.find(ctx, function(err, result) {
+        expect(result).to.eql([{id: 'a', rank: 1}, {id: 'b', rank: 2}]);
+        expect(ctx.res.headers.Link).to.contain('rel="next"');
+        expect(ctx.res.headers.Link).to.not.contain('rel="prev"');
+        expect(decodeURIComponent(ctx.res.headers.Link)).to.contain('/objects?$limit=2&$sort[rank]=1&$cursor=');
+        done(err);
+      });
+    });
+
+    it('should not link to a next page on the last page', function(done) {
+      var c = createCollection({
+        find: function(query, fn) { fn(null, [{id: 'a', rank: 1}]); }
+      });
+      var ctx = context('/objects?$limit=2', {$limit: 2});
+
+      c.find(ctx, function(err, result) {
+        expect(result).to.have.length(1);
+        expect(ctx.res.headers.Link).to.not.exist;
+        done(err);
+      });
+    });
+
+    it('should continue after the cursor', function(done) {
+      var queries = [];
+      var c = createCollection({
+        find: function(query, fn) {
+          queries.push(query);
+          if (queries.length === 1) return fn(null, [{id: 'a', rank: 1}, {id: 'b', rank: 2}, {id: 'c', rank: 2}]);
+          fn(null, [{id: 'c', rank: 2}]);
+        }
+      });
+      var ctx = context('/objects?$limit=2&$sort=rank', {$limit: 2, $sort: 'rank'});
+
+      c.find(ctx, function(err) {
+        if (err) return done(err);
+        var cursor = cursorOf(ctx.res.headers.Link, 'next')
+          , next = context('/objects?$limit=2&$sort=rank&$cursor=' + cursor, {$limit: 2, $sort: 'rank', $cursor: cursor});
+
+        c.find(next, function(err, result) {
+          expect(queries[1].$and).to.eql([{$or: [{rank: {$gt: 2}}, {rank: 2, id: {$gt: 'b'}}]}]);
+          expect(queries[1].$cursor).to.not.exist;
+          expect(result).to.eql([{id: 'c', rank: 2}]);
+          expect(next.res.headers.Link).to.contain('rel="prev"');
+          expect(next.res.headers.Link).to.not.contain('rel="next"');
+          done(err);
+        });
+      });
+    });
+
+    it('should read the previous page backwards', function(done) {
+      var c = createCollection({
+        find: function(query, fn) {
+          expect(query.$sort).to.eql({rank: -1, id: -1});
+          expect(query.$and).to.eql([{$or: [{$or: [{rank: {$lt: 3}}, {rank: null}]}, {rank: 3, id: {$lt: 'c'}}]}]);
+          fn(null, [{id: 'b', rank: 2}, {id: 'a', rank: 1}]);
+        }
+      });
+      var start = context('/objects', {});
+      c.respondWithPage(start, {sort: [['rank', 1], ['id', 1]], limit: 2, position: {values: [2, 'b']}}, [{id: 'c', rank: 3}], function() {
+        var cursor = cursorOf(start.res.headers.Link, 'prev')
+          , ctx = context('/objects?$limit=2&$sort=rank&$cursor=' + cursor, {$limit: 2, $sort: 'rank', $cursor: cursor});
+
+        c.find(ctx, function(err, result) {
+          expect(result).to.eql([{id: 'a', rank: 1}, {id: 'b', rank: 2}]);
+          expect(ctx.res.headers.Link).to.contain('rel="next"');
+          expect(ctx.res.headers.Link).to.not.contain('rel="prev"');
+          done(err);
+        });
+      });
+    });
+
+    it('should page across objects without the sort field', function(done) {
+      var objects = [{id: 'a'}, {id: 'b', rank: null}, {id: 'c', rank: 1}, {id: 'd', rank: 2}];
+
+      // a store comparing like MongoDB, where missing values equal null and comparisons never match null
+      function matches(obj, query) {
+        return Object.keys(query).every(function(key) {
+          var cond = query[key]
+            , val = obj[key] === undefined ? null : obj[key];
+
+          if (key === '$or') return cond.some(function(q) { return matches(obj, q); });
+          if (key === '$and') return cond.every(function(q) { return matches(obj, q); });
+          if (cond === null) return val === null;
+          if (typeof cond !== 'object') return val === cond;
+          if (cond.hasOwnProperty('$ne')) return val !== cond.$ne;
+          if (val === null) return false;
+          return cond.hasOwnProperty('$gt') ? val > cond.$gt : val < cond.$lt;
+        });
+      }
+
+      var c = createCollection({
+        find: function(query, fn) {
+          // objects are stored in their sort order
+          var found = objects.filter(function(obj) { return matches(obj, {$and: query.$and || []}); });
+          if (query.$sort.rank < 0) found.reverse();
+          fn(null, found.slice(0, query.$limit));
+        }
+      });
+
+      function ids(result) {
+        return result.map(function(obj) { return obj.id; });
+      }
+
+      function page(cursor, fn) {
+        var url = '/objects?$limit=1&$sort=rank' + (cursor ? '&$cursor=' + cursor : '')
+          , ctx = context(url, {$limit: 1, $sort: 'rank', $cursor: cursor});
+        c.find(ctx, function(err, result) {
+          if (err) return done(err);
+          fn(result, cursorOf(ctx.res.headers.Link || '', 'next'), cursorOf(ctx.res.headers.Link || '', 'prev'));
+        });
+      }
+
+      var seen = [];
+      (function next(cursor) {
+        page(cursor, function(result, nextCursor, prevCursor) {
+          seen = seen.concat(ids(result));
+          if (nextCursor) return next(nextCursor);
+
+          expect(seen).to.eql(['a', 'b', 'c', 'd']);
+          // and back again from the last page
+          page(prevCursor, function(result) {
+            expect(ids(result)).to.eql(['c']);
+            done();
+          });
+        });
+      })();
+    });
+
+    it('should reject an invalid cursor', function(done) {
+      var c = createCollection({
+        find: function() { throw new Error('should not find'); }
+      });
+
+      c.find(context('/objects?$cursor=foo', {$limit: 2, $cursor: 'foo'}), function(err) {
+        expect(err.statusCode).to.equal(400);
+        done();
+      });
+    });
+
+    it('should reject a cursor with query operators', function(done) {
+      var c = createCollection({
+        find: function() { throw new Error('should not find'); }
+      });
+      var cursor = Buffer.from(JSON.stringify({v: [{$ne: null}, 'a'], b: 0})).toString('base64');
+
+      c.find(context('/objects?$cursor=' + cursor, {$sort: 'rank', $cursor: cursor}), function(err) {
+        expect(err.statusCode).to.equal(400);
+        done();
+      });
+    });
+
+    it('should only limit a query unless pagination is enabled', function(done) {
+      var c = createCollection({
+        find: function(query, fn) {
+          expect(query).to.eql({$limit: 2});
+          fn(null, [{id: 'a', rank: 1}, {id: 'b', rank: 2}]);
+        }
+      }, {pagination: false});
+      var ctx = context('/objects?$limit=2', {$limit: 2});
+
+      c.find(ctx, function(err, result) {
+        expect(result).to.have.length(2);
+        expect(ctx.res.headers.Link).to.not.exist;
+        done(err);
+      });
+    });
+
+    it('should send the total count', function(done) {
+      var c = createCollection({
+        find: function(query, fn) { fn(null, [{id: 'a', title: 'foo'}]); },
+        count: function(query, fn) {
+          expect(query).to.eql({title: 'foo'});
+          fn(null, 7);
+        }
+      }, {totalCount: true});
+      var ctx = context('/objects?title=foo&$limit=1&$skip=2', {title: 'foo', $limit: 1, $skip: 2});
+
+      c.find(ctx, function(err) {
+        expect(ctx.res.headers['X-Total-Count']).to.equal('7');
+        done(err);
+      });
+    });
+  });
+
+  describe('references', function() {
+    function createCollection(store) {
+      var c = new Collection('posts', {config: {properties: {
+        title: {type: 'string'},
+        owner: {type: 'reference', collection: '/users'},
+        comments: {type: 'array', items: {type: 'reference', collection: '/comments'}}
+      }}});
+      c.store = store;
+      c.events = {};
+      return c;
+    }
+
+    function context(query, dpd) {
+      return {req: {method: 'GET', headers: {}}, url: '/', query: query, session: {}, dpd: dpd || {}};
+    }
+
+    it('should validate references as ids', function() {
+      var c = createCollection();
+      expect(c.validate({owner: 'abc', comments: ['a', 'b']}, true)).to.not.exist;
+      expect(c.validate({owner: 7}, true)).to.eql({owner: 'must be a reference'});
+    });
+
+    it('should store expanded objects as their ids', function() {
+      var c = createCollection();
+      expect(c.sanitize({owner: {id: 'abc', username: 'joe'}, comments: [{id: 'a'}, 'b']})).to.eql({owner: 'abc', comments: ['a', 'b']});
+    });
+
+    it('should expand references with a query per property', function(done) {
+      var requests = [];
+      var c = createCollection({
+        find: function(query, fn) {
+          fn(null, [
+            {id: '1', owner: 'joe', comments: ['a', 'b']},
+            {id: '2', owner: 'joe', comments: ['b', 'c']},
+            {id: '3', owner: 'sam', comments: []}
+          ]);
+        }
+      });
+      var dpd = {
+        users: {get: function(query, fn) {
+          requests.push(query);
+          fn([{id: 'joe', username: 'joe'}]);
+        }},
+        comments: {get: function(query, fn) {
+          requests.push(query);
+          fn([{id: 'a', text: 'A'}, {id: 'b', text: 'B'}]);
+        }}
+      };
+
+      c.find(context({$expand: 'owner,comments'}, dpd), function(err, result) {
+        expect(requests).to.eql([{id: {$in: ['joe', 'sam']}}, {id: {$in: ['a', 'b', 'c']}}]);
+        expect(result[0].owner).to.eql({id: 'joe', username: 'joe'});
+        expect(result[0].comments).to.eql([{id: 'a', text: 'A'}, {id: 'b', text: 'B'}]);
+        expect(result[1].comments).to.eql([{id: 'b', text: 'B'}]);
+        expect(result[2].owner).to.equal(null);
+        done(err);
+      });
+    });
+
+    it('should expand nested paths on the referenced collection', function(done) {
+      var c = createCollection({
+        find: function(query, fn) {
+          expect(query.$expand).to.not.exist;
+          fn(null, {id: '1', owner: 'joe'});
+        }
+      });
+      var dpd = {
+        users: {get: function(query, fn) {
+          expect(query).to.eql({id: {$in: ['joe']}, $expand: 'manager'});
+          fn([{id: 'joe', manager: {id: 'ann'}}]);
+        }}
+      };
+
+      c.find(context({id: '1', $expand: ['owner.manager']}, dpd), function(err, result) {
+        expect(result.owner.manager).to.eql({id: 'ann'});
+        done(err);
+      });
+    });
+
+    it('should only expand references', function(done) {
+      var c = createCollection({
+        find: function(query, fn) { fn(null, [{id: '1', title: 'foo'}]); }
+      });
+
+      c.find(context({$expand: 'title'}), function(err) {
+        expect(err.statusCode).to.equal(400);
+        done();
+      });
+    });
+
+    it('should pass on errors from the referenced collection', function(done) {
+      var c = createCollection({
+        find: function(query, fn) { fn(null, [{id: '1', owner: 'joe'}]); }
+      });
+      var dpd = {
+        users: {get: function(query, fn) { fn(null, {message: 'forbidden', statusCode: 403}); }}
+      };
+
+      c.find(context({$expand: 'owner'}, dpd), function(err) {
+        expect(err.statusCode).to.equal(403);
+        done();
+      });
+    });
+  });
+
+  describe('onDelete', function() {
+    function createCollection(name, properties, store, config) {
+      config = config || {};
+      config.properties = properties;
+      var c = new Collection(name, {config: config});
+      c.store = store || {};
+      c.events = {};
+      return c;
+    }
+
+    function context(server, dpd) {
+      return {req: {method: 'DELETE', headers: {}}, url: '/abc', query: {id: 'abc'}, session: {}, server: server, dpd: dpd || {}};
+    }
+
+    function removable(removed) {
+      return {
+        find: function(query, fn) { fn(null, [{id: 'abc'}]); },
+        remove: function(query, fn) { removed.push(query); fn(null, {count: 1}); }
+      };
+    }
+
+    it('should refuse to delete objects that are still referenced', function(done) {
+      var removed = []
+        , posts = createCollection('posts', {}, removable(removed))
+        , comments = createCollection('comments', {post: {type: 'reference', collection: 'posts', onDelete: 'restrict'}}, {
+            count: function(query, fn) {
+              expect(query).to.eql({post: {$in: ['abc']}});
+              fn(null, 2);
+            }
+          });
+
+      posts.remove(context({resources: [posts, comments]}), function(err) {
+        expect(err.statusCode).to.equal(409);
+        expect(removed).to.be.empty;
+        done();
+      });
+    });
+
+    it('should delete referencing objects through the internal client as root', function(done) {
+      var removed = []
+        , deleted = []
+        , posts = createCollection('posts', {}, removable(removed))
+        , comments = createCollection('comments', {post: {type: 'reference', collection: '/posts', onDelete: 'cascade'}}, {
+            find: function(query, fn) {
+              expect(query).to.eql({post: {$in: ['abc']}, $fields: {id: 1}});
+              fn(null, [{id: 'c1'}, {id: 'c2'}]);
+            }
+          })
+        , router = {route: function(req, res) {
+            deleted.push({url: req.url, method: req.method, query: req.query, isRoot: req.isRoot, uid: req.session.data.uid});
+            res.statusCode = 200;
+            res.end(JSON.stringify({count: 2}));
+          }}
+        , ctx = context({resources: [posts, comments], router: router});
+
+      ctx.session = {data: {uid: 'joe'}, user: {id: 'joe'}};
+      posts.remove(ctx, function(err, result) {
+        expect(result).to.eql({count: 1});
+        expect(deleted).to.eql([{url: '/comments', method: 'DELETE', query: {id: {$in: ['c1', 'c2']}}, isRoot: true, uid: 'joe'}]);
+        expect(ctx.session.isRoot).to.not.exist;
+        done(err);
+      });
+    });
+
+    it('should clear references to removed objects', function(done) {
+      var updates = []
+        , store = {update: function(query, update, fn) { updates.push([query, update]); fn(); }}
+        , users = createCollection('users', {}, removable([]))
+        , posts = createCollection('posts', {
+            owner: {type: 'reference', collection: '/users', onDelete: 'setNull'},
+            readers: {type: 'array', items: {type: 'reference', collection: '/users', onDelete: 'setNull'}},
+            author: {type: 'reference', collection: '/users'}
+          }, store);
+
+      users.remove(context({resources: [users, posts]}), function(err) {
+        expect(updates).to.eql([
+          [{owner: {$in: ['abc']}}, {owner: null}],
+          [{readers: {$in: ['abc']}}, {readers: {$pullAll: ['abc']}}]
+        ]);
+        done(err);
+      });
+    });
+
+    it('should keep references to soft deleted objects', function(done) {
+      var posts = createCollection('posts', {}, {
+            find: function(query, fn) { fn(null, [{id: 'abc'}]); },
+            update: function(query, update, fn) { fn(null, {count: 1}); }
+          }, {softDelete: true})
+        , comments = createCollection('comments', {post: {type: 'reference', collection: '/posts', onDelete: 'setNull'}}, {
+            update: function() { throw new Error('should not clear references'); }
+          });
+
+      posts.remove(context({resources: [posts, comments]}), done);
+    });
+  });
+
+  describe('access rules', function() {
+    function createCollection(access, store, events) {
+      var c = new Collection('posts', {config: {access: access, properties: {title: {type: 'string'}, creatorId: {type: 'string'}}}});
+      c.store = store || {};
+      c.events = events || {};
+      return c;
+    }
+
+    function context(method, query, session, body) {
+      return {req: {method: method, headers: {}}, url: '/', query: query || {}, session: session || {}, body: body};
+    }
+
+    function user(uid, roles) {
+      return {data: {uid: uid}, user: {id: uid, roles: roles}};
+    }
+
+    it('should refuse logged out users', function(done) {
+      var c = createCollection({get: 'authenticated'}, {
+        find: function() { throw new Error('should not find'); }
+      });
+
+      c.find(context('GET'), function(err) {
+        expect(err.statusCode).to.equal(401);
+        done();
+      });
+    });
+
+    it('should refuse sessions whose user was not validated', function(done) {
+      var c = createCollection({get: 'authenticated', put: 'owner:creatorId'}, {
+        find: function() { throw new Error('should not find'); },
+        first: function() { throw new Error('should not look up the object'); }
+      });
+
+      // eg. the password changed, the impersonation ended or the user was deleted
+      c.find(context('GET', {}, {data: {uid: 'joe'}}), function(err) {
+        expect(err.statusCode).to.equal(401);
+        c.save(context('PUT', {id: 'abc'}, {data: {uid: 'joe'}}, {title: 'bar'}), function(err) {
+          expect(err.statusCode).to.equal(401);
+          done();
+        });
+      });
+    });
+
+    it('should allow public methods and methods without rules', function(done) {
+      var c = createCollection({get: 'public', put: 'role:admin'}, {
+        find: function(query, fn) { fn(null, []); }
+      });
+
+      c.find(context('GET'), done);
+    });
+
+    it('should check roles before BeforeRequest', function(done) {
+      var c = createCollection({'delete': ['role:admin', 'role:editor']}, {
+        find: function(query, fn) { fn(null, []); }
+      }, {
+        BeforeRequest: {run: function() { throw new Error('should not run BeforeRequest'); }}
+      });
+
+      c.remove(context('DELETE', {id: 'abc'}, user('joe', ['reader'])), function(err) {
+        expect(err.statusCode).to.equal(403);
+        c.events = {};
+        c.remove(context('DELETE', {id: 'abc'}, user('sam', ['editor'])), done);
+      });
+    });
+
+    it('should only find objects the user owns', function(done) {
+      var c = createCollection({get: 'owner:creatorId'}, {
+        find: function(query, fn) {
+          expect(query.$and).to.eql([{creatorId: 'joe'}]);
+          fn(null, []);
+        }
+      });
+
+      c.find(context('GET', {title: 'foo'}, user('joe')), done);
+    });
+
+    it('should not update objects owned by others', function(done) {
+      var c = createCollection({put: ['owner:creatorId', 'role:admin']}, {
+        first: function(query, fn) {
+          expect(query).to.eql({id: 'abc'});
+          fn(null, {id: 'abc', creatorId: 'sam'});
+        }
+      });
+
+      c.save(context('PUT', {id: 'abc'}, user('joe'), {title: 'bar'}), function(err) {
+        expect(err.statusCode).to.equal(403);
+        done();
+      });
+    });
+
+    it('should make users own the objects they create', function(done) {
+      var inserted = [];
+      var c = createCollection({post: 'authenticated', put: 'owner:creatorId'}, {
+        count: function(query, fn) { fn(null, 0); },
+        createUniqueIdentifier: function() { return 'abc'; },
+        insert: function(object, fn) { inserted.push(object); fn(null, object); }
+      });
+
+      c.save(context('POST', {}, user('joe'), {title: 'foo', creatorId: 'sam'}), function(err) {
+        expect(err).to.eql({message: 'You are not allowed to write creatorId', statusCode: 403});
+        c.save(context('POST', {}, user('joe'), {title: 'foo'}), function(err, obj) {
+          expect(obj.creatorId).to.equal('joe');
+          expect(inserted).to.have.length(1);
+          done(err);
+        });
+      });
+    });
+
+    it('should only let root give objects to other owners', function(done) {
+      var c = createCollection({put: 'owner:creatorId'}, {
+        first: function(query, fn) { fn(null, {id: 'abc', title: 'foo', creatorId: 'joe'}); },
+        count: function(query, fn) { fn(null, 0); },
+        update: function(query, object, fn) { fn(null, {count: 1}); }
+      });
+
+      c.save(context('PUT', {id: 'abc'}, user('joe'), {creatorId: 'sam'}), function(err) {
+        expect(err.statusCode).to.equal(403);
+        c.save(context('PUT', {id: 'abc'}, {isRoot: true}, {creatorId: 'sam'}), function(err, obj) {
+          expect(obj.creatorId).to.equal('sam');
+          var internal = context('PUT', {id: 'abc'}, user('joe'), {creatorId: 'sam'});
+          internal.req.internal = true;
+          c.save(internal, function(err, obj) {
+            expect(obj.creatorId).to.equal('sam');
+            done(err);
+          });
+        });
+      });
+    });
+
+    it('should make users the owners of objects they create', function(done) {
+      var c = createCollection({post: 'owner:creatorId'}, {
+        insert: function(obj, fn) {
+          expect(obj.creatorId).to.equal('joe');
+          fn(null, obj);
+        },
+        count: function(query, fn) { fn(null, 0); },
+        createUniqueIdentifier: function() { return 'abc'; }
+      });
+
+      c.save(context('POST', {}, user('joe'), {title: 'foo'}), function(err) {
+        if (err) return done(err);
+        c.save(context('POST', {}, user('joe'), {title: 'foo', creatorId: 'sam'}), function(err) {
+          expect(err.statusCode).to.equal(403);
+          done();
+        });
+      });
+    });
+
+    it('should let root through', function(done) {
+      var c = createCollection({get: 'role:admin'}, {
+        find: function(query, fn) {
+          expect(query.$and).to.not.exist;
+          fn(null, []);
+        }
+      });
+
+      c.find(context('GET', {}, {isRoot: true}), done);
+    });
+  });
+
+  describe('field rules', function() {
+    function createCollection(store) {
+      var c = new Collection('posts', {config: {
+        access: {put: ['owner:creatorId', 'role:editor']},
+        properties: {
+          title: {type: 'string'},
+          creatorId: {type: 'string'},
+          notes: {type: 'string', readableBy: 'owner'},
+          score: {type: 'number', readableBy: ['role:editor'], writableBy: 'root'},
+          status: {type: 'string', writableBy: 'role:editor'}
+        }
+      }});
+      c.store = store || {};
+      c.events = {};
+      return c;
+    }
+
+    function context(method, query, uid, roles, body) {
+      return {req: {method: method, headers: {}}, url: '/', query: query || {}, session: {data: {uid: uid}, user: {id: uid, roles: roles || []}}, body: body};
+    }
+
+    it('should hide fields from find results', function(done) {
+      var c = createCollection({
+        find: function(query, fn) {
+          fn(null, [
+            {id: '1', creatorId: 'joe', notes: 'mine', score: 1},
+            {id: '2', creatorId: 'sam', notes: 'theirs', score: 2}
+          ]);
+        }
+      });
+
+      c.find(context('GET', {}, 'joe'), function(err, result) {
+        expect(result).to.eql([{id: '1', creatorId: 'joe', notes: 'mine'}, {id: '2', creatorId: 'sam'}]);
+        done(err);
+      });
+    });
+
+    it('should not filter, sort or project by hidden fields', function(done) {
+      var c = createCollection({
+        find: function(query, fn) {
+          expect(query).to.eql({title: 'foo', $or: [{title: 'bar'}], $sort: {title: 1}, $fields: {title: 1}});
+          fn(null, []);
+        }
+      });
+
+      var query = {title: 'foo', notes: 'x', $or: [{title: 'bar'}, {score: 5}], $sort: {score: -1, title: 1}, $fields: {title: 1, score: 1}};
+      c.find(context('GET', query, 'joe', ['reader']), done);
+    });
+
+    it('should not filter by hidden fields inside operators', function(done) {
+      var c = createCollection({
+        find: function(query, fn) {
+          expect(query).to.eql({$and: [{$or: [{title: 'foo'}]}], $nor: [{title: 'bar'}]});
+          fn(null, []);
+        }
+      });
+
+      var query = {$and: [{$or: [{title: 'foo'}, {score: {$gt: 5}}]}, {$or: [{notes: 'x'}]}], $nor: [{title: 'bar', score: 1}], $not: {notes: 'x'}};
+      c.find(context('GET', query, 'joe', ['reader']), done);
+    });
+
+    it('should only let root query with $where or $expr', function(done) {
+      var c = createCollection({
+        find: function(query, fn) { fn(null, []); }
+      });
+
+      c.find(context('GET', {$or: [{$expr: {$gt: ['$score', 5]}}]}, 'joe', ['editor']), function(err) {
+        expect(err).to.eql({message: 'You are not allowed to query with $expr', statusCode: 403});
+        c.find(context('GET', {$where: 'this.score > 5'}, 'joe'), function(err) {
+          expect(err).to.eql({message: 'You are not allowed to query with $where', statusCode: 403});
+          c.find({req: {method: 'GET', headers: {}}, url: '/', query: {$where: 'this.score > 5'}, session: {isRoot: true}}, done);
+        });
+      });
+    });
+
+    it('should let roles read fields', function(done) {
+      var c = createCollection({
+        find: function(query, fn) {
+          expect(query.$sort).to.eql({score: -1});
+          fn(null, [{id: '1', creatorId: 'sam', score: 2}]);
+        }
+      });
+
+      c.find(context('GET', {$sort: {score: -1}}, 'ann', ['editor']), function(err, result) {
+        expect(result[0].score).to.equal(2);
+        done(err);
+      });
+    });
+
+    it('should reject changes to fields the user may not write', function(done) {
+      var c = createCollection({
+        first: function(query, fn) { fn(null, {id: 'abc', creatorId: 'joe', title: 'foo', status: 'draft'}); }
+      });
+
+      c.save(context('PUT', {id: 'abc'}, 'joe', [], {title: 'bar', status: 'published'}), function(err) {
+        expect(err).to.eql({message: 'You are not allowed to write status', statusCode: 403});
+        done();
+      });
+    });
+
+    it('should allow unchanged fields to be sent back', function(done) {
+      var c = createCollection({
+        first: function(query, fn) { fn(null, {id: 'abc', creatorId: 'joe', title: 'foo', status: 'draft', notes: 'mine'}); },
+        update: function(query, update, fn) {
+          expect(update.title).to.equal('bar');
+          fn(null, {count: 1});
+        }
+      });
+
+      c.save(context('PUT', {id: 'abc'}, 'joe', [], {title: 'bar', status: 'draft'}), function(err, result) {
+        expect(result.title).to.equal('bar');
+        expect(result.notes).to.equal('mine');
+        done(err);
+      });
+    });
+
+    it('should not copy, move or test fields the user may not read', function(done) {
+      var c = createCollection({
+        first: function(query, fn) { fn(null, {id: 'abc', creatorId: 'joe', title: 'foo', score: 7}); },
+        update: function() { throw new Error('should not update'); }
+      });
+
+      function patchWith(op, fn) {
+        c.save(context('PATCH', {id: 'abc'}, 'joe', [], [op]), fn);
+      }
+
+      patchWith({op: 'copy', from: '/score', path: '/title'}, function(err) {
+        expect(err).to.eql({message: 'You are not allowed to read score', statusCode: 403});
+        patchWith({op: 'move', from: '/score', path: '/title'}, function(err) {
+          expect(err).to.eql({message: 'You are not allowed to read score', statusCode: 403});
+          patchWith({op: 'test', path: '/score', value: 7}, function(err) {
+            expect(err).to.eql({message: 'You are not allowed to read score', statusCode: 403});
+            patchWith({op: 'test', path: '', value: {}}, function(err) {
+              expect(err).to.eql({message: 'You are not allowed to read score', statusCode: 403});
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should reject new objects with fields only root may write', function(done) {
+      var c = createCollection({
+        insert: function() { throw new Error('should not insert'); }
+      });
+
+      c.save(context('POST', {}, 'joe', ['editor'], {title: 'foo', score: 10}), function(err) {
+        expect(err.statusCode).to.equal(403);
+        done();
+      });
+    });
+  });
+
+  describe('aggregate', function() {
+    function createCollection(store, config, events) {
+      config = config || {};
+      config.properties = {status: {type: 'string'}, total: {type: 'number'}};
+      var c = new Collection('orders', {config: config});
+      c.store = store;
+      c.events = events || {};
+      return c;
+    }
+
+    function context(query, session) {
+      return {req: {method: 'GET', headers: {}}, url: '/aggregate', query: query, session: session || {isRoot: true}};
+    }
+
+    it('should run the pipeline', function(done) {
+      var c = createCollection({
+        aggregate: function(stages, fn) {
+          expect(stages).to.eql([
+            {$match: {total: 5}},
+            {$group: {id: '$status', count: {$sum: 1}}},
+            {$sort: {count: -1}},
+            {$limit: 10}
+          ]);
+          fn(null, [{id: 'open', count: 2}]);
+        }
+      });
+      var pipeline = [
+        {$match: {total: '5', foo: 'bar'}},
+        {$group: {id: '$status', count: {$sum: 1}}},
+        {$sort: {count: '-1'}},
+        {$limit: '10'}
+      ];
+
+      var ctx = context({id: 'aggregate', pipeline: JSON.stringify(pipeline)});
+      ctx.done = function(err, result) {
+        expect(result).to.eql([{id: 'open', count: 2}]);
+        done(err);
+      };
+      c.handle(ctx);
+    });
+
+    it('should not sanitize $match stages after the objects are reshaped', function() {
+      var c = createCollection({});
+      expect(c.sanitizePipeline([{$group: {id: '$status', count: {$sum: 1}}}, {$match: {count: {$gt: 1}}}])[1])
+        .to.eql({$match: {count: {$gt: 1}}});
+    });
+
+    it('should reject stages that are not allowed', function() {
+      var c = createCollection({});
+      [
+        'foo',
+        [{$out: 'other'}],
+        [{$lookup: {from: 'users'}}],
+        [{$match: {status: 'open'}, $limit: 1}],
+        [{$match: {$where: 'true'}}],
+        [{$group: {id: null, all: {$accumulator: {}}}}],
+        [{$project: {x: {$function: {body: 'return 1'}}}}],
+        [{$limit: -1}]
+      ].forEach(function(pipeline) {
+        expect(function() { c.sanitizePipeline(pipeline); }).to.throw().with.property('statusCode', 400);
+      });
+    });
+
+    it('should only match objects that are not deleted', function(done) {
+      var c = createCollection({
+        aggregate: function(stages, fn) {
+          expect(stages[0]).to.eql({$match: {deletedAt: null}});
+          fn(null, []);
+        }
+      }, {softDelete: true});
+
+      c.aggregate(context({pipeline: [{$limit: 1}]}), done);
+    });
+
+    it('should only allow root by default', function(done) {
+      var c = createCollection({
+        aggregate: function() { throw new Error('should not aggregate'); }
+      });
+
+      c.aggregate(context({pipeline: []}, {user: {id: 'joe'}}), function(err) {
+        expect(err.statusCode).to.equal(403);
+        done();
+      });
+    });
+
+    it('should allow the configured roles', function(done) {
+      var c = createCollection({
+        aggregate: function(stages, fn) { fn(null, []); }
+      }, {aggregate: ['reports']});
+
+      c.aggregate(context({pipeline: []}, {user: {id: 'joe', roles: ['sales']}}), function(err) {
+        expect(err.statusCode).to.equal(403);
+        c.aggregate(context({pipeline: []}, {user: {id: 'sam', roles: ['reports']}}), done);
+      });
+    });
+
+    it('should let BeforeRequest change the pipeline', function(done) {
+      var c = createCollection({
+        aggregate: function(stages, fn) {
+          expect(stages).to.eql([{$match: {status: 'open'}}, {$limit: 1}]);
+          fn(null, []);
+        }
+      }, {aggregate: true}, {
+        BeforeRequest: {run: function(ctx, domain, fn) {
+          expect(domain.event).to.equal('AGGREGATE');
+          domain.pipeline.unshift({$match: {status: 'open'}});
+          fn();
+        }}
+      });
+
+      c.aggregate(context({pipeline: [{$limit: 1}]}, {}), done);
+    });
+
+    it('should only match objects the user owns', function(done) {
+      var c = createCollection({
+        aggregate: function(stages, fn) {
+          expect(stages).to.eql([{$match: {creatorId: 'joe'}}, {$limit: 1}]);
+          fn(null, []);
+        }
+      }, {aggregate: true, access: {get: 'owner:creatorId'}});
+
+      c.aggregate(context({pipeline: [{$limit: 1}]}, {data: {uid: 'joe'}, user: {id: 'joe'}}), done);
+    });
+  });
+
+  describe('atomic commands', function() {
+    function createCollection(store) {
+      var c = new Collection('objects', {config: {properties: {
+        title: {type: 'string'},
+        count: {type: 'number'},
+        names: {type: 'array'},
+        address: {type: 'object'}
+      }}});
+      c.store = store;
+      return c;
+    }
+
+    function put(body) {
+      return {req: {method: 'PUT', headers: {}}, body: body, query: {id: 'abc'}, session: {}};
+    }
+
+    it('should pass commands to the store instead of the computed values', function(done) {
+      var c = createCollection({
+        first: function(query, fn) { fn(null, {id: 'abc', count: 1, names: ['joe'], address: {city: 'Berlin'}}); },
+        update: function(query, object, fn) {
+          expect(object).to.eql({
+            title: 'foo',
+            count: {$inc: 2},
+            names: {$push: 'sam'},
+            'address.city': {$set: 'Paris'}
+          });
+          fn(null, {count: 1});
+        }
+      });
+
+      c.save(put({title: 'foo', count: {$inc: 2}, names: {$push: 'sam'}, $set: {'address.city': 'Paris'}}), function(err, item) {
+        expect(item.count).to.equal(3);
+        expect(item.names).to.eql(['joe', 'sam']);
+        expect(item.address).to.eql({city: 'Paris'});
+        done(err);
+      });
+    });
+
+    it('should set the computed value if the previous value does not fit the command', function(done) {
+      var c = createCollection({
+        first: function(query, fn) { fn(null, {id: 'abc', count: '1'}); },
+        update: function(query, object, fn) {
+          expect(object).to.eql({count: 3});
+          fn(null, {count: 1});
+        }
+      });
+
+      c.save(put({count: {$inc: 2}}), function(err, item) {
+        expect(item.count).to.equal(3);
+        done(err);
+      });
+    });
+
+    it('should set the value changed by an event', function(done) {
+      var c = createCollection({
+        first: function(query, fn) { fn(null, {id: 'abc', count: 1}); },
+        update: function(query, object, fn) {
+          expect(object).to.eql({count: 10});
+          fn(null, {count: 1});
+        }
+      });
+
+      c.events.Put = {run: function(ctx, domain, fn) {
+        expect(domain.data.count).to.equal(3);
+        domain.data.count = 10;
+        fn();
+      }};
+
+      c.save(put({count: {$inc: 2}}), function(err, item) {
+        expect(item.count).to.equal(10);
+        done(err);
+      });
+    });
   });
 
   describe('.createDomain()', function() {
@@ -15,6 +15,17 @@ describe('Context', function() {
         done();
       });
     });  
+
+    it('should not have the matched part of a parameterized path', function(done) {
+      freq('/foo/my%20id/bar/baz?q=1', null, function(req, res) {
+        var r = new Resource('bar', {config: {route: '/foo/:fooId/bar'}});
+        var ctx = new Context(r, req, res, {});
+
+        expect(ctx.url).to.equal('/baz');
+        expect(ctx.params).to.eql({fooId: 'my id'});
+        done();
+      });
+    });
   });
 
   describe('.done', function() {
@@ -36,6 +47,21 @@ describe('Context', function() {
       });
     });  
 
+    it('should send headers without a body for HEAD requests', function(done) {
+      freq('/foo/bar', {method: 'HEAD'}, function(req, res) {
+        var r = new Resource('foo', {});
+        var ctx = new Context(r, req, res, {});
+        var response = {foo: 'bar'};
+
+        ctx.res.end = sinon.spy();
+        ctx.done(null, response);
+        expect(ctx.res.getHeader('Content-Length')).to.equal(JSON.stringify(response).length);
+        expect(ctx.res.end.calledOnce).to.be.true;
+        expect(ctx.res.end.firstCall.args).to.eql([]);
+        done();
+      });
+    });
+
     it('should not overwrite headers', function(done) {
       freq('/foo/bar', null, function(req, res) {
         var r = new Resource('foo', {});
@@ -185,6 +185,28 @@ describe('store', function(){
       });
     });
     
+    it('should apply commands atomically', function(done) {
+      store.insert({count: 1, names: ['joe'], address: {city: 'Berlin', zip: '10115'}}, function (err, result) {
+        expect(err).to.not.exist;
+        var query = {id: result.id};
+        store.update(query, {
+          count: {$inc: 2},
+          names: {$addUnique: ['joe', 'sam']},
+          'address.city': {$set: 'Paris'},
+          'address.zip': {$unset: true}
+        }, function (err, updated) {
+          expect(err).to.not.exist;
+          expect(updated.count).to.equal(1);
+          store.first(query, function (err, result) {
+            expect(result.count).to.equal(3);
+            expect(result.names).to.eql(['joe', 'sam']);
+            expect(result.address).to.eql({city: 'Paris'});
+            done(err);
+          });
+        });
+      });
+    });
+
     it('should rename all objects', function(done) {
       store.insert([{foo: 'bar'}, {foo: 'bat'}, {foo: 'baz'}], function (err) {
         if(err) throw err;
@@ -203,6 +225,46 @@ describe('store', function(){
     });
   });
   
+  describe('.aggregate(pipeline, fn)', function(){
+    it('should group objects and return the group keys as ids', function(done) {
+      store.insert([{status: 'open', n: 1}, {status: 'open', n: 2}, {status: 'closed', n: 5}], function (err) {
+        if(err) throw err;
+        store.aggregate([
+          {$group: {id: '$status', total: {$sum: '$n'}}},
+          {$sort: {id: 1}}
+        ], function (err, result) {
+          expect(result).to.eql([{id: 'closed', total: 5}, {id: 'open', total: 3}]);
+          done(err);
+        });
+      });
+    });
+
+    it('should group all objects with a null id', function(done) {
+      store.insert([{n: 1}, {n: 2}], function (err) {
+        if(err) throw err;
+        store.aggregate([{$group: {id: null, count: {$sum: 1}}}], function (err, result) {
+          expect(result).to.eql([{id: null, count: 2}]);
+          done(err);
+        });
+      });
+    });
+  });
+
+  describe('.increment(id, field, fn)', function(){
+    it('should never return the same value twice', function(done) {
+      var values = [];
+      for (var i = 0; i < 5; i++) {
+        store.increment('counter', 'seq', function (err, value) {
+          if(err) return done(err);
+          values.push(value);
+          if (values.length < 5) return;
+          expect(values.sort()).to.eql([1, 2, 3, 4, 5]);
+          done();
+        });
+      }
+    });
+  });
+
   describe('.rename(namespace, fn)', function(){
     it('should rename the underlying database representation of the store', function(done) {
       store.insert([{i:1},{i:2},{i:3}], function () {
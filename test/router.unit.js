@@ -161,6 +161,51 @@ describe('Router', function() {
 
       router.route({url: '/index.html'}, {});
     });
+
+    it('should fill ctx.params from a parameterized path', function(done) {
+      var tasks = new Resource('tasks', {config: {route: '/projects/:projectId/tasks'}})
+        , router = new Router([tasks], fauxServer());
+
+      this.timeout(1000);
+
+      tasks.handle = function(ctx) {
+        expect(ctx.params).to.eql({projectId: 'abc'});
+        expect(ctx.url).to.equal('/1234');
+        done();
+      };
+
+      router.route(fauxReq('/projects/abc/tasks/1234?foo=bar'), fauxRes());
+    });
+
+    it('should only route what the scopes of a personal access token allow', function(done) {
+      var foo = new Resource('foo')
+        , router = new Router([foo], fauxServer())
+        , req = fauxReq('/foo/1234')
+        , res = fauxRes();
+
+      this.timeout(1000);
+
+      req.method = 'POST';
+      req.session = {scopes: ['read:/foo', 'write:/bar']};
+      foo.handle = function() {
+        throw new Error("This one shouldn't get called");
+      };
+      res.end = function(body) {
+        expect(res.statusCode).to.equal(403);
+        expect(JSON.parse(body).message).to.equal('the access token does not allow POST /foo');
+
+        var get = fauxReq('/foo/1234');
+        get.method = 'GET';
+        get.session = req.session;
+        foo.handle = function(ctx) {
+          expect(ctx.url).to.equal('/1234');
+          done();
+        };
+        router.route(get, fauxRes());
+      };
+
+      router.route(req, res);
+    });
   });
 
   describe('.matchResources()', function() {
@@ -220,6 +265,18 @@ describe('Router', function() {
       expect(paths(result)).to.eql(['/foo', '/']);
     });
 
+    it('should match parameterized paths', function() {
+      this.router.resources.push(new Resource('tasks', {config: {route: '/foo/:fooId/tasks'}}));
+      var result = this.router.matchResources('/foo/12345/tasks/678');
+      expect(paths(result)).to.eql(['/foo/:fooId/tasks', '/foo', '/']);
+    });
+
+    it('should order literal paths before parameterized paths', function() {
+      this.router.resources.push(new Resource('foo-item', {config: {route: '/foo/:id'}}));
+      var result = this.router.matchResources('/foo/bar');
+      expect(paths(result)).to.eql(['/foo/bar', '/foo/:id', '/foo', '/']);
+    });
+
   });
 
   describe('.generateRegex()', function() {
@@ -259,6 +316,18 @@ describe('Router', function() {
       // example('/foo', '/foo/../bar', false);
     });
 
+    it('should match parameters in the path', function() {
+      // should pass
+      example('/foo/:id/bar', '/foo/1/bar', true);
+      example('/foo/:id/bar', '/foo/1/bar/2', true);
+      example('/foo/:id/bar', '/foo/1/bar?q=a', true);
+      example('/foo/:id/bar/:barId', '/foo/1/bar/2', true);
+      // should fail
+      example('/foo/:id/bar', '/foo/bar', false);
+      example('/foo/:id/bar', '/foo//bar', false);
+      example('/foo/:id/bar', '/foo/1/baz', false);
+    });
+
   });
 
 });
\ No newline at end of file
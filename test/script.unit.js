@@ -43,6 +43,14 @@ describe('script', function(){
       s.run({session: session}, done);
     });
 
+    it('should tell whether the current user has a role', function(done) {
+      var s = new Script('if(!hasRole("editor") || hasRole("admin")) throw "wrong roles"');
+      s.run({session: {user: {name: 'foo', roles: ['editor']}}}, function (err) {
+        if (err) return done(err);
+        new Script('if(hasRole("editor")) throw "no user, no roles"').run({}, done);
+      });
+    });
+
     it('should always have access to require()', function(done) {
       var s = new Script('if(typeof require !== "function") throw "no access to require"');
       s.run({}, done);
@@ -96,6 +96,80 @@ describe('Server', function() {
   });
 
 
+  describe('.createTokenSession(token)', function () {
+    var UserCollection = require('../lib/resources/user-collection')
+      , jwt = require('../lib/util/jwt');
+
+    function token(claims, secret) {
+      var all = {sub: '123', path: '/users', exp: Math.floor(Date.now() / 1000) + 60};
+      Object.keys(claims).forEach(function (key) { all[key] = claims[key]; });
+      return jwt.sign(all, secret || 'secret');
+    }
+
+    beforeEach(function () {
+      this.server = new Server();
+      this.server.resources = [new UserCollection('users', {config: {properties: {}, jwt: {secret: 'secret'}}})];
+      this.server.sessions.find = sinon.spy();
+    });
+
+    it('should create a session from the claims without reading the store', function () {
+      var session = this.server.createTokenSession(token({user: {username: 'foo', roles: ['admin']}}));
+
+      expect(session.data).to.contain({path: '/users', uid: '123'});
+      expect(session.user).to.eql({id: '123', username: 'foo', roles: ['admin']});
+      expect(session.claims.sub).to.equal('123');
+      expect(this.server.sessions.find.called).to.equal(false);
+    });
+
+    it('should not accept tokens no resource signed', function () {
+      expect(this.server.createTokenSession(token({}, 'other'))).to.equal(null);
+      expect(this.server.createTokenSession(token({path: '/admins'}))).to.equal(null);
+      expect(this.server.createTokenSession(token({exp: 1}))).to.equal(null);
+    });
+  });
+
+  describe('.createPersonalTokenSession(token, fn)', function () {
+    var UserCollection = require('../lib/resources/user-collection');
+
+    beforeEach(function () {
+      var users = new UserCollection('users', {config: {properties: {}}});
+      users.verifyPersonalToken = function (token, fn) {
+        if (token !== 'pat_known') return fn(null, null);
+        fn(null, {id: '123', username: 'foo', roles: []}, {id: 't1', scopes: ['read:/todos']});
+      };
+      users.isPersonalToken = function (token) {
+        return token.indexOf('pat_') === 0;
+      };
+
+      this.server = new Server();
+      this.server.resources = [users];
+      this.server.sessions.find = sinon.spy();
+    });
+
+    it('should create a session limited to the scopes of the token', function (done) {
+      var server = this.server;
+      expect(server.isPersonalToken('pat_known')).to.equal(true);
+      server.createPersonalTokenSession('pat_known', function (err, session) {
+        expect(err).to.not.exist;
+        expect(session.data).to.contain({path: '/users', uid: '123'});
+        expect(session.user).to.eql({id: '123', username: 'foo', roles: []});
+        expect(session.scopes).to.eql(['read:/todos']);
+        expect(session.personalToken).to.equal('t1');
+        expect(server.sessions.find.called).to.equal(false);
+        done();
+      });
+    });
+
+    it('should not create a session for unknown tokens', function (done) {
+      expect(this.server.isPersonalToken('abcd')).to.equal(false);
+      this.server.createPersonalTokenSession('pat_unknown', function (err, session) {
+        expect(err).to.not.exist;
+        expect(session).to.equal(null);
+        done();
+      });
+    });
+  });
+
   describe('.handleRequest()', function () {
     it('should be on the prototype', function () {
       var server = new Server();
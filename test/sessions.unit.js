@@ -70,6 +70,49 @@ describe('SessionStore', function() {
       });
     });
   });
+
+  describe('.getUserSessions(uid, fn)', function() {
+    it('should get the sessions of a user', function(done) {
+      var store = new SessionStore('sessions', db.create(TEST_DB))
+        , uid = store.createUniqueIdentifier();
+
+      store.createSession(function (err, session) {
+        session.set({uid: uid}).save(function (err, data) {
+          // a session this node does not know about, eg. created on another node
+          store.insert({id: store.createUniqueIdentifier(), uid: uid, lastActive: Date.now()}, function (err, other) {
+            store.getUserSessions(uid, function (err, sessions) {
+              expect(sessions.map(function (s) { return s.id; }).sort()).to.eql([data.id, other.id].sort());
+              done(err);
+            });
+          });
+        });
+      });
+    });
+  });
+
+  describe('.removeUserSessions(uid, fn)', function() {
+    it('should remove the sessions of a user on all nodes', function(done) {
+      var pub = {publish: sinon.spy()}
+        , store = new SessionStore('sessions', db.create(TEST_DB), undefined, {pubClient: pub, subClient: {}})
+        , uid = store.createUniqueIdentifier();
+
+      store.createSession(function (err, session) {
+        session.set({uid: uid}).save(function (err, data) {
+          store.insert({id: store.createUniqueIdentifier(), uid: uid, lastActive: Date.now()}, function (err, other) {
+            store.removeUserSessions(uid, function (err) {
+              expect(err).to.not.exist;
+              expect(pub.publish.calledWith('dpd#session#remove', JSON.stringify({id: store.id, sid: other.id}))).to.be.true;
+              expect(pub.publish.calledWith('dpd#session#remove', JSON.stringify({id: store.id, sid: data.id}))).to.be.true;
+              store.getUserSessions(uid, function (err, sessions) {
+                expect(sessions).to.have.length(0);
+                done(err);
+              });
+            });
+          });
+        });
+      });
+    });
+  });
 });
 
 describe('Session', function() {
@@ -1,5 +1,77 @@
 var UserCollection = require('../lib/resources/user-collection')
-	,	db = require('../lib/db');
+	,	db = require('../lib/db')
+	,	totp = require('../lib/util/totp');
+
+// a store keeping its records in memory, for queries of plain values, $in, $lt and $ne;
+// like the real one, finding by id gives a single record
+function memoryStore() {
+	var records = []
+		, lastId = 0;
+
+	function copy(record) {
+		return JSON.parse(JSON.stringify(record));
+	}
+
+	function matches(query) {
+		return function(r) {
+			return Object.keys(query).every(function(k) {
+				if (k.charAt(0) === '$') return true;
+				if (query[k] && query[k].$in) return query[k].$in.indexOf(r[k]) > -1;
+				if (query[k] && query[k].$lt !== undefined) return r[k] < query[k].$lt;
+				if (query[k] && query[k].hasOwnProperty('$ne')) return r[k] !== query[k].$ne;
+				return r[k] === query[k];
+			});
+		};
+	}
+
+	return {
+		records: records,
+		find: function(query, fn) {
+			var found = records.filter(matches(query)).map(copy);
+			fn(null, typeof query.id === 'string' ? found[0] : found);
+		},
+		first: function(query, fn) {
+			fn(null, records.filter(matches(query)).map(copy)[0]);
+		},
+		createUniqueIdentifier: function() {
+			return String(++lastId);
+		},
+		insert: function(object, fn) {
+			object.id = object.id || String(++lastId);
+			records.push(object);
+			fn(null, object);
+		},
+		update: function(query, changes, fn) {
+			var found = records.filter(matches(query));
+			found.forEach(function(r) {
+				Object.keys(changes).forEach(function(k) { r[k] = changes[k]; });
+			});
+			fn(null, {count: found.length});
+		},
+		remove: function(query, fn) {
+			var kept = records.filter(function(r) { return !matches(query)(r); })
+				, count = records.length - kept.length;
+			records.splice.apply(records, [0, records.length].concat(kept));
+			fn(null, {count: count});
+		}
+	};
+}
+
+// a session kept in memory, saved with the id `sid`
+function session(data) {
+	return {
+		data: data || {},
+		set: function(changes) {
+			var data = this.data;
+			Object.keys(changes).forEach(function(k) { data[k] = changes[k]; });
+			return this;
+		},
+		save: function(fn) {
+			this.data.id = this.data.id || 'sid';
+			fn(null, this.data);
+		}
+	};
+}
 
 describe('UserCollection', function() {
 	describe('.handle(ctx)', function() {
@@ -27,27 +99,31 @@ describe('UserCollection', function() {
 			this.ctx.req.body.username = 'foo@bar.com';
 			this.ctx.req.body.password = Math.random();
 			// hash the password so we can use it in our mocked loginFindUser function below
-			this.uc.setPassword(this.ctx.req.body);
-			var hashedPassword = this.ctx.req.body.password;
-			// reset it as plain test
-			this.ctx.req.body.password = Math.random();
+			this.uc.setPassword(this.ctx.req.body, function () {
+				var hashedPassword = test.ctx.req.body.password;
+				// reset it as plain test
+				test.ctx.req.body.password = Math.random();
 
-			this.uc.loginFindUser = function (ctx, fn) {
-			  expect(ctx.req.body).to.eql({ username: 'foo@bar.com', password: 'abcd' });
-			  fn(null, { id: '123', username: 'foo@bar.com', password: hashedPassword });
-			};
+				test.uc.loginFindUser = function (ctx, fn) {
+				  expect(ctx.req.body).to.eql({ username: 'foo@bar.com', password: 'abcd' });
+				  fn(null, { id: '123', username: 'foo@bar.com', password: hashedPassword });
+				};
 
-			this.complete = function (err, res) {
-			  expect(err).to.equal("Missing request body")
-				done();
-			};
+				test.complete = function (err, res) {
+				  expect(err).to.equal("Missing request body")
+					done();
+				};
 
-			this.uc.handle(this.ctx);
+				test.uc.handle(test.ctx);
+			});
 
 		})
 
 		it('should login a user when credentials are POSTed to "/login"', function(done) {
 			var test = this;
+			// failed logins and second factors are kept in stores of their own
+			this.uc.loginStore = memoryStore();
+			this.uc.twoFactorStore = memoryStore();
 			this.ctx.url = '/login';
 			this.ctx.query = {};
 			this.ctx.session = {
@@ -65,23 +141,24 @@ describe('UserCollection', function() {
 			this.ctx.req.body.username = 'foo@bar.com';
 			this.ctx.req.body.password = 'abcd';
 			// hash the password so we can use it in our mocked loginFindUser function below
-			this.uc.setPassword(this.ctx.req.body);
-			var hashedPassword = this.ctx.req.body.password;
-			// reset it as plain test
-			this.ctx.req.body.password = 'abcd';
+			this.uc.setPassword(this.ctx.req.body, function () {
+				var hashedPassword = test.ctx.req.body.password;
+				// reset it as plain test
+				test.ctx.req.body.password = 'abcd';
 
-			this.uc.loginFindUser = function (ctx, fn) {
-			  expect(ctx.req.body).to.eql({ username: 'foo@bar.com', password: 'abcd' });
-			  fn(null, { id: '123', username: 'foo@bar.com', password: hashedPassword });
-			};
+				test.uc.loginFindUser = function (ctx, fn) {
+				  expect(ctx.req.body).to.eql({ username: 'foo@bar.com', password: 'abcd' });
+				  fn(null, { id: '123', username: 'foo@bar.com', password: hashedPassword });
+				};
 
-			this.complete = function (err, res) {
-			  expect(err).to.not.exist;
-			  expect(res).to.contain({ uid: '123', path: '/users' });
-				done();
-			};
+				test.complete = function (err, res) {
+				  expect(err).to.not.exist;
+				  expect(res).to.contain({ uid: '123', path: '/users' });
+					done();
+				};
 
-			this.uc.handle(this.ctx);
+				test.uc.handle(test.ctx);
+			});
 		});
 
 		it('should logout a user when "/logout" is requested', function(done) {
@@ -171,6 +248,1491 @@ describe('UserCollection', function() {
     });
 	});
 
+	describe('password hashes', function() {
+		function legacyHash(uc, password) {
+			var salt = new Array(UserCollection.SALT_LEN + 1).join('a');
+			return salt + uc.hash(password, salt);
+		}
+
+		it('should store versioned scrypt hashes by default', function(done) {
+			var uc = new UserCollection('users', {config: {properties: {}}});
+			var body = {password: 'abcd'};
+			uc.setPassword(body, function(err) {
+				if (err) return done(err);
+				expect(body.password).to.match(/^\$scrypt\$N=16384,r=8,p=1\$/);
+				expect(uc.needsRehash(body.password)).to.equal(false);
+				uc.checkHash(uc, body, {password: 'abcd'}, function(err, valid) {
+					expect(valid).to.equal(true);
+					uc.checkHash(uc, body, {password: 'abce'}, function(err, valid) {
+						expect(valid).to.equal(false);
+						done(err);
+					});
+				});
+			});
+		});
+
+		it('should use the configured algorithm and cost', function(done) {
+			var uc = new UserCollection('users', {config: {properties: {}, passwordHash: {algorithm: 'pbkdf2', cost: 1000}}});
+			uc.hashPassword('abcd', function(err, hash) {
+				if (err) return done(err);
+				expect(hash).to.match(/^\$pbkdf2\$i=1000\$/);
+				uc.checkHash(uc, {password: hash}, {password: 'abcd'}, function(err, valid) {
+					expect(valid).to.equal(true);
+					uc.config.passwordHash.cost = 2000;
+					expect(uc.needsRehash(hash)).to.equal(true);
+					done(err);
+				});
+			});
+		});
+
+		it('should check passwords of unknown users against a dummy hash', function(done) {
+			var uc = new UserCollection('users', {config: {properties: {}, passwordHash: {cost: 1024}}})
+				, derived = 0
+				, derive = UserCollection.PASSWORD_HASHES.scrypt.derive;
+
+			UserCollection.PASSWORD_HASHES.scrypt.derive = function() {
+				derived++;
+				derive.apply(this, arguments);
+			};
+			uc.checkHash(uc, null, {password: 'abcd'}, function(err, valid) {
+				UserCollection.PASSWORD_HASHES.scrypt.derive = derive;
+				expect(valid).to.equal(false);
+				expect(derived).to.be.at.least(1);
+				done(err);
+			});
+		});
+
+		it('should reject unknown algorithms', function() {
+			expect(function() {
+				new UserCollection('users', {config: {properties: {}, passwordHash: {algorithm: 'md5'}}});
+			}).to.throw(/Unknown password hash algorithm md5/);
+		});
+
+		it('should verify legacy hashes and flag them for a rehash', function(done) {
+			var uc = new UserCollection('users', {config: {properties: {}}});
+			var user = {password: legacyHash(uc, 'abcd')};
+
+			expect(uc.needsRehash(user.password)).to.equal(true);
+			uc.checkHash(uc, user, {password: 'abcd'}, function(err, valid) {
+				expect(valid).to.equal(true);
+				uc.checkHash(uc, user, {password: 'abce'}, function(err, valid) {
+					expect(valid).to.equal(false);
+					done(err);
+				});
+			});
+		});
+
+		it('should accept sessions bound to the legacy MD5 user hash', function() {
+			var uc = new UserCollection('users', {config: {properties: {}}})
+				, user = {username: 'foo', password: legacyHash(uc, 'abcd')}
+				, md5 = require('crypto').createHash('md5').update(user.username + user.password).digest('hex');
+
+			expect(uc.checkUserHash(user, md5)).to.equal(true);
+			expect(uc.checkUserHash(user, uc.getUserAndPasswordHash(user))).to.equal(true);
+			expect(uc.checkUserHash({username: 'bar', password: user.password}, md5)).to.equal(false);
+		});
+
+		it('should move sessions with the legacy MD5 user hash over to the current one', function(done) {
+			var uc = new UserCollection('users', {config: {properties: {}}})
+				, user = {id: '123', username: 'foo', password: legacyHash(uc, 'abcd')}
+				, md5 = require('crypto').createHash('md5').update(user.username + user.password).digest('hex')
+				, s = session({id: 'sid', path: '/users', uid: '123', userhash: md5})
+				, userhash = uc.getUserAndPasswordHash(user);
+
+			uc.store = {
+				find: function(query, fn) { fn(null, {id: '123', username: 'foo', password: user.password}); }
+			};
+			uc.handleSession({session: s, res: {}}, function(err) {
+				expect(s.user).to.eql({id: '123', username: 'foo', roles: []});
+				expect(s.data.userhash).to.equal(userhash);
+				done(err);
+			});
+		});
+
+		it('should upgrade a legacy hash on login', function(done) {
+			var uc = new UserCollection('users', {config: {properties: {}, passwordHash: {cost: 1024}}})
+				, user = {id: '123', username: 'foo', password: legacyHash(uc, 'abcd')}
+				, userhash = uc.getUserAndPasswordHash(user)
+				, saved;
+
+			uc.loginFindUser = function(ctx, fn) {
+				fn(null, user);
+			};
+			uc.store = {
+				update: function(query, object, fn) {
+					expect(query).to.eql({id: '123'});
+					saved = object.password;
+					fn();
+				}
+			};
+
+			uc.handleLogin({
+				req: {body: {username: 'foo', password: 'abcd'}},
+				res: {},
+				session: {
+					set: function(changes) {
+						// other sessions of the user stay valid
+						expect(changes.userhash).to.equal(userhash);
+						expect(changes.userhash).to.equal(uc.getUserAndPasswordHash({username: 'foo', password: saved}));
+						return this;
+					},
+					save: function(fn) {
+						fn(null, {path: '/users', uid: '123', id: 'abc'});
+					}
+				},
+				done: function(err, res) {
+					expect(err).to.not.exist;
+					expect(res).to.eql({path: '/users', uid: '123', id: 'abc'});
+					expect(saved).to.match(/^\$scrypt\$N=1024,r=8,p=1\$/);
+					uc.checkHash(uc, {password: saved}, {password: 'abcd'}, function(err, valid) {
+						expect(valid).to.equal(true);
+						done(err);
+					});
+				}
+			});
+		});
+
+		it('should not rehash current hashes on login', function(done) {
+			var uc = new UserCollection('users', {config: {properties: {}, passwordHash: {cost: 1024}}});
+
+			uc.hashPassword('abcd', function(err, hash) {
+				var user = {id: '123', username: 'foo', password: hash};
+
+				uc.loginFindUser = function(ctx, fn) {
+					fn(null, user);
+				};
+				uc.store = {
+					update: function() {
+						throw new Error('should not update the user');
+					}
+				};
+
+				uc.handleLogin({
+					req: {body: {username: 'foo', password: 'abcd'}},
+					res: {},
+					session: {
+						set: function() { return this; },
+						save: function(fn) {
+							fn(null, {path: '/users', uid: '123', id: 'abc'});
+						}
+					},
+					done: function(err) {
+						expect(err).to.not.exist;
+						done();
+					}
+				});
+			});
+		});
+	});
+
+	describe('login throttling', function() {
+		beforeEach(function(done) {
+			var uc = this.uc = new UserCollection('users', {config: {properties: {}, passwordHash: {cost: 1024}, loginThrottle: {delay: 0, attempts: 3}}});
+			uc.loginStore = memoryStore();
+			uc.loginFindUser = function(ctx, fn) {
+				fn(null, uc.user);
+			};
+			uc.events = {
+				Login: {
+					run: function(ctx, domain, fn) {
+						uc.lastDomain = domain;
+						fn();
+					}
+				}
+			};
+			uc.hashPassword('abcd', function(err, hash) {
+				uc.user = {id: '123', username: 'foo', password: hash};
+				done(err);
+			});
+		});
+
+		function login(uc, password, fn) {
+			var headers = {}
+				, ctx = {
+					req: {body: {username: 'foo', password: password}, connection: {remoteAddress: '10.0.0.1'}},
+					res: {setHeader: function(k, v) { headers[k] = v; }},
+					session: {
+						set: function() { return this; },
+						save: function(fn) { fn(null, {path: '/users', uid: '123', id: 'abc'}); }
+					},
+					done: function(err, res) {
+						fn(err, ctx.res.statusCode, headers, res);
+					}
+				};
+			uc.handleLogin(ctx);
+		}
+
+		it('should lock a username out after too many failures', function(done) {
+			var uc = this.uc;
+			login(uc, 'wrong', function(err, status) {
+				expect(status).to.equal(401);
+				expect(uc.lastDomain.locked).to.equal(false);
+				login(uc, 'wrong', function() {
+					login(uc, 'wrong', function(err, status) {
+						expect(status).to.equal(401);
+						expect(uc.lastDomain.locked).to.equal(true);
+						login(uc, 'abcd', function(err, status, headers) {
+							expect(err).to.equal('too many failed login attempts, try again later');
+							expect(status).to.equal(429);
+							expect(headers['Retry-After']).to.equal('900');
+							expect(uc.lastDomain.locked).to.equal(true);
+							expect(uc.lastDomain.success).to.equal(false);
+							done();
+						});
+					});
+				});
+			});
+		});
+
+		it('should back off exponentially between failures', function(done) {
+			var uc = this.uc;
+			uc.config.loginThrottle.delay = 2;
+			login(uc, 'wrong', function() {
+				login(uc, 'abcd', function(err, status, headers) {
+					expect(status).to.equal(429);
+					expect(headers['Retry-After']).to.equal('2');
+					uc.loginStore.records.forEach(function(r) { r.lastFailure -= 2000; });
+					login(uc, 'wrong', function() {
+						login(uc, 'abcd', function(err, status, headers) {
+							expect(headers['Retry-After']).to.equal('4');
+							expect(uc.lastDomain.locked).to.equal(false);
+							done();
+						});
+					});
+				});
+			});
+		});
+
+		it('should count failures per client address', function(done) {
+			var uc = this.uc;
+			login(uc, 'wrong', function() {
+				var keys = uc.loginStore.records.map(function(r) { return r.key; });
+				expect(keys).to.eql(['username:foo', 'ip:10.0.0.1']);
+				done();
+			});
+		});
+
+		it('should let the store expire failures once they are forgotten', function(done) {
+			var uc = this.uc
+				, indexes = [];
+			new UserCollection('users', {db: {createStore: function() {
+				return {ensureIndex: function(fields, options) { indexes.push([fields, options]); }};
+			}}, config: {properties: {}}});
+			expect(indexes).to.eql([[{expires: 1}, {expireAfterSeconds: 0}]]);
+
+			login(uc, 'wrong', function() {
+				uc.loginStore.records.forEach(function(r) {
+					expect(r.expires.getTime()).to.be.closeTo(Date.now() + 900 * 1000, 1000);
+				});
+				done();
+			});
+		});
+
+		it('should forget the failures of a username on login', function(done) {
+			var uc = this.uc;
+			login(uc, 'wrong', function() {
+				login(uc, 'abcd', function(err, status, headers, res) {
+					expect(err).to.not.exist;
+					expect(res).to.eql({path: '/users', id: 'abc', uid: '123'});
+					expect(uc.lastDomain).to.contain({success: true, locked: false});
+					expect(uc.loginStore.records.map(function(r) { return r.key; })).to.eql(['ip:10.0.0.1']);
+					done();
+				});
+			});
+		});
+
+		it('should not use a store when turned off', function() {
+			var uc = new UserCollection('users', {db: {createStore: function() { return {}; }}, config: {properties: {}, loginThrottle: false}});
+			expect(uc.loginStore).to.not.exist;
+			expect(uc.loginThrottleOptions()).to.equal(null);
+		});
+	});
+
+	describe('tokens', function() {
+		beforeEach(function(done) {
+			var uc = this.uc = new UserCollection('users', {config: {properties: {}, passwordHash: {cost: 1024}}});
+			uc.store = memoryStore();
+			uc.tokenStore = memoryStore();
+			uc.sent = [];
+			uc.events = {
+				SendToken: {
+					run: function(ctx, domain, fn) {
+						uc.sent.push(domain);
+						fn();
+					}
+				}
+			};
+			uc.hashPassword('abcd', function(err, hash) {
+				uc.store.insert({username: 'foo', password: hash}, done);
+			});
+		});
+
+		function post(uc, url, body, fn) {
+			uc.handle({
+				url: url,
+				req: {method: 'POST', connection: {remoteAddress: '10.0.0.1'}},
+				res: {},
+				query: {},
+				body: body,
+				session: {},
+				done: fn
+			});
+		}
+
+		it('should send a reset token and only store its hash', function(done) {
+			var uc = this.uc;
+			post(uc, '/forgot-password', {username: 'foo'}, function(err, res) {
+				expect(err).to.not.exist;
+				expect(res).to.eql({});
+				expect(uc.sent.length).to.equal(1);
+				expect(uc.sent[0].type).to.equal('reset');
+				expect(uc.sent[0].me).to.eql({id: '1', username: 'foo'});
+				expect(uc.sent[0].expires.getTime()).to.be.closeTo(Date.now() + 3600 * 1000, 1000);
+
+				var record = uc.tokenStore.records[0];
+				expect(record).to.contain({type: 'reset', userId: '1'});
+				expect(record.hash).to.not.equal(uc.sent[0].token);
+				expect(JSON.stringify(record)).to.not.contain(uc.sent[0].token);
+				done();
+			});
+		});
+
+		it('should not tell whether a username exists', function(done) {
+			var uc = this.uc;
+			post(uc, '/forgot-password', {username: 'bar'}, function(err, res) {
+				expect(err).to.not.exist;
+				expect(res).to.eql({});
+				expect(uc.sent.length).to.equal(0);
+				done();
+			});
+		});
+
+		it('should reset the password with a token only once', function(done) {
+			var uc = this.uc;
+			post(uc, '/forgot-password', {username: 'foo'}, function() {
+				var token = uc.sent[0].token;
+				post(uc, '/reset-password', {token: token, password: 'efgh'}, function(err, res) {
+					expect(err).to.not.exist;
+					expect(res).to.eql({});
+					uc.checkHash(uc, uc.store.records[0], {password: 'efgh'}, function(err, valid) {
+						expect(valid).to.equal(true);
+						post(uc, '/reset-password', {token: token, password: 'ijkl'}, function(err) {
+							expect(err).to.eql({statusCode: 400, message: 'invalid or expired token'});
+							uc.checkHash(uc, uc.store.records[0], {password: 'efgh'}, function(err, valid) {
+								expect(valid).to.equal(true);
+								done(err);
+							});
+						});
+					});
+				});
+			});
+		});
+
+		it('should forget failed logins once the password is reset', function(done) {
+			var uc = this.uc;
+			uc.loginStore = memoryStore();
+			uc.loginStore.insert({key: 'username:foo', failures: 5, lastFailure: Date.now(), lockedUntil: Date.now() + 900 * 1000}, function() {
+				post(uc, '/forgot-password', {username: 'foo'}, function() {
+					post(uc, '/reset-password', {token: uc.sent[0].token, password: 'efgh'}, function(err, res) {
+						expect(res).to.eql({});
+						expect(uc.loginStore.records.map(function(r) { return r.key; })).to.eql(['reset:foo', 'reset-ip:10.0.0.1']);
+						done(err);
+					});
+				});
+			});
+		});
+
+		it('should throttle password reset requests', function(done) {
+			var uc = this.uc;
+			uc.loginStore = memoryStore();
+			uc.config.loginThrottle = {delay: 60};
+			post(uc, '/forgot-password', {username: 'foo'}, function(err) {
+				expect(err).to.not.exist;
+				post(uc, '/forgot-password', {username: 'foo'}, function(err) {
+					expect(err).to.eql({statusCode: 429, message: 'too many password reset requests, try again later'});
+					expect(uc.sent.length).to.equal(1);
+					done();
+				});
+			});
+		});
+
+		it('should count reset requests apart from failed logins', function(done) {
+			var uc = this.uc;
+			uc.loginStore = memoryStore();
+			uc.config.loginThrottle = {delay: 0, attempts: 2, ipAttempts: 2};
+			uc.loginStore.insert({key: 'ip:10.0.0.1', failures: 2, lastFailure: Date.now(), lockedUntil: Date.now() + 900 * 1000}, function() {
+				post(uc, '/forgot-password', {username: 'foo'}, function(err) {
+					expect(err).to.not.exist;
+					post(uc, '/forgot-password', {username: 'foo'}, function(err) {
+						expect(err).to.not.exist;
+						// once the address may log in again, the reset requests do not hold it back
+						uc.loginStore.records.shift();
+						uc.checkLoginThrottle({req: {connection: {remoteAddress: '10.0.0.1'}}}, 'foo', function(err, throttle) {
+							expect(throttle).to.eql({retryAfter: 0, locked: false});
+							done(err);
+						});
+					});
+				});
+			});
+		});
+
+		it('should reject expired tokens', function(done) {
+			var uc = this.uc;
+			post(uc, '/forgot-password', {username: 'foo'}, function() {
+				uc.tokenStore.records[0].expiresAt = Date.now() - 1;
+				post(uc, '/reset-password', {token: uc.sent[0].token, password: 'efgh'}, function(err) {
+					expect(err).to.eql({statusCode: 400, message: 'invalid or expired token'});
+					done();
+				});
+			});
+		});
+
+		it('should replace tokens sent before', function(done) {
+			var uc = this.uc;
+			post(uc, '/forgot-password', {username: 'foo'}, function() {
+				post(uc, '/forgot-password', {username: 'foo'}, function() {
+					expect(uc.tokenStore.records.length).to.equal(1);
+					post(uc, '/reset-password', {token: uc.sent[0].token, password: 'efgh'}, function(err) {
+						expect(err).to.eql({statusCode: 400, message: 'invalid or expired token'});
+						done();
+					});
+				});
+			});
+		});
+
+		it('should verify a user with a token', function(done) {
+			var uc = this.uc;
+			post(uc, '/resend-verification', {username: 'foo'}, function(err) {
+				expect(err).to.not.exist;
+				expect(uc.sent[0].type).to.equal('verify');
+				post(uc, '/reset-password', {token: uc.sent[0].token, password: 'efgh'}, function(err) {
+					expect(err).to.eql({statusCode: 400, message: 'invalid or expired token'});
+					post(uc, '/verify-email', {token: uc.sent[0].token}, function(err) {
+						expect(err).to.not.exist;
+						expect(uc.store.records[0].verified).to.equal(true);
+						post(uc, '/resend-verification', {username: 'foo'}, function() {
+							expect(uc.sent.length).to.equal(1);
+							done();
+						});
+					});
+				});
+			});
+		});
+
+		it('should send a verification token when a user signs up', function(done) {
+			var uc = this.uc;
+			uc.save = function(ctx, fn) {
+				fn(null, {id: '2', username: 'bar'});
+			};
+			post(uc, '/', {username: 'bar', password: 'abcd'}, function(err, res) {
+				expect(err).to.not.exist;
+				expect(res).to.eql({id: '2', username: 'bar'});
+				expect(uc.sent.length).to.equal(1);
+				expect(uc.sent[0]).to.contain({type: 'verify'});
+				expect(uc.tokenStore.records[0].userId).to.equal('2');
+				done();
+			});
+		});
+	});
+
+	describe('two-factor authentication', function() {
+		beforeEach(function(done) {
+			var uc = this.uc = new UserCollection('users', {config: {properties: {}, passwordHash: {cost: 1024}, twoFactorIssuer: 'Test'}});
+			uc.store = memoryStore();
+			uc.twoFactorStore = memoryStore();
+			uc.events = {};
+			uc.hashPassword('abcd', function(err, hash) {
+				uc.store.insert({username: 'foo', password: hash}, function(err, user) {
+					uc.user = user;
+					done(err);
+				});
+			});
+		});
+
+		function post(uc, url, body, session, fn) {
+			uc.handle({url: url, req: {method: 'POST', body: body}, res: {}, query: {}, body: body, session: session, done: fn});
+		}
+
+		function enroll(uc, fn) {
+			var s = session();
+			s.user = {id: uc.user.id, username: 'foo'};
+			post(uc, '/2fa/enroll', {}, s, function(err, res) {
+				expect(err).to.not.exist;
+				post(uc, '/2fa/confirm', {code: totp.code(res.secret, totp.step())}, s, function(err, confirmed) {
+					expect(err).to.not.exist;
+					fn(res, confirmed.recoveryCodes);
+				});
+			});
+		}
+
+		it('should enroll and confirm a secret', function(done) {
+			var uc = this.uc
+				, s = session();
+			s.user = {id: uc.user.id, username: 'foo'};
+			post(uc, '/2fa/enroll', {}, s, function(err, res) {
+				expect(err).to.not.exist;
+				expect(res.uri).to.equal('otpauth://totp/Test%3Afoo?secret=' + res.secret + '&issuer=Test');
+				post(uc, '/2fa/confirm', {code: '000000'}, s, function(err) {
+					expect(err).to.eql({statusCode: 400, message: 'invalid code'});
+					post(uc, '/2fa/confirm', {code: totp.code(res.secret, totp.step())}, s, function(err, confirmed) {
+						expect(err).to.not.exist;
+						expect(confirmed.recoveryCodes).to.have.length(10);
+						expect(uc.twoFactorStore.records[0].recoveryCodes).to.not.contain(confirmed.recoveryCodes[0]);
+						post(uc, '/2fa/enroll', {}, s, function(err) {
+							expect(err).to.eql({statusCode: 409, message: 'two-factor authentication is already enabled'});
+							done();
+						});
+					});
+				});
+			});
+		});
+
+		it('should only start a login until a code is given', function(done) {
+			var uc = this.uc;
+			enroll(uc, function(secret) {
+				var s = session();
+				post(uc, '/login', {username: 'foo', password: 'abcd'}, s, function(err, res) {
+					expect(err).to.not.exist;
+					expect(res).to.eql({path: '/users', id: 'sid', twoFactor: true});
+					expect(s.data.uid).to.equal(null);
+
+					// the code used to confirm cannot be used again
+					var code = totp.code(secret.secret, uc.twoFactorStore.records[0].lastStep);
+					post(uc, '/login/2fa', {code: code}, s, function(err) {
+						expect(err).to.eql({statusCode: 401, message: 'invalid code'});
+						uc.twoFactorStore.records[0].lastStep--;
+						post(uc, '/login/2fa', {code: code}, s, function(err, res) {
+							expect(err).to.not.exist;
+							expect(res).to.eql({path: '/users', id: 'sid', uid: uc.user.id});
+							expect(s.data.userhash).to.equal(uc.getUserAndPasswordHash(uc.user));
+							expect(s.data.twoFactor).to.equal(null);
+							done();
+						});
+					});
+				});
+			});
+		});
+
+		it('should accept each recovery code once', function(done) {
+			var uc = this.uc;
+			enroll(uc, function(secret, codes) {
+				var s = session();
+				post(uc, '/login', {username: 'foo', password: 'abcd'}, s, function() {
+					post(uc, '/login/2fa', {recoveryCode: codes[3]}, s, function(err, res) {
+						expect(err).to.not.exist;
+						expect(res.uid).to.equal(uc.user.id);
+						expect(uc.twoFactorStore.records[0].recoveryCodes).to.have.length(9);
+
+						var again = session();
+						post(uc, '/login', {username: 'foo', password: 'abcd'}, again, function() {
+							post(uc, '/login/2fa', {recoveryCode: codes[3]}, again, function(err) {
+								expect(err).to.eql({statusCode: 401, message: 'invalid code'});
+								done();
+							});
+						});
+					});
+				});
+			});
+		});
+
+		it('should end the login after too many wrong codes', function(done) {
+			var uc = this.uc;
+			enroll(uc, function() {
+				var s = session()
+					, attempts = 0;
+				post(uc, '/login', {username: 'foo', password: 'abcd'}, s, function next() {
+					if (attempts++ < 5) return post(uc, '/login/2fa', {code: '000000'}, s, next);
+					expect(s.data.twoFactor).to.equal(null);
+					post(uc, '/login/2fa', {code: '000000'}, s, function(err) {
+						expect(err).to.eql({statusCode: 401, message: 'no login is waiting for a second factor'});
+						done();
+					});
+				});
+			});
+		});
+
+		it('should count wrong codes as failed logins of the user', function(done) {
+			var uc = this.uc
+				, attempts = 0;
+			uc.loginStore = memoryStore();
+			uc.config.loginThrottle = {delay: 0, attempts: 3};
+			enroll(uc, function() {
+				var s;
+				(function attempt() {
+					// every login starts with a new session
+					s = session();
+					post(uc, '/login', {username: 'foo', password: 'abcd'}, s, function(err, res) {
+						if (attempts++ === 3) {
+							expect(err).to.equal('too many failed login attempts, try again later');
+							return done();
+						}
+						expect(res.twoFactor).to.equal(true);
+						post(uc, '/login/2fa', {code: '000000'}, s, function(err) {
+							expect(err).to.eql({statusCode: 401, message: 'invalid code'});
+							expect(uc.loginStore.records[0]).to.contain({key: 'username:foo', failures: attempts});
+							attempt();
+						});
+					});
+				})();
+			});
+		});
+
+		it('should not take codes while the user is locked out', function(done) {
+			var uc = this.uc;
+			uc.loginStore = memoryStore();
+			enroll(uc, function(secret) {
+				var s = session();
+				post(uc, '/login', {username: 'foo', password: 'abcd'}, s, function() {
+					uc.loginStore.insert({key: 'username:foo', failures: 5, lastFailure: Date.now(), lockedUntil: Date.now() + 900 * 1000}, function() {
+						uc.twoFactorStore.records[0].lastStep--;
+						post(uc, '/login/2fa', {code: totp.code(secret.secret, totp.step())}, s, function(err) {
+							expect(err).to.eql({statusCode: 429, message: 'too many failed login attempts, try again later'});
+							expect(s.data.uid).to.equal(null);
+							done();
+						});
+					});
+				});
+			});
+		});
+
+		it('should only let root reset it', function(done) {
+			var uc = this.uc;
+			enroll(uc, function() {
+				var ctx = {url: '/' + uc.user.id + '/2fa', req: {method: 'DELETE'}, res: {}, query: {}, session: {}};
+				ctx.done = function(err) {
+					expect(err).to.eql({statusCode: 403, message: 'Must be root to reset two-factor authentication'});
+					ctx.session.isRoot = true;
+					ctx.done = function(err) {
+						expect(err).to.not.exist;
+						expect(uc.twoFactorStore.records).to.have.length(0);
+						post(uc, '/login', {username: 'foo', password: 'abcd'}, session(), function(err, res) {
+							expect(res.uid).to.equal(uc.user.id);
+							done();
+						});
+					};
+					uc.handle(ctx);
+				};
+				uc.handle(ctx);
+			});
+		});
+	});
+
+	describe('access tokens', function() {
+		beforeEach(function(done) {
+			var uc = this.uc = new UserCollection('users', {config: {properties: {}, passwordHash: {cost: 1024}, jwt: {secret: 'secret', claims: ['name', 'password']}}});
+			uc.store = memoryStore();
+			uc.tokenStore = memoryStore();
+			uc.events = {};
+			uc.hashPassword('abcd', function(err, hash) {
+				uc.store.insert({username: 'foo', name: 'Foo', roles: ['admin'], password: hash}, function(err, user) {
+					uc.user = user;
+					done(err);
+				});
+			});
+		});
+
+		function post(uc, url, body, fn) {
+			var session = {
+				data: {},
+				set: function() { throw new Error('should not use a session'); },
+				remove: function(fn) { fn(); }
+			};
+			uc.handle({url: url, req: {method: 'POST', body: body}, res: {}, query: {}, body: body, session: session, done: fn});
+		}
+
+		function login(uc, fn) {
+			post(uc, '/login', {username: 'foo', password: 'abcd'}, fn);
+		}
+
+		it('should require a secret', function() {
+			expect(function() {
+				new UserCollection('users', {config: {properties: {}, jwt: {}}});
+			}).to.throw(/config.jwt needs a secret/);
+		});
+
+		it('should issue tokens instead of a session on login', function(done) {
+			var uc = this.uc;
+			login(uc, function(err, res) {
+				expect(err).to.not.exist;
+				expect(res).to.contain({path: '/users', uid: uc.user.id, tokenType: 'Bearer', expiresIn: 900});
+				expect(uc.verifyAccessToken(res.accessToken)).to.eql({id: uc.user.id, username: 'foo', name: 'Foo', roles: ['admin']});
+				expect(uc.tokenStore.records[0].hash).to.not.equal(res.refreshToken);
+				done();
+			});
+		});
+
+		it('should rotate refresh tokens', function(done) {
+			var uc = this.uc;
+			login(uc, function(err, first) {
+				post(uc, '/refresh', {refreshToken: first.refreshToken}, function(err, second) {
+					expect(err).to.not.exist;
+					expect(second.refreshToken).to.not.equal(first.refreshToken);
+					expect(uc.verifyAccessToken(second.accessToken).id).to.equal(uc.user.id);
+
+					// using the first token again revokes the second one too
+					post(uc, '/refresh', {refreshToken: first.refreshToken}, function(err) {
+						expect(err).to.eql({statusCode: 401, message: 'invalid or expired refresh token'});
+						post(uc, '/refresh', {refreshToken: second.refreshToken}, function(err) {
+							expect(err).to.eql({statusCode: 401, message: 'invalid or expired refresh token'});
+							done();
+						});
+					});
+				});
+			});
+		});
+
+		it('should let only one of two parallel refreshes use the token', function(done) {
+			var uc = this.uc
+				, first = uc.tokenStore.first
+				, results = [];
+
+			// both requests find the token before either marks it used
+			uc.tokenStore.first = function(query, fn) {
+				first.call(this, query, function(err, record) {
+					setImmediate(fn, err, record);
+				});
+			};
+
+			login(uc, function(err, res) {
+				function refreshed(err, tokens) {
+					results.push(err || tokens);
+					if (results.length < 2) return;
+					expect(results[0].refreshToken).to.be.a('string');
+					expect(results[1]).to.eql({statusCode: 401, message: 'invalid or expired refresh token'});
+					// the reuse revoked the tokens of the whole login
+					expect(uc.tokenStore.records.filter(function(r) { return r.type === 'refresh'; })).to.eql([]);
+					done();
+				}
+
+				post(uc, '/refresh', {refreshToken: res.refreshToken}, refreshed);
+				post(uc, '/refresh', {refreshToken: res.refreshToken}, refreshed);
+			});
+		});
+
+		it('should end refresh tokens when the password changes', function(done) {
+			var uc = this.uc;
+			login(uc, function(err, res) {
+				uc.hashPassword('efgh', function(err, hash) {
+					uc.store.records[0].password = hash;
+					post(uc, '/refresh', {refreshToken: res.refreshToken}, function(err) {
+						expect(err).to.eql({statusCode: 401, message: 'invalid or expired refresh token'});
+						done();
+					});
+				});
+			});
+		});
+
+		it('should revoke the refresh token on logout', function(done) {
+			var uc = this.uc;
+			uc.doBeforeRequestEvent = function(ctx, domain, fn) { fn(); };
+			login(uc, function(err, res) {
+				post(uc, '/logout', {refreshToken: res.refreshToken}, function(err) {
+					expect(err).to.not.exist;
+					expect(uc.tokenStore.records).to.have.length(0);
+					done();
+				});
+			});
+		});
+
+		it('should not read the user of sessions from access tokens', function(done) {
+			var uc = this.uc
+				, session = {claims: {sub: '1'}, data: {path: '/users', uid: '1'}, user: {id: '1'}};
+			uc.store.find = function() { throw new Error('should not read the user'); };
+			uc.handleSession({session: session, res: {}}, function(err) {
+				expect(err).to.not.exist;
+				expect(session.user).to.eql({id: '1'});
+				done();
+			});
+		});
+	});
+
+	describe('OpenID Connect', function() {
+		var crypto = require('crypto')
+			, qs = require('querystring');
+
+		// an identity provider issuing RS256 ID tokens, checking PKCE and client credentials
+		before(function(done) {
+			var idp = this.idp = {codes: {}, claims: {}}
+				, keys = crypto.generateKeyPairSync('rsa', {modulusLength: 2048})
+				, jwk = keys.publicKey.export({format: 'jwk'});
+
+			jwk.kid = 'key-1';
+			jwk.use = 'sig';
+
+			function json(res, status, body) {
+				res.writeHead(status, {'Content-Type': 'application/json'});
+				res.end(JSON.stringify(body));
+			}
+
+			function sign(claims) {
+				var body = Buffer.from(JSON.stringify({alg: 'RS256', typ: 'JWT', kid: 'key-1'})).toString('base64url') + '.' +
+					Buffer.from(JSON.stringify(claims)).toString('base64url');
+				return body + '.' + crypto.sign('sha256', Buffer.from(body), keys.privateKey).toString('base64url');
+			}
+
+			// what the provider does once the user logged in: remember the request, hand out a code
+			idp.authorize = function(location) {
+				var params = qs.parse(location.split('?')[1])
+					, code = crypto.randomBytes(8).toString('hex');
+				idp.codes[code] = params;
+				return code;
+			};
+
+			idp.server = http.createServer(function(req, res) {
+				var body = '';
+				req.on('data', function(chunk) { body += chunk; });
+				req.on('end', function() {
+					if (req.url === '/.well-known/openid-configuration') {
+						return json(res, 200, {
+							issuer: idp.issuer,
+							authorization_endpoint: idp.issuer + '/authorize',
+							token_endpoint: idp.issuer + '/token',
+							jwks_uri: idp.issuer + '/jwks'
+						});
+					}
+					if (req.url === '/jwks') return json(res, 200, {keys: [jwk]});
+
+					var params = qs.parse(body)
+						, request = idp.codes[params.code]
+						, claims = {iss: idp.issuer, aud: 'client', sub: 'alice', email: 'alice@example.com', email_verified: true};
+
+					delete idp.codes[params.code];
+					if (req.headers.authorization !== 'Basic ' + Buffer.from('client:shh').toString('base64')) {
+						return json(res, 401, {error: 'invalid_client'});
+					}
+					if (!request || crypto.createHash('sha256').update(params.code_verifier || '').digest('base64url') !== request.code_challenge) {
+						return json(res, 400, {error: 'invalid_grant'});
+					}
+
+					claims.nonce = request.nonce;
+					claims.iat = Math.floor(Date.now() / 1000);
+					claims.exp = claims.iat + 60;
+					Object.keys(idp.claims).forEach(function(k) { claims[k] = idp.claims[k]; });
+					json(res, 200, {access_token: 'at', token_type: 'Bearer', id_token: sign(claims)});
+				});
+			});
+			idp.server.listen(0, '127.0.0.1', function() {
+				idp.issuer = 'http://127.0.0.1:' + idp.server.address().port;
+				done();
+			});
+		});
+
+		after(function(done) {
+			this.idp.server.close(done);
+		});
+
+		beforeEach(function() {
+			var uc = this.uc = new UserCollection('users', {config: {properties: {}, passwordHash: {cost: 1024}, oidc: {
+				corp: {issuer: this.idp.issuer, clientId: 'client', clientSecret: 'shh', redirectUri: 'http://localhost/users/auth/corp/callback'}
+			}}});
+			uc.store = memoryStore();
+			uc.identityStore = memoryStore();
+			uc.events = {};
+			this.idp.claims = {};
+		});
+
+		function get(uc, url, query, session, fn) {
+			var headers = {}
+				, res = {setHeader: function(k, v) { headers[k] = v; }};
+			uc.handle({url: url, req: {method: 'GET'}, res: res, query: query, session: session, done: function(err, result) {
+				fn(err, result, res.statusCode, headers.Location);
+			}});
+		}
+
+		// log in at the provider, and come back to the callback
+		function login(test, s, fn) {
+			get(test.uc, '/auth/corp', {}, s, function(err, res, status, location) {
+				expect(err).to.not.exist;
+				expect(status).to.equal(302);
+				var code = test.idp.authorize(location);
+				get(test.uc, '/auth/corp/callback', {code: code, state: qs.parse(location.split('?')[1]).state}, s, fn);
+			});
+		}
+
+		it('should need an issuer, client id and redirect uri', function() {
+			expect(function() {
+				new UserCollection('users', {config: {properties: {}, oidc: {corp: {issuer: 'https://example.com'}}}});
+			}).to.throw(/config.oidc.corp needs an issuer/);
+		});
+
+		it('should redirect to the provider with a PKCE challenge', function(done) {
+			var s = session()
+				, idp = this.idp;
+			get(this.uc, '/auth/corp', {}, s, function(err, res, status, location) {
+				var params = qs.parse(location.split('?')[1]);
+				expect(location.indexOf(idp.issuer + '/authorize?')).to.equal(0);
+				expect(params).to.contain({response_type: 'code', client_id: 'client', scope: 'openid email profile', code_challenge_method: 'S256'});
+				expect(params.redirect_uri).to.equal('http://localhost/users/auth/corp/callback');
+				expect(params.state).to.equal(s.data.oidc.state);
+				expect(params.nonce).to.equal(s.data.oidc.nonce);
+				expect(params.code_challenge).to.equal(crypto.createHash('sha256').update(s.data.oidc.verifier).digest('base64url'));
+				done();
+			});
+		});
+
+		it('should create a user and log them in', function(done) {
+			var uc = this.uc
+				, s = session();
+			login(this, s, function(err, res) {
+				expect(err).to.not.exist;
+				var user = uc.store.records[0];
+				expect(user).to.contain({username: 'alice@example.com', verified: true});
+				expect(res).to.eql({path: '/users', id: 'sid', uid: user.id});
+				expect(s.data).to.contain({uid: user.id, userhash: uc.getUserAndPasswordHash(user), oidc: null});
+				expect(uc.identityStore.records[0]).to.contain({provider: 'corp', subject: 'alice', userId: user.id});
+				done();
+			});
+		});
+
+		it('should log in the linked user again', function(done) {
+			var test = this
+				, uc = this.uc;
+			login(test, session(), function(err, first) {
+				uc.store.records[0].username = 'alice';
+				login(test, session(), function(err, second) {
+					expect(err).to.not.exist;
+					expect(second.uid).to.equal(first.uid);
+					expect(uc.store.records).to.have.length(1);
+					done();
+				});
+			});
+		});
+
+		it('should link the provider to the logged in user', function(done) {
+			var test = this
+				, uc = this.uc;
+			uc.hashPassword('abcd', function(err, hash) {
+				uc.store.insert({username: 'alice@example.com', password: hash}, function(err, user) {
+					login(test, session(), function(err) {
+						expect(err).to.eql({statusCode: 409, message: 'log in as alice@example.com to link your corp account'});
+						var s = session({path: '/users', uid: user.id});
+						s.user = {id: user.id, username: 'alice@example.com'};
+						login(test, s, function(err, res) {
+							expect(err).to.not.exist;
+							expect(res.uid).to.equal(user.id);
+							expect(uc.identityStore.records[0].userId).to.equal(user.id);
+							done();
+						});
+					});
+				});
+			});
+		});
+
+		it('should only accept the state it sent, once', function(done) {
+			var test = this
+				, s = session();
+			get(test.uc, '/auth/corp', {}, s, function(err, res, status, location) {
+				var state = qs.parse(location.split('?')[1]).state;
+				get(test.uc, '/auth/corp/callback', {code: test.idp.authorize(location), state: 'forged'}, s, function(err) {
+					expect(err).to.eql({statusCode: 401, message: 'no login is waiting for corp'});
+					get(test.uc, '/auth/corp/callback', {code: test.idp.authorize(location), state: state}, s, function(err) {
+						expect(err).to.not.exist;
+						get(test.uc, '/auth/corp/callback', {code: test.idp.authorize(location), state: state}, s, function(err) {
+							expect(err).to.eql({statusCode: 401, message: 'no login is waiting for corp'});
+							done();
+						});
+					});
+				});
+			});
+		});
+
+		it('should reject ID tokens for other clients, with another nonce or expired', function(done) {
+			var test = this
+				, now = Math.floor(Date.now() / 1000)
+				, cases = [{aud: 'other'}, {nonce: 'other'}, {iss: 'https://evil.example.com'}, {exp: now - 120}];
+
+			(function next() {
+				if (!cases.length) {
+					expect(test.uc.store.records).to.have.length(0);
+					return done();
+				}
+				test.idp.claims = cases.shift();
+				login(test, session(), function(err) {
+					expect(err).to.eql({statusCode: 401, message: 'invalid ID token'});
+					next();
+				});
+			})();
+		});
+
+		it('should redirect with the response when configured to', function(done) {
+			var test = this;
+			test.uc.config.oidc.corp.redirect = '/welcome';
+			login(test, session(), function(err, res, status, location) {
+				expect(err).to.not.exist;
+				expect(status).to.equal(302);
+				expect(location).to.equal('/welcome#' + qs.stringify({path: '/users', id: 'sid', uid: test.uc.store.records[0].id}));
+				done();
+			});
+		});
+
+		it('should respond with a 404 for unknown providers', function(done) {
+			get(this.uc, '/auth/other', {}, session(), function(err) {
+				expect(err).to.eql({statusCode: 404, message: 'unknown identity provider other'});
+				done();
+			});
+		});
+	});
+
+	describe('sessions', function() {
+		beforeEach(function(done) {
+			var uc = this.uc = new UserCollection('users', {config: {properties: {}, passwordHash: {cost: 1024}}})
+				, sessions = this.sessions = [];
+
+			uc.store = memoryStore();
+			uc.events = {};
+			// a session store that keeps the data of its sessions in `sessions`
+			this.store = {
+				getUserSessions: function(uid, fn) {
+					fn(null, sessions.filter(function(s) { return s.uid === uid; }));
+				},
+				removeSession: function(data, fn) {
+					sessions.splice(sessions.indexOf(data), 1);
+					fn();
+				},
+				removeUserSessions: function(uid, fn) {
+					sessions.splice.apply(sessions, [0, sessions.length].concat(sessions.filter(function(s) { return s.uid !== uid; })));
+					fn();
+				}
+			};
+			uc.hashPassword('abcd', function(err, hash) {
+				uc.store.insert({username: 'foo', password: hash}, function(err, user) {
+					uc.user = user;
+					sessions.push(
+						{id: 'sid', path: '/users', uid: user.id, createdOn: 1, lastActive: 3, userAgent: 'Firefox', ip: '10.0.0.1'},
+						{id: 'other', path: '/users', uid: user.id, createdOn: 2, lastActive: 4, userAgent: 'curl', ip: '10.0.0.2'},
+						{id: 'admin', path: '/admins', uid: user.id, createdOn: 2, lastActive: 4}
+					);
+					done(err);
+				});
+			});
+		});
+
+		function request(test, method, url, fn) {
+			var s = session({id: 'sid', path: '/users', uid: test.uc.user.id})
+				, cleared = false;
+			s.user = {id: test.uc.user.id, username: 'foo'};
+			s.store = test.store;
+			test.uc.handle({url: url, req: {method: method}, res: {cookies: {set: function(name, value) { cleared = name === 'sid' && value === null; }}}, query: {}, session: s, done: function(err, res) {
+				fn(err, res, cleared);
+			}});
+		}
+
+		function hash(sid) {
+			return require('crypto').createHash('sha256').update(sid).digest('hex');
+		}
+
+		it('should keep the user agent and address of a login', function(done) {
+			var uc = this.uc
+				, s = session();
+			uc.handle({url: '/login', req: {method: 'POST', body: {username: 'foo', password: 'abcd'}, headers: {'user-agent': 'Firefox'}, connection: {remoteAddress: '10.0.0.1'}}, res: {}, query: {}, body: {username: 'foo', password: 'abcd'}, session: s, done: function(err) {
+				expect(err).to.not.exist;
+				expect(s.data).to.contain({uid: uc.user.id, userAgent: 'Firefox', ip: '10.0.0.1'});
+				done();
+			}});
+		});
+
+		it('should list the sessions of the user', function(done) {
+			request(this, 'GET', '/me/sessions', function(err, res) {
+				expect(err).to.not.exist;
+				expect(res).to.eql([
+					{id: hash('other'), createdOn: 2, lastActive: 4, userAgent: 'curl', ip: '10.0.0.2', current: false},
+					{id: hash('sid'), createdOn: 1, lastActive: 3, userAgent: 'Firefox', ip: '10.0.0.1', current: true}
+				]);
+				done();
+			});
+		});
+
+		it('should end a session of the user', function(done) {
+			var test = this;
+			request(test, 'DELETE', '/me/sessions/' + hash('other'), function(err, res, cleared) {
+				expect(err).to.not.exist;
+				expect(res).to.eql({count: 1});
+				expect(cleared).to.equal(false);
+				expect(test.sessions.map(function(s) { return s.id; })).to.eql(['sid', 'admin']);
+				request(test, 'DELETE', '/me/sessions/' + hash('admin'), function(err) {
+					expect(err).to.eql({statusCode: 404, message: 'no such session'});
+					done();
+				});
+			});
+		});
+
+		it('should log the user out everywhere', function(done) {
+			var test = this;
+			request(test, 'DELETE', '/me/sessions', function(err, res, cleared) {
+				expect(err).to.not.exist;
+				expect(res).to.eql({count: 2});
+				expect(cleared).to.equal(true);
+				expect(test.sessions).to.have.length(0);
+				done();
+			});
+		});
+
+		it('should require a logged in user', function(done) {
+			this.uc.handle({url: '/me/sessions', req: {method: 'GET'}, res: {}, query: {}, session: session(), done: function(err) {
+				expect(err).to.eql({statusCode: 401, message: 'You must be logged in'});
+				done();
+			}});
+		});
+	});
+
+	describe('personal access tokens', function() {
+		beforeEach(function(done) {
+			var uc = this.uc = new UserCollection('users', {config: {properties: {}, passwordHash: {cost: 1024}}});
+			uc.store = memoryStore();
+			uc.tokenStore = memoryStore();
+			uc.events = {};
+			uc.hashPassword('abcd', function(err, hash) {
+				uc.store.insert({username: 'foo', password: hash}, function(err, user) {
+					uc.user = user;
+					done(err);
+				});
+			});
+		});
+
+		function request(uc, method, url, body, fn, personalToken) {
+			var s = session({id: 'sid', path: '/users', uid: uc.user.id});
+			s.user = {id: uc.user.id, username: 'foo'};
+			s.personalToken = personalToken;
+			uc.handle({url: url, req: {method: method, body: body}, res: {}, query: {}, body: body, session: s, done: fn});
+		}
+
+		it('should create a token and only keep its hash', function(done) {
+			var uc = this.uc;
+			request(uc, 'POST', '/me/tokens', {name: 'CI', scopes: ['read', 'write:/todos'], expiresIn: 60}, function(err, res) {
+				expect(err).to.not.exist;
+				expect(res).to.contain({name: 'CI', id: uc.tokenStore.records[0].id});
+				expect(res.scopes).to.eql(['read', 'write:/todos']);
+				expect(res.expiresAt - res.createdOn).to.equal(60 * 1000);
+				expect(uc.isPersonalToken(res.token)).to.equal(true);
+				expect(JSON.stringify(uc.tokenStore.records)).to.not.contain(res.token);
+				done();
+			});
+		});
+
+		it('should validate the name, scopes and expiry', function(done) {
+			request(this.uc, 'POST', '/me/tokens', {scopes: ['admin'], expiresIn: 400 * 24 * 60 * 60}, function(err) {
+				expect(err.errors).to.have.keys('name', 'scopes', 'expiresIn');
+				done();
+			});
+		});
+
+		it('should find the user of a token', function(done) {
+			var uc = this.uc;
+			request(uc, 'POST', '/me/tokens', {name: 'CI', scopes: ['read']}, function(err, res) {
+				uc.verifyPersonalToken(res.token, function(err, user, record) {
+					expect(err).to.not.exist;
+					expect(user).to.eql({id: uc.user.id, username: 'foo', roles: []});
+					expect(record.scopes).to.eql(['read']);
+					expect(uc.tokenStore.records[0].lastUsed).to.be.a('number');
+					uc.verifyPersonalToken('pat_' + new Array(65).join('0'), function(err, user) {
+						expect(user).to.equal(null);
+						done(err);
+					});
+				});
+			});
+		});
+
+		it('should not accept expired tokens', function(done) {
+			var uc = this.uc;
+			request(uc, 'POST', '/me/tokens', {name: 'CI', scopes: ['read']}, function(err, res) {
+				uc.tokenStore.records[0].expiresAt = Date.now() - 1;
+				uc.verifyPersonalToken(res.token, function(err, user) {
+					expect(user).to.equal(null);
+					request(uc, 'GET', '/me/tokens', undefined, function(err, list) {
+						expect(list).to.eql([]);
+						done(err);
+					});
+				});
+			});
+		});
+
+		it('should list and revoke tokens', function(done) {
+			var uc = this.uc;
+			request(uc, 'POST', '/me/tokens', {name: 'CI', scopes: ['read']}, function(err, created) {
+				request(uc, 'GET', '/me/tokens', undefined, function(err, list) {
+					expect(err).to.not.exist;
+					expect(list).to.eql([{id: created.id, name: 'CI', scopes: ['read'], createdOn: created.createdOn, expiresAt: created.expiresAt}]);
+					request(uc, 'DELETE', '/me/tokens/' + created.id, undefined, function(err) {
+						expect(err).to.not.exist;
+						uc.verifyPersonalToken(created.token, function(err, user) {
+							expect(user).to.equal(null);
+							request(uc, 'DELETE', '/me/tokens/' + created.id, undefined, function(err) {
+								expect(err).to.eql({statusCode: 404, message: 'no such token'});
+								done();
+							});
+						});
+					});
+				});
+			});
+		});
+
+		it('should not create tokens with a token', function(done) {
+			request(this.uc, 'POST', '/me/tokens', {name: 'CI', scopes: ['write']}, function(err) {
+				expect(err).to.eql({statusCode: 403, message: 'personal access tokens cannot create other tokens'});
+				done();
+			}, '1');
+		});
+	});
+
+	describe('impersonation', function() {
+		var EventEmitter = require('events').EventEmitter
+			, crypto = require('crypto');
+
+		beforeEach(function(done) {
+			var uc = this.uc = new UserCollection('users', {config: {properties: {}, passwordHash: {cost: 1024}}});
+			uc.store = memoryStore();
+			uc.auditStore = memoryStore();
+			uc.events = {};
+			uc.hashPassword('abcd', function(err, hash) {
+				uc.store.insert({username: 'foo', password: hash}, function(err, user) {
+					uc.user = user;
+					done(err);
+				});
+			});
+		});
+
+		function request(uc, method, url, body, s, fn) {
+			uc.handle({url: url, req: {method: method, body: body}, res: {}, query: {}, body: body, session: s, done: fn});
+		}
+
+		function root() {
+			var s = session({id: 'rootsid'});
+			s.sid = 'rootsid';
+			s.isRoot = true;
+			s.store = {
+				createSession: function(fn) {
+					s.created = session();
+					fn(null, s.created);
+				}
+			};
+			return s;
+		}
+
+		function impersonate(uc, fn) {
+			var s = root();
+			request(uc, 'POST', '/' + uc.user.id + '/impersonate', {by: 'support@example.com', reason: 'ticket 42'}, s, function(err, res) {
+				expect(err).to.not.exist;
+				fn(s.created, res, s);
+			});
+		}
+
+		function handleSession(uc, s, method, fn) {
+			var ctx = {req: {method: method, url: '/todos', isRoot: true}, res: new EventEmitter(), session: s};
+			ctx.res.setHeader = function() {};
+			uc.handleSession(ctx, function(err) {
+				fn(err, ctx.res, ctx.req);
+			});
+		}
+
+		it('should only let root impersonate', function(done) {
+			request(this.uc, 'POST', '/' + this.uc.user.id + '/impersonate', {}, session(), function(err) {
+				expect(err).to.eql({statusCode: 403, message: 'Must be root to impersonate a user'});
+				done();
+			});
+		});
+
+		it('should log in as the user with a new flagged session', function(done) {
+			var uc = this.uc
+				, by = 'session:' + crypto.createHash('sha256').update('rootsid').digest('hex').slice(0, 12);
+			impersonate(uc, function(s, res, rootSession) {
+				expect(res).to.contain({path: '/users', id: 'sid', uid: uc.user.id, impersonatedBy: by});
+				expect(s.data).to.contain({uid: uc.user.id, userhash: uc.getUserAndPasswordHash(uc.user), impersonatedBy: by});
+				expect(rootSession.data).to.eql({id: 'rootsid'});
+				expect(uc.auditStore.records[0]).to.contain({action: 'start', userId: uc.user.id, impersonatedBy: by, reason: 'ticket 42'});
+				handleSession(uc, s, 'GET', function(err, res, req) {
+					expect(err).to.not.exist;
+					expect(s.user.id).to.equal(uc.user.id);
+					expect(s.impersonatedBy).to.equal(by);
+					expect(req.isRoot).to.equal(false);
+					done();
+				});
+			});
+		});
+
+		it('should name the key of root as the impersonator', function(done) {
+			var uc = this.uc
+				, s = root();
+			uc.handle({url: '/' + uc.user.id + '/impersonate', req: {method: 'POST', headers: {'dpd-ssh-key': 'secret'}}, res: {}, query: {}, body: {by: 'someone else'}, session: s, done: function(err, res) {
+				expect(err).to.not.exist;
+				expect(res.impersonatedBy).to.equal('key:' + crypto.createHash('sha256').update('secret').digest('hex').slice(0, 12));
+				expect(uc.auditStore.records[0]).to.contain({impersonatedBy: res.impersonatedBy, reason: null});
+				done();
+			}});
+		});
+
+		it('should record the writes made under impersonation', function(done) {
+			var uc = this.uc;
+			impersonate(uc, function(s) {
+				handleSession(uc, s, 'GET', function(err, res) {
+					res.emit('finish');
+					handleSession(uc, s, 'PUT', function(err, res) {
+						res.statusCode = 200;
+						res.emit('finish');
+						expect(uc.auditStore.records).to.have.length(2);
+						expect(uc.auditStore.records[1]).to.contain({action: 'write', userId: uc.user.id, impersonatedBy: s.data.impersonatedBy, method: 'PUT', url: '/todos', statusCode: 200});
+						done();
+					});
+				});
+			});
+		});
+
+		it('should not outlast its time', function(done) {
+			var uc = this.uc;
+			impersonate(uc, function(s) {
+				s.data.impersonationEnds = Date.now() - 1;
+				handleSession(uc, s, 'GET', function(err) {
+					expect(s.user).to.not.exist;
+					done(err);
+				});
+			});
+		});
+
+		it('should end the impersonation', function(done) {
+			var uc = this.uc;
+			impersonate(uc, function(s) {
+				s.remove = function(fn) {
+					s.data = {};
+					fn();
+				};
+				request(uc, 'POST', '/end-impersonation', {}, s, function(err) {
+					expect(err).to.not.exist;
+					expect(uc.auditStore.records[1]).to.contain({action: 'end', userId: uc.user.id});
+					request(uc, 'POST', '/end-impersonation', {}, s, function(err) {
+						expect(err).to.eql({statusCode: 400, message: 'this session is not impersonating a user'});
+						done();
+					});
+				});
+			});
+		});
+
+		it('should let root read the audit trail', function(done) {
+			var uc = this.uc;
+			impersonate(uc, function(s) {
+				request(uc, 'GET', '/' + uc.user.id + '/impersonations', undefined, s, function(err) {
+					expect(err).to.eql({statusCode: 403, message: 'Must be root to read the impersonations of a user'});
+					request(uc, 'GET', '/' + uc.user.id + '/impersonations', undefined, root(), function(err, entries) {
+						expect(err).to.not.exist;
+						expect(entries).to.have.length(1);
+						expect(entries[0].action).to.equal('start');
+						done();
+					});
+				});
+			});
+		});
+	});
+
+	describe('.preparePatch(operations, allowCredentials, fn)', function() {
+		it('should hash passwords in JSON Patch operations', function(done) {
+			var uc = new UserCollection('users', {config: {properties: {}}});
+			uc.preparePatch([{op: 'replace', path: '/password', value: 'abcd'}], true, function(err, ops) {
+				if (err) return done(err);
+				expect(ops.length).to.equal(1);
+				expect(ops[0].value).to.not.equal('abcd');
+				uc.checkHash(uc, {password: ops[0].value}, {password: 'abcd'}, function(err, valid) {
+					expect(valid).to.equal(true);
+					done(err);
+				});
+			});
+		});
+
+		it('should drop credential operations when not allowed', function(done) {
+			var uc = new UserCollection('users', {config: {properties: {}}});
+			uc.preparePatch([
+				{op: 'replace', path: '/username', value: 'foo'},
+				{op: 'copy', from: '/password', path: '/name'},
+				{op: 'replace', path: '/name', value: 'bar'}
+			], false, function(err, ops) {
+				expect(ops).to.eql([{op: 'replace', path: '/name', value: 'bar'}]);
+				done(err);
+			});
+		});
+
+		it('should drop operations reading the password even when credentials may change', function(done) {
+			var uc = new UserCollection('users', {config: {properties: {}}});
+			uc.preparePatch([
+				{op: 'copy', from: '/password', path: '/name'},
+				{op: 'move', from: '/password', path: '/name'},
+				{op: 'test', path: '/password', value: 'abcd'},
+				{op: 'replace', path: '/name', value: 'bar'}
+			], true, function(err, ops) {
+				expect(ops).to.eql([{op: 'replace', path: '/name', value: 'bar'}]);
+				done(err);
+			});
+		});
+
+		it('should reject patches reading the password', function(done) {
+			var uc = new UserCollection('users', {config: {properties: {}}})
+				, body = [{op: 'copy', from: '/password', path: '/name'}]
+				, s = session({id: 'sid', path: '/users', uid: '1'});
+
+			s.user = {id: '1', username: 'foo'};
+			uc.handle({url: '/1', req: {method: 'PATCH', body: body}, res: {}, query: {}, body: body, session: s, done: function(err) {
+				expect(err).to.eql({statusCode: 400, message: 'a patch cannot copy, move or test the password'});
+				done();
+			}});
+		});
+	});
+
+	describe('history', function() {
+		it('should not keep passwords in revisions', function() {
+			var uc = new UserCollection('users', {config: {history: true, properties: {}}});
+			expect(uc.getRevisionSnapshot({id: 'abc', username: 'foo', password: 'hash'})).to.eql({id: 'abc', username: 'foo'});
+		});
+
+		it('should only allow root to revert a user', function(done) {
+			var uc = new UserCollection('users', {config: {history: true, properties: {}}});
+			uc.historyStore = {first: function() { throw new Error('should not read the history'); }};
+
+			uc.revert({session: {}, query: {id: 'abc'}}, '1', function(err) {
+				expect(err.statusCode).to.equal(403);
+				done();
+			});
+		});
+	});
+
+	describe('roles', function() {
+		function context(session, body) {
+			return {req: {method: 'PUT', headers: {}}, url: '/abc', query: {id: 'abc'}, session: session, body: body};
+		}
+
+		it('should only let root change roles', function(done) {
+			var uc = new UserCollection('users', {config: {properties: {}}});
+			uc.events = {};
+			uc.store = {
+				first: function(query, fn) { fn(null, {id: 'abc', username: 'joe', password: 'hash', roles: ['reader']}); },
+				count: function(query, fn) { fn(null, 0); },
+				update: function(query, update, fn) { fn(null, {count: 1}); }
+			};
+
+			uc.save(context({data: {uid: 'abc'}, user: {id: 'abc', roles: ['reader']}}, {roles: ['admin']}), function(err) {
+				expect(err.statusCode).to.equal(403);
+				uc.save(context({isRoot: true}, {roles: ['admin']}), function(err, user) {
+					expect(user.roles).to.eql(['admin']);
+					done(err);
+				});
+			});
+		});
+
+		it('should let users send their roles back unchanged', function(done) {
+			var uc = new UserCollection('users', {config: {properties: {name: {type: 'string'}}}});
+			uc.events = {};
+			uc.store = {
+				first: function(query, fn) { fn(null, {id: 'abc', username: 'joe', password: 'hash', roles: ['reader']}); },
+				count: function(query, fn) { fn(null, 0); },
+				update: function(query, update, fn) { fn(null, {count: 1}); }
+			};
+
+			uc.save(context({data: {uid: 'abc'}, user: {id: 'abc', roles: ['reader']}}, {name: 'Joe', roles: ['reader']}), done);
+		});
+	});
+
+	describe('.sanitizePipeline(pipeline)', function() {
+		it('should project passwords away first', function() {
+			var uc = new UserCollection('users', {config: {properties: {}}});
+			expect(uc.sanitizePipeline([{$limit: 1}])).to.eql([{$project: {password: 0}}, {$limit: 1}]);
+		});
+	});
+
 	describe('.handleSession(ctx)', function() {
 		it('should attach the current user to the session', function(done) {
 			var properties = {
@@ -148,3 +148,156 @@ describe('.parseBody()', function() {
   });
 });
 });
+
+describe('patch', function() {
+  var patch = require('../lib/util/patch');
+
+  describe('.merge()', function() {
+    it('should merge properties and remove nulls', function() {
+      var result = patch.merge({title: 'foo', done: false, people: {a: 1, b: 2}}, {done: true, title: null, people: {b: null, c: 3}});
+      expect(result).to.eql({done: true, people: {a: 1, c: 3}});
+    });
+
+    it('should replace arrays', function() {
+      expect(patch.merge({tags: ['a', 'b']}, {tags: ['c']})).to.eql({tags: ['c']});
+    });
+  });
+
+  describe('.apply()', function() {
+    it('should apply operations in order', function() {
+      var result = patch.apply({title: 'foo', tags: ['a', 'c'], people: {}}, [
+        {op: 'test', path: '/title', value: 'foo'},
+        {op: 'replace', path: '/title', value: 'bar'},
+        {op: 'add', path: '/tags/1', value: 'b'},
+        {op: 'add', path: '/tags/-', value: 'd'},
+        {op: 'add', path: '/people/a~1b', value: 1},
+        {op: 'copy', from: '/title', path: '/message'},
+        {op: 'move', from: '/message', path: '/owner'},
+        {op: 'remove', path: '/tags/0'}
+      ]);
+
+      expect(result).to.eql({title: 'bar', tags: ['b', 'c', 'd'], people: {'a/b': 1}, owner: 'bar'});
+    });
+
+    it('should fail with a 409 when a test fails', function() {
+      try {
+        patch.apply({title: 'foo'}, [{op: 'test', path: '/title', value: 'bar'}]);
+      } catch (ex) {
+        expect(ex.statusCode).to.equal(409);
+        return;
+      }
+      throw new Error('should have thrown');
+    });
+
+    it('should fail with a 400 on invalid operations', function() {
+      [{op: 'foo', path: '/title'}, {op: 'add', path: 'title', value: 1}, {op: 'add', path: '/title'}].forEach(function(op) {
+        try {
+          patch.apply({}, [op]);
+        } catch (ex) {
+          expect(ex.statusCode).to.equal(400);
+          return;
+        }
+        throw new Error('should have thrown for ' + op.op);
+      });
+    });
+
+    it('should fail with a 409 when removing a missing path', function() {
+      expect(function() {
+        patch.apply({}, [{op: 'remove', path: '/title'}]);
+      }).to.throw().with.property('statusCode', 409);
+    });
+  });
+});
+
+describe('totp', function() {
+  var totp = require('../lib/util/totp')
+    // the RFC 6238 test secret, "12345678901234567890"
+    , secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+  it('should encode and decode base32', function() {
+    expect(totp.encode(Buffer.from('12345678901234567890'))).to.equal(secret);
+    expect(totp.decode(secret.toLowerCase()).toString()).to.equal('12345678901234567890');
+  });
+
+  it('should generate the codes of RFC 6238', function() {
+    expect(totp.code(secret, totp.step(59 * 1000))).to.equal('287082');
+    expect(totp.code(secret, totp.step(1111111109 * 1000))).to.equal('081804');
+    expect(totp.code(secret, totp.step(20000000000 * 1000))).to.equal('353130');
+  });
+
+  it('should verify codes within the window', function() {
+    var time = 1111111109 * 1000;
+    expect(totp.verify(secret, '081804', time)).to.equal(totp.step(time));
+    expect(totp.verify(secret, '081804', time + 30 * 1000)).to.equal(totp.step(time));
+    expect(totp.verify(secret, '081804', time + 90 * 1000)).to.equal(-1);
+    expect(totp.verify(secret, '81804', time)).to.equal(-1);
+  });
+
+  it('should build otpauth uris', function() {
+    expect(totp.uri('ABC', 'foo@bar.com', 'My App')).to.equal('otpauth://totp/My%20App%3Afoo%40bar.com?secret=ABC&issuer=My%20App');
+  });
+});
+
+describe('jwt', function() {
+  var jwt = require('../lib/util/jwt')
+    , now = Date.now();
+
+  function claims(ttl) {
+    return {sub: '123', exp: Math.floor(now / 1000) + ttl};
+  }
+
+  it('should sign and verify claims', function() {
+    var token = jwt.sign(claims(60), 'secret');
+    expect(jwt.isToken(token)).to.equal(true);
+    expect(jwt.verify(token, 'secret', now)).to.eql(claims(60));
+    expect(jwt.decode(token)).to.eql(claims(60));
+  });
+
+  it('should reject other secrets, changed claims and expired tokens', function() {
+    var token = jwt.sign(claims(60), 'secret')
+      , parts = token.split('.');
+
+    expect(jwt.verify(token, 'other', now)).to.equal(null);
+    parts[1] = Buffer.from(JSON.stringify({sub: '456', exp: claims(60).exp})).toString('base64url');
+    expect(jwt.verify(parts.join('.'), 'secret', now)).to.equal(null);
+    expect(jwt.verify(token, 'secret', now + 61 * 1000)).to.equal(null);
+  });
+
+  it('should reject other algorithms', function() {
+    var header = Buffer.from(JSON.stringify({alg: 'none', typ: 'JWT'})).toString('base64url')
+      , token = jwt.sign(claims(60), 'secret').split('.');
+
+    token[0] = header;
+    expect(jwt.verify(token.join('.'), 'secret', now)).to.equal(null);
+  });
+
+  it('should tell tokens from session ids', function() {
+    expect(jwt.isToken('0123456789abcdef')).to.equal(false);
+    expect(jwt.decode('a.b')).to.equal(null);
+  });
+});
+
+describe('scopes', function() {
+  var scopes = require('../lib/util/scopes');
+
+  it('should validate scopes', function() {
+    expect(scopes.isValid('read')).to.equal(true);
+    expect(scopes.isValid('write:/todos')).to.equal(true);
+    expect(scopes.isValid('admin')).to.equal(false);
+    expect(scopes.isValid('read:todos')).to.equal(false);
+  });
+
+  it('should allow reading with read scopes and anything with write scopes', function() {
+    expect(scopes.allows(['read'], 'GET', '/todos')).to.equal(true);
+    expect(scopes.allows(['read'], 'PUT', '/todos')).to.equal(false);
+    expect(scopes.allows(['write'], 'DELETE', '/todos')).to.equal(true);
+  });
+
+  it('should limit scopes to a resource', function() {
+    expect(scopes.allows(['read:/todos'], 'GET', '/todos')).to.equal(true);
+    expect(scopes.allows(['read:/todos'], 'GET', '/users')).to.equal(false);
+    expect(scopes.allows(['read', 'write:/todos'], 'POST', '/todos')).to.equal(true);
+    expect(scopes.allows(['read', 'write:/todos'], 'POST', '/users')).to.equal(false);
+    expect(scopes.allows([], 'GET', '/todos')).to.equal(false);
+  });
+});